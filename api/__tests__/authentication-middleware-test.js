@@ -0,0 +1,56 @@
+import {expect} from 'chai';
+import http from 'http';
+import url from 'url';
+import express from 'express';
+import session from 'express-session';
+import useAuthenticationMiddleware from '../utils/authentication-middleware';
+import { getStrategy } from '../auth-strategies';
+
+const redirectURI = 'http://app.test/api/sessions/finishExternalLogin/stand-in';
+
+// Follows the provider's redirect back to the app, without going there, and returns its query
+function authorize(authorizationURL) {
+    return new Promise((resolve, reject) => {
+        http.get(authorizationURL, (response) => {
+            response.resume();
+            if (response.statusCode !== 302) {
+                reject(new Error('Expected a redirect, got ' + response.statusCode));
+            } else {
+                resolve(url.parse(response.headers.location, true).query);
+            }
+        }).on('error', reject);
+    });
+}
+
+describe('useAuthenticationMiddleware', () => {
+    let server;
+
+    before((done) => {
+        const app = express();
+        server = app.listen(0, 'localhost', () => {
+            const base = 'http://localhost:' + server.address().port + '/oauth-stand-in';
+            const sessionMiddleware = session({
+                secret: 'test',
+                resave: false,
+                saveUninitialized: false,
+                store: new session.MemoryStore()
+            });
+            useAuthenticationMiddleware(app, sessionMiddleware, {standIn: {browserURL: base, serverURL: base}});
+            done();
+        });
+    });
+
+    after((done) => {
+        server.close(done);
+    });
+
+    it('lets the stand-in strategy sign in through the app', () => {
+        const strategy = getStrategy('stand-in');
+        return authorize(strategy.authorizationURL({state: 'xyz', redirectURI}) + '&email=someone%40example.com')
+            // Exchanges the code and fetches the profile with the provider's bearer token
+            .then((query) => strategy.profileFromCallback({code: query.code, redirectURI}))
+            .then((profile) => {
+                expect(profile.email).to.equal('someone@example.com');
+            });
+    });
+});
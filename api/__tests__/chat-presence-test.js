@@ -0,0 +1,50 @@
+import {expect} from 'chai';
+import {Presence, Typing} from '../chat-presence';
+
+const alice = {id: 1, email: 'alice@example.com'};
+const bob = {id: 2, email: 'bob@example.com'};
+
+describe('Presence', () => {
+    it('brings users online with their first socket, and offline with their last', () => {
+        const presence = new Presence();
+        expect(presence.add(7, 'tab1', alice)).to.equal(true);
+        expect(presence.add(7, 'tab2', alice)).to.equal(false);
+        expect(presence.add(7, 'tab3', bob)).to.equal(true);
+        expect(presence.users(7)).to.deep.equal([alice, bob]);
+
+        expect(presence.remove(7, 'tab1', alice.id)).to.equal(false);
+        expect(presence.remove(7, 'tab2', alice.id)).to.equal(true);
+        expect(presence.remove(7, 'tab2', alice.id)).to.equal(false);
+        expect(presence.users(7)).to.deep.equal([bob]);
+    });
+
+    it('takes a disconnected socket out of every room', () => {
+        const presence = new Presence();
+        presence.add(7, 'tab1', alice);
+        presence.add(8, 'tab1', alice);
+        presence.add(8, 'tab2', alice);
+        expect(presence.removeSocket('tab1', alice.id)).to.deep.equal([7]);
+        expect(presence.users(7)).to.deep.equal([]);
+        expect(presence.users(8)).to.deep.equal([alice]);
+    });
+});
+
+describe('Typing', () => {
+    it('only reports starting and stopping once', () => {
+        const typing = new Typing(1000, () => {});
+        expect(typing.start(7, alice)).to.equal(true);
+        expect(typing.start(7, alice)).to.equal(false);
+        expect(typing.stop(7, alice.id)).to.equal(true);
+        expect(typing.stop(7, alice.id)).to.equal(false);
+    });
+
+    it('expires when typing isn\'t heard of for a while', (done) => {
+        const typing = new Typing(5, (roomID, user) => {
+            expect(roomID).to.equal(7);
+            expect(user).to.equal(alice);
+            expect(typing.stop(7, alice.id)).to.equal(false);
+            done();
+        });
+        typing.start(7, alice);
+    });
+});
@@ -0,0 +1,98 @@
+import {expect} from 'chai';
+import verifyCsrfToken, {csrfTokenFor, actionAllowsMethod, isSameOrigin} from '../utils/csrf';
+
+function fakeRequest(method, session, csrfHeader) {
+    return {
+        method,
+        session,
+        get: (header) => (header.toLowerCase() === 'x-csrf-token' ? csrfHeader : undefined)
+    };
+}
+
+// Resolves to 'next' if the middleware let the request through, or to the response it sent
+function run(req) {
+    return new Promise((resolve) => {
+        const res = {
+            status(status) {
+                return {json: (body) => resolve({status, body})};
+            }
+        };
+        verifyCsrfToken(req, res, () => resolve('next'));
+    });
+}
+
+describe('verifyCsrfToken', () => {
+    it('lets safe requests through without a token', () => {
+        return run(fakeRequest('GET', {})).then((result) => {
+            expect(result).to.equal('next');
+        });
+    });
+
+    it('lets mutating requests with the session\'s token through', () => {
+        const session = {};
+        const token = csrfTokenFor(session);
+        return run(fakeRequest('POST', session, token)).then((result) => {
+            expect(result).to.equal('next');
+        });
+    });
+
+    it('refuses mutating requests with a missing or wrong token', () => {
+        const session = {};
+        const token = csrfTokenFor(session);
+        return Promise.all([
+            run(fakeRequest('DELETE', session)),
+            run(fakeRequest('PATCH', session, token.slice(1) + 'x')),
+            run(fakeRequest('POST', {}, 'anything'))
+        ]).then((results) => {
+            results.forEach((result) => {
+                expect(result.status).to.equal(403);
+                expect(result.body.code).to.equal('EBADCSRFTOKEN');
+            });
+        });
+    });
+
+    it('lets requests made with API tokens through', () => {
+        return run(fakeRequest('POST', {userID: 1, apiTokenID: 2})).then((result) => {
+            expect(result).to.equal('next');
+        });
+    });
+});
+
+describe('actionAllowsMethod', () => {
+    it('only lets safe methods run read-only actions', () => {
+        const readOnly = () => Promise.resolve({});
+        readOnly.readOnly = true;
+        const mutating = () => Promise.resolve({});
+        expect(actionAllowsMethod(readOnly, 'GET')).to.equal(true);
+        expect(actionAllowsMethod(readOnly, 'POST')).to.equal(true);
+        expect(actionAllowsMethod(mutating, 'GET')).to.equal(false);
+        expect(actionAllowsMethod(mutating, 'HEAD')).to.equal(false);
+        expect(actionAllowsMethod(mutating, 'PUT')).to.equal(false);
+        expect(actionAllowsMethod(mutating, 'POST')).to.equal(true);
+    });
+});
+
+describe('isSameOrigin', () => {
+    const appUrl = 'http://localhost:3000';
+
+    it('allows requests from the app, or that say nothing about where they come from', () => {
+        expect(isSameOrigin('http://localhost:3000', appUrl)).to.equal(true);
+        expect(isSameOrigin('HTTP://LOCALHOST:3000', appUrl + '/')).to.equal(true);
+        expect(isSameOrigin(undefined, appUrl)).to.equal(true);
+    });
+
+    it('refuses requests from other sites', () => {
+        expect(isSameOrigin('http://evil.test', appUrl)).to.equal(false);
+        expect(isSameOrigin('https://localhost:3000', appUrl)).to.equal(false);
+        expect(isSameOrigin('http://localhost:3001', appUrl)).to.equal(false);
+        expect(isSameOrigin('null', appUrl)).to.equal(false);
+    });
+});
+
+describe('csrfTokenFor', () => {
+    it('keeps the same token for the life of the session', () => {
+        const session = {};
+        expect(csrfTokenFor(session)).to.equal(csrfTokenFor(session));
+        expect(csrfTokenFor({})).to.not.equal(csrfTokenFor(session));
+    });
+});
@@ -0,0 +1,137 @@
+import {expect} from 'chai';
+import {parseFilterValue, filterConditions} from '../resources/jsonapi-filter';
+
+describe('parseFilterValue', () => {
+    it('treats an unprefixed value as equality', () => {
+        expect(parseFilterValue('foo')).to.deep.equal({comparator: 'eq', value: 'foo'});
+    });
+
+    it('reads each operator prefix', () => {
+        expect(parseFilterValue('~Foo')).to.deep.equal({comparator: 'ieq', value: 'Foo'});
+        expect(parseFilterValue(':foo')).to.deep.equal({comparator: 'contains', value: 'foo'});
+        expect(parseFilterValue('^foo')).to.deep.equal({comparator: 'startsWith', value: 'foo'});
+        expect(parseFilterValue('<5')).to.deep.equal({comparator: 'lt', value: '5'});
+        expect(parseFilterValue('>5')).to.deep.equal({comparator: 'gt', value: '5'});
+    });
+
+    it('prefers two-character operators over their one-character prefixes', () => {
+        expect(parseFilterValue('<=5')).to.deep.equal({comparator: 'lte', value: '5'});
+        expect(parseFilterValue('>=5')).to.deep.equal({comparator: 'gte', value: '5'});
+    });
+
+    it('reads null and !null as checks for a value on nullable columns', () => {
+        expect(parseFilterValue('null', true)).to.deep.equal({comparator: 'isNull'});
+        expect(parseFilterValue('!null', true)).to.deep.equal({comparator: 'notNull'});
+        expect(parseFilterValue(':null', true)).to.deep.equal({comparator: 'contains', value: 'null'});
+    });
+
+    it('reads null as a value like any other on other columns', () => {
+        expect(parseFilterValue('null')).to.deep.equal({comparator: 'eq', value: 'null'});
+        expect(parseFilterValue('!null')).to.deep.equal({comparator: 'eq', value: '!null'});
+    });
+
+    it('only strips the leading operator', () => {
+        expect(parseFilterValue(':50% off: today')).to.deep.equal({comparator: 'contains', value: '50% off: today'});
+    });
+});
+
+describe('filterConditions', () => {
+    it('resolves to no conditions without filter params', () => {
+        return filterConditions(undefined, ['name']).then((conditions) => {
+            expect(conditions).to.deep.equal([]);
+        });
+    });
+
+    it('builds one condition per column, splitting multiple values', () => {
+        return filterConditions({name: ':foo', id: ['1,2', '3']}, ['id', 'name']).then((conditions) => {
+            expect(conditions).to.deep.equal([
+                {column: 'name', matches: [{comparator: 'contains', value: 'foo'}]},
+                {column: 'id', matches: [
+                    {comparator: 'eq', value: '1'},
+                    {comparator: 'eq', value: '2'},
+                    {comparator: 'eq', value: '3'}
+                ]}
+            ]);
+        });
+    });
+
+    it('only checks nullable columns for null', () => {
+        return filterConditions({name: 'null', deleted_at: '!null'}, ['name', 'deleted_at'], ['deleted_at'])
+            .then((conditions) => {
+                expect(conditions).to.deep.equal([
+                    {column: 'name', matches: [{comparator: 'eq', value: 'null'}]},
+                    {column: 'deleted_at', matches: [{comparator: 'notNull'}]}
+                ]);
+            });
+    });
+
+    it('only splits lists of values to equal', () => {
+        return filterConditions({name: ':red, white', id: '1,null'}, ['id', 'name'], ['id']).then((conditions) => {
+            expect(conditions).to.deep.equal([
+                {column: 'name', matches: [{comparator: 'contains', value: 'red, white'}]},
+                {column: 'id', matches: [{comparator: 'eq', value: '1'}, {comparator: 'isNull'}]}
+            ]);
+        });
+    });
+
+    it('makes each range bound a condition of its own', () => {
+        return filterConditions({created_at: ['>=2016-10-01', '<2016-11-01']}, ['created_at']).then((conditions) => {
+            expect(conditions).to.deep.equal([
+                {column: 'created_at', matches: [{comparator: 'gte', value: '2016-10-01'}]},
+                {column: 'created_at', matches: [{comparator: 'lt', value: '2016-11-01'}]}
+            ]);
+        });
+    });
+
+    it('casts values to their column types', () => {
+        const columnTypes = {id: 'integer', rank: 'number', hidden: 'boolean', created_at: 'date'};
+        return filterConditions(
+            {id: '1,2', rank: '>0.5', hidden: 'false', created_at: '<2016-11-01', name: ':3'},
+            ['id', 'rank', 'hidden', 'created_at', 'name'],
+            [],
+            {...columnTypes, name: 'string'}
+        ).then((conditions) => {
+            expect(conditions).to.deep.equal([
+                {column: 'id', matches: [{comparator: 'eq', value: 1}, {comparator: 'eq', value: 2}]},
+                {column: 'rank', matches: [{comparator: 'gt', value: 0.5}]},
+                {column: 'hidden', matches: [{comparator: 'eq', value: false}]},
+                {column: 'created_at', matches: [{comparator: 'lt', value: '2016-11-01'}]},
+                {column: 'name', matches: [{comparator: 'contains', value: '3'}]}
+            ]);
+        });
+    });
+
+    it('compares text to columns of any type', () => {
+        return filterConditions({id: ':12'}, ['id'], [], {id: 'integer'}).then((conditions) => {
+            expect(conditions).to.deep.equal([{column: 'id', matches: [{comparator: 'contains', value: '12'}]}]);
+        });
+    });
+
+    it('rejects values that are not of their column type', () => {
+        const invalidFilters = [
+            {id: 'abc'},
+            {id: '1,abc'},
+            {id: '99999999999'},
+            {created_at: '>=someday'},
+            {hidden: 'yes'}
+        ];
+        const columnTypes = {id: 'integer', created_at: 'date', hidden: 'boolean'};
+        return Promise.all(invalidFilters.map((filter) => (
+            filterConditions(filter, ['id', 'created_at', 'hidden'], [], columnTypes).then(() => {
+                throw new Error('expected a rejection for ' + JSON.stringify(filter));
+            }, (error) => {
+                expect(error.status).to.equal('400');
+                expect(error.code).to.equal('EINVALIDFILTER');
+            })
+        )));
+    });
+
+    it('rejects columns that are not filterable', () => {
+        return filterConditions({password: '^a'}, ['id', 'email']).then(() => {
+            throw new Error('expected a rejection');
+        }, (error) => {
+            expect(error.status).to.equal('400');
+            expect(error.code).to.equal('EINVALIDFILTER');
+        });
+    });
+});
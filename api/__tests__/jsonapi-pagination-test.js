@@ -0,0 +1,143 @@
+import {expect} from 'chai';
+import {
+    offsetPages,
+    sortOrder,
+    encodeCursor,
+    decodeCursor,
+    cursorPages,
+    pageLink
+} from '../resources/jsonapi-pagination';
+
+describe('offsetPages', () => {
+    it('has no prev or next for a single page', () => {
+        expect(offsetPages({offset: 0, pageSize: 10, total: 4})).to.deep.equal({
+            first: {offset: 0, size: 10},
+            last: {offset: 0, size: 10}
+        });
+    });
+
+    it('links to the surrounding pages from the middle of a collection', () => {
+        expect(offsetPages({offset: 10, pageSize: 10, total: 35})).to.deep.equal({
+            first: {offset: 0, size: 10},
+            prev: {offset: 0, size: 10},
+            next: {offset: 20, size: 10},
+            last: {offset: 30, size: 10}
+        });
+    });
+
+    it('aligns the last page when the total is a multiple of the page size', () => {
+        expect(offsetPages({offset: 0, pageSize: 10, total: 20}).last).to.deep.equal({offset: 10, size: 10});
+    });
+
+    it('never links to a negative offset', () => {
+        expect(offsetPages({offset: 5, pageSize: 10, total: 20}).prev).to.deep.equal({offset: 0, size: 10});
+    });
+});
+
+describe('sortOrder', () => {
+    const sortable = ['id', 'name', 'created_at'];
+
+    it('sorts by id without a sort param', () => {
+        return sortOrder(undefined, sortable).then((order) => {
+            expect(order).to.deep.equal([{column: 'id', ascending: true}]);
+        });
+    });
+
+    it('reads comma-separated fields with +/- prefixes, breaking ties by id', () => {
+        return sortOrder('-created_at,+name, name', sortable).then((order) => {
+            expect(order).to.deep.equal([
+                {column: 'created_at', ascending: false},
+                {column: 'name', ascending: true},
+                {column: 'name', ascending: true},
+                {column: 'id', ascending: true}
+            ]);
+        });
+    });
+
+    it('keeps an explicit id sort', () => {
+        return sortOrder('-id', sortable).then((order) => {
+            expect(order).to.deep.equal([{column: 'id', ascending: false}]);
+        });
+    });
+
+    it('rejects columns that are not sortable', () => {
+        return sortOrder('-password', sortable).then(() => {
+            throw new Error('expected a rejection');
+        }, (error) => {
+            expect(error.status).to.equal('400');
+        });
+    });
+});
+
+describe('cursors', () => {
+    const order = [{column: 'created_at', ascending: false}, {column: 'id', ascending: true}];
+    const row = {id: 7, created_at: new Date(Date.UTC(2016, 0, 1)), name: 'a+b/c'};
+
+    it('round-trips the sort values of a row', () => {
+        const cursor = encodeCursor(row, order);
+        expect(cursor).to.match(/^[A-Za-z0-9_-]+$/);
+        expect(decodeCursor(cursor, order)).to.deep.equal(['2016-01-01T00:00:00.000Z', 7]);
+    });
+
+    it('rejects cursors made for a different sort', () => {
+        const cursor = encodeCursor(row, order);
+        expect(decodeCursor(cursor, [{column: 'id', ascending: true}])).to.equal(null);
+    });
+
+    it('rejects garbage', () => {
+        expect(decodeCursor('not a cursor', order)).to.equal(null);
+        expect(decodeCursor('12', order)).to.equal(null);
+    });
+});
+
+describe('cursorPages', () => {
+    const order = [{column: 'id', ascending: true}];
+    const rowsWithIDs = (...ids) => ids.map((id) => ({id}));
+    const cursorFor = (id) => encodeCursor({id}, order);
+
+    it('links to the next page from the last row of this one', () => {
+        const pages = cursorPages({
+            order,
+            pageSize: 2,
+            rows: rowsWithIDs(1, 2, 3),
+            rowsBefore: null,
+            rowsFromEnd: rowsWithIDs(5, 4, 3)
+        });
+        expect(pages.prev).to.equal(undefined);
+        expect(pages.next).to.deep.equal({cursor: cursorFor(2), size: 2});
+        expect(pages.last).to.deep.equal({cursor: cursorFor(3), size: 2});
+    });
+
+    it('links back to the first page when the previous page is the first', () => {
+        const pages = cursorPages({
+            order,
+            cursor: cursorFor(2),
+            pageSize: 2,
+            rows: rowsWithIDs(3, 4),
+            rowsBefore: rowsWithIDs(2, 1),
+            rowsFromEnd: rowsWithIDs(4, 3, 2)
+        });
+        expect(pages.prev).to.deep.equal({size: 2});
+        expect(pages.next).to.equal(undefined);
+    });
+
+    it('links to an earlier cursor when there are several previous pages', () => {
+        const pages = cursorPages({
+            order,
+            cursor: cursorFor(4),
+            pageSize: 2,
+            rows: rowsWithIDs(5, 6),
+            rowsBefore: rowsWithIDs(4, 3, 2),
+            rowsFromEnd: rowsWithIDs(6, 5, 4)
+        });
+        expect(pages.prev).to.deep.equal({cursor: cursorFor(2), size: 2});
+    });
+});
+
+describe('pageLink', () => {
+    it('replaces the page params of the request URL', () => {
+        const request = {route: {combined: 'http://localhost:3030/widget?sort=name&page[cursor]=a&page[size]=2'}};
+        const link = decodeURIComponent(pageLink(request, {cursor: 'b', size: 2}));
+        expect(link).to.equal('http://localhost:3030/widget?sort=name&page[cursor]=b&page[size]=2');
+    });
+});
@@ -0,0 +1,54 @@
+import {expect} from 'chai';
+import {searchQuery, searchOrder, searchMeta, extendResponseHelper} from '../resources/jsonapi-search';
+
+describe('searchQuery', () => {
+    it('is null when the request does not search', () => {
+        expect(searchQuery(undefined)).to.equal(null);
+        expect(searchQuery({name: 'foo'})).to.equal(null);
+        expect(searchQuery({q: '  '})).to.equal(null);
+    });
+
+    it('joins repeated params into one query', () => {
+        expect(searchQuery({q: ' blue widgets '})).to.equal('blue widgets');
+        expect(searchQuery({q: ['blue', 'widgets']})).to.equal('blue widgets');
+    });
+});
+
+describe('searchOrder', () => {
+    it('sorts by relevance first, unless another sort was asked for', () => {
+        const order = [{column: 'id', ascending: true}];
+        expect(searchOrder(undefined, order)).to.deep.equal([
+            {column: 'search_rank', ascending: false},
+            {column: 'id', ascending: true}
+        ]);
+        expect(searchOrder('id', order)).to.deep.equal(order);
+    });
+});
+
+describe('searchMeta', () => {
+    it('describes each match by id', () => {
+        const rows = [
+            {id: 12, search_rank: 0.6, search_highlights: {name: '<mark>Blue</mark> widget'}},
+            {id: 3, search_rank: 0.1}
+        ];
+        expect(searchMeta(rows)).to.deep.equal({
+            12: {rank: 0.6, highlights: {name: '<mark>Blue</mark> widget'}},
+            3: {rank: 0.1, highlights: {}}
+        });
+    });
+});
+
+describe('search extendResponseHelper', () => {
+    it('adds the matches to the meta of searches only', () => {
+        const responseHelper = {
+            _generateResponse: () => ({meta: {page: {size: 10}}, data: []})
+        };
+        extendResponseHelper(responseHelper);
+        const matches = {12: {rank: 0.6, highlights: {}}};
+        expect(responseHelper._generateResponse({search: matches}).meta).to.deep.equal({
+            page: {size: 10},
+            search: matches
+        });
+        expect(responseHelper._generateResponse({}).meta).to.deep.equal({page: {size: 10}});
+    });
+});
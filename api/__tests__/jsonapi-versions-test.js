@@ -0,0 +1,48 @@
+import {expect} from 'chai';
+import {expectedVersions, etagForVersion, extendRouter} from '../resources/jsonapi-versions';
+
+describe('expectedVersions', () => {
+    it('reads versions from If-Match', () => {
+        expect(expectedVersions({'if-match': '"3"'})).to.deep.equal([3]);
+        expect(expectedVersions({'if-match': 'W/"3", "4"'})).to.deep.equal([3, 4]);
+    });
+
+    it('prefers If-Match to meta.version', () => {
+        expect(expectedVersions({'if-match': '"3"'}, {version: 2})).to.deep.equal([3]);
+        expect(expectedVersions({}, {version: 2})).to.deep.equal([2]);
+    });
+
+    it('expects nothing without either, or for If-Match: *', () => {
+        expect(expectedVersions({}, {})).to.equal(null);
+        expect(expectedVersions(undefined, undefined)).to.equal(null);
+        expect(expectedVersions({'if-match': '*'}, {version: 2})).to.equal(null);
+    });
+
+    it('never matches tags that are not versions', () => {
+        const versions = expectedVersions({'if-match': '"abc"'});
+        expect(versions).to.have.length(1);
+        expect(versions.indexOf(NaN)).to.equal(-1);
+    });
+});
+
+describe('extendRouter', () => {
+    function send(payload) {
+        const headers = {};
+        const router = {sendResponse: () => 'sent'};
+        extendRouter(router);
+        const result = router.sendResponse({set: (name, value) => { headers[name] = value; }}, payload, 200);
+        return {result, headers};
+    }
+
+    it('adds an ETag to single versioned resources', () => {
+        const {result, headers} = send({data: {id: '1', type: 'widget', meta: {version: 4}}});
+        expect(result).to.equal('sent');
+        expect(headers).to.deep.equal({ETag: etagForVersion(4)});
+    });
+
+    it('leaves other responses alone', () => {
+        expect(send({data: [{id: '1', type: 'widget', meta: {version: 4}}]}).headers).to.deep.equal({});
+        expect(send({data: {id: '1', type: 'user'}}).headers).to.deep.equal({});
+        expect(send({errors: []}).headers).to.deep.equal({});
+    });
+});
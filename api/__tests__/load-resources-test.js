@@ -0,0 +1,37 @@
+import {expect} from 'chai';
+import {resourceDefinitionFromModule} from '../resources/load-resources';
+
+const handlers = ['initialise', 'search', 'find', 'create', 'delete', 'update'].reduce((memo, handler) => {
+    memo[handler] = () => {};
+    return memo;
+}, {});
+
+const definition = {resource: 'thing', handlers, attributes: {}};
+
+describe('resourceDefinitionFromModule', () => {
+    it('accepts a default export from an ES module', () => {
+        const resourceModule = {__esModule: true, default: () => definition, ThingSerializer: {}};
+        expect(resourceDefinitionFromModule(resourceModule, 'thing-resource.js')).to.equal(definition);
+    });
+
+    it('accepts a module whose exports are the definition function', () => {
+        expect(resourceDefinitionFromModule(() => definition, 'thing-resource.js')).to.equal(definition);
+    });
+
+    it('rejects modules without a definition function', () => {
+        expect(() => resourceDefinitionFromModule({__esModule: true}, 'thing-resource.js'))
+            .to.throw(/thing-resource\.js: the default export must be a function/);
+    });
+
+    it('rejects definitions without a resource type', () => {
+        expect(() => resourceDefinitionFromModule(() => ({handlers, attributes: {}}), 'thing-resource.js'))
+            .to.throw(/`resource` must be the resource type name/);
+    });
+
+    it('names the missing handlers', () => {
+        const partialHandlers = {...handlers, update: undefined, delete: undefined};
+        const makeDefinition = () => ({...definition, handlers: partialHandlers});
+        expect(() => resourceDefinitionFromModule(makeDefinition, 'thing-resource.js'))
+            .to.throw(/`handlers` is missing delete, update/);
+    });
+});
@@ -0,0 +1,76 @@
+import {expect} from 'chai';
+import http from 'http';
+import url from 'url';
+import oauth2Strategy from '../auth-strategies/oauth2';
+import standInProvider from '../auth-strategies/stand-in-provider';
+
+const redirectURI = 'http://app.test/api/sessions/finishExternalLogin/stand-in';
+
+// Follows the provider's redirect back to the app, without going there, and returns its query
+function authorize(authorizationURL) {
+    return new Promise((resolve, reject) => {
+        http.get(authorizationURL, (response) => {
+            response.resume();
+            if (response.statusCode !== 302) {
+                reject(new Error('Expected a redirect, got ' + response.statusCode));
+            } else {
+                resolve(url.parse(response.headers.location, true).query);
+            }
+        }).on('error', reject);
+    });
+}
+
+describe('oauth2Strategy', () => {
+    let server;
+    let strategy;
+
+    before((done) => {
+        server = http.createServer(standInProvider({clientID: 'client', clientSecret: 'secret'}));
+        server.listen(0, 'localhost', () => {
+            const base = 'http://localhost:' + server.address().port;
+            strategy = oauth2Strategy({
+                name: 'stand-in',
+                label: 'Stand-in',
+                authorizationURL: base + '/authorize',
+                tokenURL: base + '/token',
+                userInfoURL: base + '/userinfo',
+                clientID: 'client',
+                clientSecret: 'secret'
+            });
+            done();
+        });
+    });
+
+    after((done) => {
+        server.close(done);
+    });
+
+    it('signs in through the provider and fetches the profile', () => {
+        const authorizationURL = strategy.authorizationURL({state: 'xyz', redirectURI});
+        return authorize(authorizationURL + '&email=someone%40example.com')
+            .then((query) => {
+                expect(query.state).to.equal('xyz');
+                return strategy.profileFromCallback({code: query.code, redirectURI});
+            })
+            .then((profile) => {
+                expect(profile).to.deep.equal({
+                    subject: 'stand-in:someone@example.com',
+                    email: 'someone@example.com',
+                    emailVerified: true
+                });
+            });
+    });
+
+    it('rejects codes that have already been used', () => {
+        return authorize(strategy.authorizationURL({state: 'xyz', redirectURI}) + '&email=someone%40example.com')
+            .then((query) => (
+                strategy.profileFromCallback({code: query.code, redirectURI})
+                    .then(() => strategy.profileFromCallback({code: query.code, redirectURI}))
+            ))
+            .then(() => {
+                throw new Error('Expected the second exchange to fail');
+            }, (error) => {
+                expect(error.status).to.equal(400);
+            });
+    });
+});
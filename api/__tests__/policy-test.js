@@ -0,0 +1,46 @@
+import {expect} from 'chai';
+import {permits} from '../../src/utilities/permissions';
+import {can} from '../resources/policy';
+
+const editorPermissions = [
+    {action: 'create', resource: 'widget', scope: 'any'},
+    {action: 'update', resource: 'widget', scope: 'own'}
+];
+
+describe('permits', () => {
+    it('matches the action and resource', () => {
+        expect(permits(editorPermissions, 'create', 'widget')).to.equal(true);
+        expect(permits(editorPermissions, 'delete', 'widget')).to.equal(false);
+        expect(permits(editorPermissions, 'create', 'user')).to.equal(false);
+    });
+
+    it('treats * as matching anything', () => {
+        expect(permits([{action: '*', resource: '*', scope: 'any'}], 'delete', 'user', false)).to.equal(true);
+        expect(permits([{action: 'read', resource: '*', scope: 'any'}], 'delete', 'user')).to.equal(false);
+    });
+
+    it('only applies own permissions to owned records, or when no record is given', () => {
+        expect(permits(editorPermissions, 'update', 'widget', true)).to.equal(true);
+        expect(permits(editorPermissions, 'update', 'widget', false)).to.equal(false);
+        expect(permits(editorPermissions, 'update', 'widget')).to.equal(true);
+    });
+
+    it('permits nothing without permissions', () => {
+        expect(permits(undefined, 'read', 'widget')).to.equal(false);
+    });
+});
+
+describe('can', () => {
+    const session = {userID: 7, permissions: editorPermissions};
+
+    it('decides ownership from the stored row', () => {
+        expect(can(session, 'update', 'widget', {id: 1, author_id: 7})).to.equal(true);
+        expect(can(session, 'update', 'widget', {id: 1, author_id: 8})).to.equal(false);
+        expect(can(session, 'update', 'widget', {id: 1, author_id: null})).to.equal(false);
+    });
+
+    it('permits nothing without a logged-in user', () => {
+        expect(can({permissions: editorPermissions}, 'create', 'widget')).to.equal(false);
+        expect(can(undefined, 'create', 'widget')).to.equal(false);
+    });
+});
@@ -0,0 +1,72 @@
+import {expect} from 'chai';
+import {setStore, lockoutDuration, checkLogin, recordLoginFailure, recordLoginSuccess} from '../throttle';
+import memoryStore from '../throttle/memory-store';
+
+// Records failures one after another, as `attemptAt(index)` for each index below `times`
+function failTimes(attemptAt, times) {
+    return Array.from({length: times}).reduce((failures, unused, index) => (
+        failures.then(() => recordLoginFailure(attemptAt(index)))
+    ), Promise.resolve());
+}
+
+describe('lockoutDuration', () => {
+    it('allows the free failures, then doubles up to a limit', () => {
+        const limit = {freeFailures: 5};
+        expect(lockoutDuration(4, limit)).to.equal(0);
+        expect(lockoutDuration(5, limit)).to.equal(30 * 1000);
+        expect(lockoutDuration(6, limit)).to.equal(60 * 1000);
+        expect(lockoutDuration(50, limit)).to.equal(60 * 60 * 1000);
+    });
+});
+
+describe('login throttling', () => {
+    beforeEach(() => {
+        setStore(memoryStore());
+    });
+
+    it('locks an account out after repeated failures, from any address', () => {
+        return failTimes(() => ({email: 'a@example.com', address: '10.0.0.1'}), 5)
+            .then(() => checkLogin({email: 'A@example.com ', address: '10.0.0.2'}))
+            .then(() => {
+                throw new Error('Expected a lockout');
+            }, (error) => {
+                expect(error.status).to.equal(429);
+                expect(error.code).to.equal('ETOOMANYATTEMPTS');
+                expect(error.retryAfter).to.be.within(1, 30);
+            });
+    });
+
+    it('locks an address out after failures across many accounts', () => {
+        return failTimes((index) => ({email: index + '@example.com', address: '10.0.0.1'}), 20)
+            .then(() => checkLogin({email: 'fresh@example.com', address: '10.0.0.2'}))
+            .then(() => checkLogin({email: 'fresh@example.com', address: '10.0.0.1'}))
+            .then(() => {
+                throw new Error('Expected a lockout');
+            }, (error) => {
+                expect(error.status).to.equal(429);
+            });
+    });
+
+    it('forgets an account\'s failures after a successful login', () => {
+        const attempt = {email: 'a@example.com', address: '10.0.0.1'};
+        return failTimes(() => attempt, 4)
+            .then(() => recordLoginSuccess(attempt))
+            .then(() => failTimes(() => attempt, 4))
+            .then(() => checkLogin(attempt));
+    });
+
+    it('counts failures recorded at the same time', () => {
+        const attempt = {email: 'a@example.com', address: '10.0.0.1'};
+        return Promise.all(Array.from({length: 5}).map(() => recordLoginFailure(attempt)))
+            .then(() => checkLogin(attempt))
+            .then(() => {
+                throw new Error('Expected a lockout');
+            }, (error) => {
+                expect(error.status).to.equal(429);
+            });
+    });
+
+    it('rejects stores without the required methods', () => {
+        expect(() => setStore({get() {}})).to.throw(/throttle store/);
+    });
+});
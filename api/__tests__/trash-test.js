@@ -0,0 +1,45 @@
+import {expect} from 'chai';
+import {registerTrash, trashHandler, purgeTrash} from '../resources/trash';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function fakeHandler(softDelete) {
+    const handler = {
+        softDelete,
+        purged: [],
+        purge(type, cutoff) {
+            handler.purged.push({type, cutoff});
+            return Promise.resolve([{id: 1}, {id: 2}]);
+        }
+    };
+    return handler;
+}
+
+describe('trash', () => {
+    let widgetHandler;
+    let userHandler;
+
+    beforeEach(() => {
+        widgetHandler = fakeHandler(true);
+        userHandler = fakeHandler(false);
+        registerTrash([
+            {resource: 'widget', handlers: widgetHandler},
+            {resource: 'user', handlers: userHandler}
+        ]);
+    });
+
+    it('only keeps track of soft-deleting handlers', () => {
+        expect(trashHandler('widget')).to.equal(widgetHandler);
+        expect(trashHandler('user')).to.equal(null);
+        expect(trashHandler('constructor')).to.equal(null);
+    });
+
+    it('purges what was deleted before the retention period', () => {
+        const now = Date.UTC(2016, 9, 31);
+        return purgeTrash(30, now).then((count) => {
+            expect(count).to.equal(2);
+            expect(widgetHandler.purged).to.deep.equal([{type: 'widget', cutoff: new Date(now - 30 * DAY)}]);
+            expect(userHandler.purged).to.deep.equal([]);
+        });
+    });
+});
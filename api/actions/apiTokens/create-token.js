@@ -0,0 +1,8 @@
+import { createToken as createStoredToken } from '../../models/api-token';
+import requireLogin from '../require-login';
+
+export default function createToken(req) {
+    return requireLogin(req)
+        .then((userID) => createStoredToken(userID, {name: req.body.name, scopes: req.body.scopes}))
+        .then((token) => ({data: token}));
+}
@@ -0,0 +1,3 @@
+export listTokens from './list-tokens';
+export createToken from './create-token';
+export revokeToken from './revoke-token';
@@ -0,0 +1,9 @@
+import { listTokens as listStoredTokens } from '../../models/api-token';
+import requireLogin from '../require-login';
+
+export default function listTokens(req) {
+    return requireLogin(req)
+        .then((userID) => listStoredTokens(userID))
+        .then((tokens) => ({data: tokens}));
+}
+listTokens.readOnly = true;
@@ -0,0 +1,8 @@
+import { revokeToken as revokeStoredToken } from '../../models/api-token';
+import requireLogin from '../require-login';
+
+export default function revokeToken(req) {
+    return requireLogin(req)
+        .then((userID) => revokeStoredToken(userID, req.body.id))
+        .then(() => ({}));
+}
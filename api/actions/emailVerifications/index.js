@@ -0,0 +1,2 @@
+export verifyEmail from './verify-email';
+export resendVerification from './resend-verification';
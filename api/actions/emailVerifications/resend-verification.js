@@ -0,0 +1,12 @@
+import { resendVerification as resendStoredVerification } from '../../models/email-verification';
+
+export default function resendVerification(req) {
+    if (!(req.session && req.session.userID)) {
+        return Promise.reject({
+            message: 'You need to be logged in to do that',
+            status: 401
+        });
+    }
+    return resendStoredVerification(req.session.userID)
+        .then(() => ({}));
+}
@@ -0,0 +1,11 @@
+import { verifyEmail as verifyStoredEmail } from '../../models/email-verification';
+
+export default function verifyEmail(req) {
+    return verifyStoredEmail(req.body.token)
+        .then((userID) => {
+            if (req.session && req.session.userID === userID) {
+                req.session.emailVerified = true;
+            }
+            return {};
+        });
+}
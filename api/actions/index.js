@@ -1 +1,5 @@
 export * as sessions from './sessions/index';
+export * as passwordResets from './passwordResets/index';
+export * as emailVerifications from './emailVerifications/index';
+export * as apiTokens from './apiTokens/index';
+export * as trash from './trash/index';
@@ -0,0 +1,6 @@
+import { resetPassword } from '../../models/password-reset';
+
+export default function confirmPasswordReset(req) {
+    return resetPassword(req.body.token, req.body.password)
+        .then(() => ({}));
+}
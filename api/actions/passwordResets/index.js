@@ -0,0 +1,2 @@
+export requestPasswordReset from './request-password-reset';
+export confirmPasswordReset from './confirm-password-reset';
@@ -0,0 +1,31 @@
+import config from '../../../src/config';
+import { findByEmail } from '../../models/user';
+import { createToken } from '../../models/password-reset';
+import { sendMail } from '../../mail';
+
+function resetMessage(email, token) {
+    const resetUrl = config.appUrl + '/login?resetToken=' + encodeURIComponent(token);
+    return {
+        to: email,
+        subject: 'Reset your password',
+        text: 'Someone (hopefully you) asked to reset the password for ' + email + '.\n\n' +
+            'To choose a new password, visit ' + resetUrl + ' within the next hour.\n\n' +
+            'If you didn\'t ask for this, you can ignore this email.'
+    };
+}
+
+export default function requestPasswordReset(req) {
+    const email = req.body.email ? ('' + req.body.email) : '';
+    // Resolve the same way whether or not the email belongs to a user, so this can't be
+    // used to find out who has an account
+    return new Promise((resolve, reject) => {
+        findByEmail(email)
+            .then((user) => {
+                createToken(user.id)
+                    .then((token) => sendMail(resetMessage(user.email, token)))
+                    .then(() => { resolve({}); })
+                    .catch((error) => { reject(error); });
+            })
+            .catch(() => { resolve({}); });
+    });
+}
@@ -0,0 +1,20 @@
+/**
+Resolves to the logged-in user's ID, or rejects with a 401 error if nobody is logged in. Requests
+made with an API token are refused too, since actions that use this manage the login itself, and
+a leaked token shouldn't be enough to do that.
+*/
+export default function requireLogin(req) {
+    if (!(req.session && req.session.userID)) {
+        return Promise.reject({
+            message: 'You need to be logged in to do that',
+            status: 401
+        });
+    }
+    if (req.session.apiTokenID) {
+        return Promise.reject({
+            message: 'This can\'t be done with an API token',
+            status: 403
+        });
+    }
+    return Promise.resolve(req.session.userID);
+}
@@ -1,10 +1,46 @@
-import { create as createStoredSession } from '../../models/session';
+import { logIn } from '../../models/session';
+import { recordSession } from '../../models/user-session';
+import { recordSessionAuditEntry } from '../../models/audit-entry';
+import { getStrategy } from '../../auth-strategies';
+import { checkLogin, recordLoginFailure, recordLoginSuccess } from '../../throttle';
 import serializeUser from './serialize-user';
 
+/**
+Logs in with credentials for the sign-in strategy named `strategy` in the request body, which is
+email and password by default. Strategies that send users elsewhere to sign in go through
+startExternalLogin instead.
+*/
 export default function createSession(req) {
+    const strategy = getStrategy(req.body.strategy || 'password');
+    if (!strategy || typeof strategy.authenticate !== 'function') {
+        return Promise.reject({
+            message: 'Unknown sign-in strategy',
+            status: 400
+        });
+    }
+    const attempt = {email: req.body.email, address: req.ip};
     return new Promise((resolve, reject) => {
-        createStoredSession(req.session, req.body.email, req.body.password)
+        checkLogin(attempt)
+            .then(() => (
+                strategy.authenticate(req.body)
+                    .catch((error) => {
+                        if (error.status === 403) {
+                            return recordLoginFailure(attempt)
+                                .then(() => Promise.reject(error));
+                        }
+                        return Promise.reject(error);
+                    })
+            ))
+            .then((user) => logIn(req.session, user))
             .then(({user, session}) => {
+                recordLoginSuccess(attempt)
+                    .catch((error) => { console.error('Failed to reset login throttle:', error); });
+                session.lastTrackedAt = Date.now();
+                recordSession(req)
+                    .then((userSession) => (
+                        recordSessionAuditEntry(req, 'login', {after: userSession, details: {strategy: strategy.name}})
+                    ))
+                    .catch((error) => { console.error('Failed to record session:', error); });
                 serializeUser(user, req)
                     .then((userJSONAPIData) => {
                         resolve({data: userJSONAPIData, session});
@@ -1,5 +1,30 @@
 import { destroy as deleteStoredSession } from '../../models/session';
+import { findSession, forgetSession } from '../../models/user-session';
+import { recordSessionAuditEntry } from '../../models/audit-entry';
 
 export default function deleteSession(req) {
-    return deleteStoredSession(req);
+    if (req.session && req.session.apiTokenID) {
+        return Promise.reject({
+            message: 'API tokens can\'t log out; revoke the token instead',
+            status: 400
+        });
+    }
+    const sid = req.sessionID;
+    return findSession(sid)
+        .catch((error) => {
+            console.error('Failed to find session:', error);
+            return null;
+        })
+        .then((userSession) => {
+            // Recorded before the session is destroyed, while it still says who is logging out
+            if (req.session && req.session.userID) {
+                recordSessionAuditEntry(req, 'logout', {before: userSession});
+            }
+            return deleteStoredSession(req);
+        })
+        .then((result) => {
+            forgetSession(sid)
+                .catch((error) => { console.error('Failed to forget session:', error); });
+            return result;
+        });
 }
@@ -0,0 +1,50 @@
+import config from '../../../src/config';
+import { getStrategy } from '../../auth-strategies';
+import { logIn } from '../../models/session';
+import { userForProfile } from '../../models/identity';
+import { recordSession } from '../../models/user-session';
+import { recordSessionAuditEntry } from '../../models/audit-entry';
+import { redirectURIFor } from './start-external-login';
+
+function loginPageWithError(message) {
+    return config.appUrl + '/login?externalLoginError=' + encodeURIComponent(message);
+}
+
+/**
+Where providers send the browser back to after startExternalLogin. Logs in as the user that the
+provider's profile is linked to, and sends the browser back to the app either way.
+*/
+export default function finishExternalLogin(req, [strategyName]) {
+    const strategy = getStrategy(strategyName);
+    const expected = req.session.externalLogin;
+    delete req.session.externalLogin;
+    if (!strategy || typeof strategy.profileFromCallback !== 'function' || !expected ||
+        expected.strategy !== strategyName || expected.state !== req.query.state) {
+        return Promise.reject({redirect: loginPageWithError('That sign-in link has expired. Please try again.')});
+    }
+    if (!req.query.code) {
+        return Promise.reject({redirect: loginPageWithError('Signing in was cancelled.')});
+    }
+    return strategy.profileFromCallback({code: req.query.code, redirectURI: redirectURIFor(strategyName)})
+        .then((profile) => userForProfile(strategyName, profile))
+        .then((user) => logIn(req.session, user))
+        .then(({session}) => {
+            session.lastTrackedAt = Date.now();
+            recordSession(req)
+                .then((userSession) => (
+                    recordSessionAuditEntry(req, 'login', {after: userSession, details: {strategy: strategyName}})
+                ))
+                .catch((error) => { console.error('Failed to record session:', error); });
+            return (res) => {
+                res.redirect(config.appUrl + '/loginSuccess');
+            };
+        })
+        .catch((error) => {
+            console.error('External login failed:', error);
+            return Promise.reject({
+                redirect: loginPageWithError((error && error.status < 500 && error.message) || 'Signing in didn\'t work. Please try again.')
+            });
+        });
+}
+// Providers redirect the browser here, and the state parameter stands in for a CSRF token
+finishExternalLogin.readOnly = true;
@@ -0,0 +1,9 @@
+import { csrfTokenFor } from '../../utils/csrf';
+
+/**
+The token that mutating requests with this session's cookie must send in an X-CSRF-Token header.
+*/
+export default function getCsrfToken(req) {
+    return Promise.resolve({csrfToken: csrfTokenFor(req.session)});
+}
+getCsrfToken.readOnly = true;
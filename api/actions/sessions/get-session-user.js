@@ -1,11 +1,14 @@
 import { get as getUser } from '../../models/user';
+import { refreshPermissions } from '../../models/session';
 import serializeUser from './serialize-user';
 
 export default function getSessionUser(req) {
     return (req.session && req.session.userID) ?
     new Promise((resolve, reject) => {
-        getUser(req.session.userID)
-            .then((user) => {
+        Promise.all([getUser(req.session.userID), refreshPermissions(req.session)])
+            .then(([user]) => {
+                // Picks up changes made from other sessions, like unverifying a changed email address
+                req.session.emailVerified = !!user.email_verified_at;
                 serializeUser(user, req)
                     .then((userJSONAPIData) => {
                         resolve({data: userJSONAPIData});
@@ -16,3 +19,4 @@ export default function getSessionUser(req) {
     })
     : Promise.resolve({data: null});
 }
+getSessionUser.readOnly = true;
@@ -1,3 +1,11 @@
 export getSessionUser from './get-session-user';
+export getCsrfToken from './get-csrf-token';
 export createSession from './create-session';
 export deleteSession from './delete-session';
+export listStrategies from './list-strategies';
+export startExternalLogin from './start-external-login';
+export finishExternalLogin from './finish-external-login';
+export listSessions from './list-sessions';
+export revokeSession from './revoke-session';
+export revokeOtherSessions from './revoke-other-sessions';
+export revokeUserSessions from './revoke-user-sessions';
@@ -0,0 +1,18 @@
+import { listSessions as listStoredSessions } from '../../models/user-session';
+import requireLogin from '../require-login';
+
+export default function listSessions(req) {
+    return requireLogin(req)
+        .then((userID) => listStoredSessions(userID))
+        .then((userSessions) => ({
+            data: userSessions.map((userSession) => ({
+                id: userSession.id,
+                created_at: userSession.created_at,
+                last_seen_at: userSession.last_seen_at,
+                ip_address: userSession.ip_address,
+                user_agent: userSession.user_agent,
+                current: userSession.sid === req.sessionID
+            }))
+        }));
+}
+listSessions.readOnly = true;
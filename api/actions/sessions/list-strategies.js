@@ -0,0 +1,6 @@
+import { listExternalStrategies } from '../../auth-strategies';
+
+export default function listStrategies() {
+    return Promise.resolve({data: listExternalStrategies()});
+}
+listStrategies.readOnly = true;
@@ -0,0 +1,14 @@
+import { revokeSessions } from '../../models/user-session';
+import { recordSessionAuditEntry } from '../../models/audit-entry';
+import requireLogin from '../require-login';
+
+export default function revokeOtherSessions(req) {
+    return requireLogin(req)
+        .then((userID) => revokeSessions(req.sessionStore, userID, req.sessionID))
+        .then((revoked) => {
+            revoked.forEach((userSession) => {
+                recordSessionAuditEntry(req, 'revoke', {before: userSession});
+            });
+            return {};
+        });
+}
@@ -0,0 +1,28 @@
+import { listSessions, revokeSession as revokeStoredSession } from '../../models/user-session';
+import { recordSessionAuditEntry } from '../../models/audit-entry';
+import deleteSession from './delete-session';
+import requireLogin from '../require-login';
+
+export default function revokeSession(req) {
+    return requireLogin(req)
+        .then((userID) => listSessions(userID))
+        .then((userSessions) => {
+            // Only look among the user's own sessions, so nobody can revoke anyone else's
+            const userSession = userSessions.find((candidate) => String(candidate.id) === String(req.body.id));
+            if (!userSession) {
+                return Promise.reject({
+                    message: 'That session doesn\'t exist, or has already ended',
+                    status: 404
+                });
+            }
+            if (userSession.sid === req.sessionID) {
+                // Destroying it through the request keeps express-session from saving it again afterwards
+                return deleteSession(req);
+            }
+            return revokeStoredSession(req.sessionStore, userSession)
+                .then(() => {
+                    recordSessionAuditEntry(req, 'revoke', {before: userSession});
+                });
+        })
+        .then(() => ({}));
+}
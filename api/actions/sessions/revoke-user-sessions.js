@@ -0,0 +1,26 @@
+import { revokeSessions } from '../../models/user-session';
+import { recordSessionAuditEntry } from '../../models/audit-entry';
+import { can } from '../../resources/policy';
+import requireLogin from '../require-login';
+
+/**
+Logs a user out everywhere, e.g. when their account may have been compromised. Admins only.
+*/
+export default function revokeUserSessions(req) {
+    return requireLogin(req)
+        .then(() => {
+            if (!can(req.session, 'delete', 'session')) {
+                return Promise.reject({
+                    message: 'You aren\'t allowed to do that',
+                    status: 403
+                });
+            }
+            return revokeSessions(req.sessionStore, parseInt(req.body.userID, 10));
+        })
+        .then((revoked) => {
+            revoked.forEach((userSession) => {
+                recordSessionAuditEntry(req, 'revoke', {before: userSession});
+            });
+            return {};
+        });
+}
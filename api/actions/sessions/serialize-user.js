@@ -8,6 +8,11 @@ export default function serializeUser(user, request) {
             }
             const generateJSONAPIData = require('jsonapi-server/lib/responseHelper')._generateDataItem;
             const userJSONAPIData = generateJSONAPIData(formattedResult, (new UserResource()).attributes);
+            // The client checks these to decide what to show; the API enforces them on its own
+            userJSONAPIData.meta = {
+                ...userJSONAPIData.meta,
+                permissions: (request.session && request.session.permissions) || []
+            };
             resolve(userJSONAPIData);
         }, {request, type: 'user'});
     });
@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+import config from '../../../src/config';
+import { getStrategy } from '../../auth-strategies';
+
+export function redirectURIFor(strategyName) {
+    return config.appUrl + '/api/sessions/finishExternalLogin/' + strategyName;
+}
+
+/**
+Sends the browser to the provider of the sign-in strategy named in the URL, which sends it back
+to finishExternalLogin.
+*/
+export default function startExternalLogin(req, [strategyName]) {
+    const strategy = getStrategy(strategyName);
+    if (!strategy || typeof strategy.authorizationURL !== 'function') {
+        return Promise.reject({
+            message: 'Unknown sign-in strategy',
+            status: 404
+        });
+    }
+    // Ties the provider's response to this browser, so nobody can log someone else in as themselves
+    const state = crypto.randomBytes(16).toString('hex');
+    req.session.externalLogin = {strategy: strategyName, state};
+    const authorizationURL = strategy.authorizationURL({state, redirectURI: redirectURIFor(strategyName)});
+    return Promise.resolve((res) => {
+        res.redirect(authorizationURL);
+    });
+}
+// Followed as a link
+startExternalLogin.readOnly = true;
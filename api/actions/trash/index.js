@@ -0,0 +1 @@
+export restore from './restore';
@@ -0,0 +1,17 @@
+import { trashHandler } from '../../resources/trash';
+
+/**
+Restores the deleted resource of `type` with `id`, given in the request body, for those allowed to.
+*/
+export default function restore(req) {
+    const {type, id} = req.body;
+    const handler = trashHandler(type);
+    if (!handler) {
+        return Promise.reject({
+            message: 'Deleted resources of that type can\'t be restored',
+            status: 404
+        });
+    }
+    return handler.restore({params: {type, id}, session: req.session, ip: req.ip})
+        .then(() => ({}));
+}
@@ -1,6 +1,5 @@
 import express from 'express';
 import session from 'express-session';
-import bodyParser from 'body-parser';
 import config from '../src/config';
 import * as actions from './actions/index';
 import {mapUrl} from 'utils/url.js';
@@ -9,6 +8,15 @@ import http from 'http';
 import SocketIo from 'socket.io';
 import redisStoreMaker from 'connect-redis';
 import urlParse from 'url-parse';
+import {extendResponseHelper} from './resources/jsonapi-pagination';
+import {extendResponseHelper as extendSearchResponseHelper} from './resources/jsonapi-search';
+import {extendRouter} from './resources/jsonapi-versions';
+import loadResources from './resources/load-resources';
+import { registerTrash, startPurgingTrash } from './resources/trash';
+import { registerRelatedHandlers } from './resources/jsonapi-relationships';
+import startChat from './chat';
+import { actionAllowsMethod } from './utils/csrf';
+import useAuthenticationMiddleware from './utils/authentication-middleware';
 
 const pretty = new PrettyError();
 const app = express();
@@ -36,8 +44,16 @@ if (process.env.NODE_ENV === 'production') {
 } else {
     sessionOptions.store = new session.MemoryStore;
 }
-app.use(session(sessionOptions));
-app.use(bodyParser.json());
+// Requests reach us through the app server's proxy, so take client addresses from X-Forwarded-For
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+// Chat sockets share the sessions (see chat.js), but not API tokens
+const sessionMiddleware = session(sessionOptions);
+useAuthenticationMiddleware(app, sessionMiddleware, {
+    standIn: process.env.OAUTH_STAND_IN && process.env.NODE_ENV !== 'production' && {
+        browserURL: config.appUrl + '/api/oauth-stand-in',
+        serverURL: 'http://localhost:' + config.apiPort + '/oauth-stand-in'
+    }
+});
 
 
 app.use((req, res, next) => {
@@ -45,7 +61,13 @@ app.use((req, res, next) => {
 
     const {action, params} = mapUrl(actions, splittedUrlPath);
 
-    if (action) {
+    if (action && !actionAllowsMethod(action, req.method)) {
+        res.set('Allow', action.readOnly ? 'GET, HEAD, OPTIONS, POST' : 'POST');
+        res.status(405).json({
+            message: 'This action has to be POSTed',
+            status: 405
+        });
+    } else if (action) {
         action(req, params)
         .then((result) => {
             if (result instanceof Function) {
@@ -58,6 +80,9 @@ app.use((req, res, next) => {
                 res.redirect(reason.redirect);
             } else {
                 console.error('API ERROR:', pretty.render(reason));
+                if (reason.retryAfter) {
+                    res.set('Retry-After', String(reason.retryAfter));
+                }
                 res.status(reason.status || 500).json(reason);
             }
         });
@@ -80,10 +105,16 @@ const bootstrapJsonApi = (expressApp, jsonAPIConfig) => {
     // constructor, which now returns your existing express instance
     const jsonApi = require('jsonapi-server');
     jsonApi.setConfig(jsonAPIConfig);
+    extendResponseHelper(require('jsonapi-server/lib/responseHelper'));
+    extendSearchResponseHelper(require('jsonapi-server/lib/responseHelper'));
+    extendRouter(require('jsonapi-server/lib/router'));
 
-    // TODO: find all ./resources/*-resource
-    jsonApi.define(require('./resources/user-resource').default());
-    jsonApi.define(require('./resources/widget-resource')());
+    const resourceDefinitions = loadResources();
+    resourceDefinitions.forEach((resourceDefinition) => {
+        jsonApi.define(resourceDefinition);
+    });
+    registerTrash(resourceDefinitions);
+    registerRelatedHandlers(resourceDefinitions);
 
     jsonApi.start();
 };
@@ -98,10 +129,6 @@ const jsonAPIConfig = {
 };
 bootstrapJsonApi(app, jsonAPIConfig);
 
-const bufferSize = 100;
-const messageBuffer = new Array(bufferSize);
-let messageIndex = 0;
-
 if (config.apiPort) {
     const runnable = app.listen(config.apiPort, (err) => {
         if (err) {
@@ -110,27 +137,8 @@ if (config.apiPort) {
         console.info('----\n==> 🌎  API is running on port %s', config.apiPort);
         console.info('==> 💻  Send requests to http://%s:%s', config.apiHost, config.apiPort);
     });
-
-    io.on('connection', (socket) => {
-        socket.emit('news', {msg: `'Hello World!' from server`});
-
-        socket.on('history', () => {
-            for (let index = 0; index < bufferSize; index++) {
-                const msgNo = (messageIndex + index) % bufferSize;
-                const msg = messageBuffer[msgNo];
-                if (msg) {
-                    socket.emit('msg', msg);
-                }
-            }
-        });
-
-        socket.on('msg', (data) => {
-            data.id = messageIndex;
-            messageBuffer[messageIndex % bufferSize] = data;
-            messageIndex++;
-            io.emit('msg', data);
-        });
-    });
+    startPurgingTrash();
+    startChat(io, sessionMiddleware);
     io.listen(runnable);
 } else {
     console.error('==>     ERROR: No PORT environment variable has been specified');
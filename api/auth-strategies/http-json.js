@@ -0,0 +1,49 @@
+import http from 'http';
+import https from 'https';
+import url from 'url';
+
+/**
+Makes an HTTP(S) request and resolves to its parsed JSON response body, or rejects with
+`{status, body}` if the response isn't a success.
+*/
+export default function requestJSON(method, requestURL, {headers = {}, form} = {}) {
+    const parsed = url.parse(requestURL);
+    const body = form ? url.format({query: form}).slice(1) : null;
+    const options = {
+        method,
+        protocol: parsed.protocol,
+        hostname: parsed.hostname,
+        port: parsed.port,
+        path: parsed.path,
+        headers: {
+            accept: 'application/json',
+            ...(body ? {'content-type': 'application/x-www-form-urlencoded'} : {}),
+            ...headers
+        }
+    };
+    return new Promise((resolve, reject) => {
+        const request = (parsed.protocol === 'https:' ? https : http).request(options, (response) => {
+            let responseBody = '';
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => { responseBody += chunk; });
+            response.on('end', () => {
+                let parsedBody;
+                try {
+                    parsedBody = JSON.parse(responseBody);
+                } catch (error) {
+                    parsedBody = responseBody;
+                }
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve(parsedBody);
+                } else {
+                    reject({status: response.statusCode, body: parsedBody});
+                }
+            });
+        });
+        request.on('error', reject);
+        if (body) {
+            request.write(body);
+        }
+        request.end();
+    });
+}
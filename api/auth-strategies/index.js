@@ -0,0 +1,51 @@
+import passwordStrategy from './password';
+import oauth2Strategy from './oauth2';
+
+/**
+Sign-in strategies, by name. A strategy has a `name`, a `label` to show users, and either:
+
+- `authenticate(credentials, db)`, resolving to the users row that `credentials` (the body
+  posted to sessions/createSession) belong to, for strategies that take credentials directly; or
+- `authorizationURL({state, redirectURI})` and `profileFromCallback({code, redirectURI})`, for
+  strategies that send users to an external provider and back. The profile is
+  `{subject, email, emailVerified}`, and is linked to a user through the identities table.
+*/
+const strategies = {};
+
+export function registerStrategy(strategy) {
+    const takesCredentials = typeof strategy.authenticate === 'function';
+    const redirects = typeof strategy.authorizationURL === 'function' && typeof strategy.profileFromCallback === 'function';
+    if (!strategy.name || !(takesCredentials || redirects)) {
+        throw new Error('A sign-in strategy needs a name, and either authenticate() or authorizationURL() and profileFromCallback()');
+    }
+    strategies[strategy.name] = strategy;
+}
+
+export function getStrategy(name) {
+    return strategies[name] || null;
+}
+
+/**
+What the client needs to show a button for each strategy that sends users elsewhere to sign in.
+*/
+export function listExternalStrategies() {
+    return Object.keys(strategies)
+        .map((name) => strategies[name])
+        .filter((strategy) => typeof strategy.authorizationURL === 'function')
+        .map(({name, label}) => ({name, label}));
+}
+
+registerStrategy(passwordStrategy);
+
+if (process.env.OAUTH_CLIENT_ID) {
+    registerStrategy(oauth2Strategy({
+        name: process.env.OAUTH_NAME || 'oauth',
+        label: process.env.OAUTH_LABEL || 'Single sign-on',
+        authorizationURL: process.env.OAUTH_AUTHORIZATION_URL,
+        tokenURL: process.env.OAUTH_TOKEN_URL,
+        userInfoURL: process.env.OAUTH_USERINFO_URL,
+        clientID: process.env.OAUTH_CLIENT_ID,
+        clientSecret: process.env.OAUTH_CLIENT_SECRET,
+        scope: process.env.OAUTH_SCOPE
+    }));
+}
@@ -0,0 +1,61 @@
+import url from 'url';
+import requestJSON from './http-json';
+
+/**
+A sign-in strategy for a generic OAuth2 provider using the authorization code flow, such as an
+OpenID Connect provider. Users are sent to `authorizationURL`, come back with a code, which is
+exchanged at `tokenURL` for an access token, which fetches their profile from `userInfoURL`.
+The profile should have OpenID Connect's standard claims: `sub`, `email` and `email_verified`.
+*/
+export default function oauth2Strategy({name, label, authorizationURL, tokenURL, userInfoURL, clientID, clientSecret, scope = 'openid email'}) {
+    return {
+        name,
+        label,
+
+        authorizationURL({state, redirectURI}) {
+            const parsed = url.parse(authorizationURL, true);
+            delete parsed.search;
+            parsed.query = {
+                ...parsed.query,
+                response_type: 'code',
+                client_id: clientID,
+                redirect_uri: redirectURI,
+                scope,
+                state
+            };
+            return url.format(parsed);
+        },
+
+        /**
+        Resolves to the `{subject, email, emailVerified}` of the user the provider sent back
+        with `code`.
+        */
+        profileFromCallback({code, redirectURI}) {
+            return requestJSON('POST', tokenURL, {
+                form: {
+                    grant_type: 'authorization_code',
+                    code,
+                    redirect_uri: redirectURI,
+                    client_id: clientID,
+                    client_secret: clientSecret
+                }
+            })
+                .then((tokens) => requestJSON('GET', userInfoURL, {
+                    headers: {authorization: 'Bearer ' + tokens.access_token}
+                }))
+                .then((profile) => {
+                    if (!profile || !profile.sub) {
+                        return Promise.reject({
+                            message: 'The sign-in provider didn\'t say who you are',
+                            status: 502
+                        });
+                    }
+                    return {
+                        subject: String(profile.sub),
+                        email: profile.email || null,
+                        emailVerified: profile.email_verified === true || profile.email_verified === 'true'
+                    };
+                });
+        }
+    };
+}
@@ -0,0 +1,42 @@
+import bcrypt from 'bcryptjs';
+import {findByEmail} from '../models/user';
+
+function checkPassword(inputPassword, dbHash, dbSalt) {
+    const hashedInput = bcrypt.hashSync(inputPassword, dbSalt);
+    return hashedInput === dbHash;
+}
+
+function mismatchError() {
+    return {
+        message: 'Email or password did not match',
+        status: 403
+    };
+}
+
+/**
+The built-in sign-in strategy: an email address and password.
+*/
+export default {
+    name: 'password',
+    label: 'Email and password',
+
+    authenticate({email: inputEmail, password: inputPassword}, db) {
+        const email = inputEmail ? inputEmail : '';
+        const password = inputPassword ? inputPassword : '';
+        return new Promise((resolve, reject) => {
+            findByEmail(email, db)
+                .then((foundUser) => {
+                    // Users who only sign in through other strategies have no password
+                    if (foundUser.password && checkPassword(password, foundUser.password, foundUser.salt)) {
+                        resolve(foundUser);
+                    } else {
+                        reject(mismatchError());
+                    }
+                })
+                .catch(() => {
+                    checkPassword(password, 'prevent timing attacks', bcrypt.genSaltSync(10));
+                    reject(mismatchError());
+                });
+        });
+    }
+};
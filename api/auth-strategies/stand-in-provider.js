@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import url from 'url';
+import querystring from 'querystring';
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (character) => '&#' + character.charCodeAt(0) + ';');
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, {'content-type': 'application/json'});
+    res.end(JSON.stringify(body));
+}
+
+function readForm(req) {
+    return new Promise((resolve) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => { resolve(querystring.parse(body)); });
+    });
+}
+
+/**
+A tiny OAuth2/OpenID Connect provider for development and tests, so that external sign-in can be
+tried without registering with a real one. It's a plain `(req, res)` request handler, to mount
+with express or serve with http.createServer, and it trusts whoever uses it: /authorize signs in
+as any email address given in its `email` parameter (asking for one if there isn't one).
+*/
+export default function standInProvider({clientID, clientSecret}) {
+    const codes = {};
+    const accessTokens = {};
+
+    function authorize(req, res, query) {
+        if (query.client_id !== clientID || !query.redirect_uri) {
+            sendJSON(res, 400, {error: 'invalid_request'});
+            return;
+        }
+        if (!query.email) {
+            const hiddenFields = Object.keys(query).map((key) => (
+                '<input type="hidden" name="' + escapeHTML(key) + '" value="' + escapeHTML(query[key]) + '">'
+            )).join('');
+            res.writeHead(200, {'content-type': 'text/html'});
+            res.end(
+                '<form method="get">' + hiddenFields +
+                '<p>Stand-in sign-in provider. Sign in as: <input name="email" type="email"> ' +
+                '<button>Sign In</button></p></form>'
+            );
+            return;
+        }
+        const code = crypto.randomBytes(16).toString('hex');
+        codes[code] = {email: query.email, redirectURI: query.redirect_uri};
+        const redirect = url.parse(query.redirect_uri, true);
+        delete redirect.search;
+        redirect.query = {...redirect.query, code, state: query.state};
+        res.writeHead(302, {location: url.format(redirect)});
+        res.end();
+    }
+
+    function token(req, res) {
+        readForm(req).then((form) => {
+            const grant = codes[form.code];
+            delete codes[form.code];
+            if (form.client_id !== clientID || form.client_secret !== clientSecret) {
+                sendJSON(res, 401, {error: 'invalid_client'});
+            } else if (!grant || grant.redirectURI !== form.redirect_uri) {
+                sendJSON(res, 400, {error: 'invalid_grant'});
+            } else {
+                const accessToken = crypto.randomBytes(16).toString('hex');
+                accessTokens[accessToken] = grant.email;
+                sendJSON(res, 200, {access_token: accessToken, token_type: 'Bearer'});
+            }
+        });
+    }
+
+    function userInfo(req, res) {
+        const email = accessTokens[(req.headers.authorization || '').replace(/^Bearer /, '')];
+        if (!email) {
+            sendJSON(res, 401, {error: 'invalid_token'});
+            return;
+        }
+        sendJSON(res, 200, {sub: 'stand-in:' + email, email, email_verified: true});
+    }
+
+    return (req, res) => {
+        const parsed = url.parse(req.url, true);
+        if (parsed.pathname === '/authorize' && req.method === 'GET') {
+            authorize(req, res, parsed.query);
+        } else if (parsed.pathname === '/token' && req.method === 'POST') {
+            token(req, res);
+        } else if (parsed.pathname === '/userinfo' && req.method === 'GET') {
+            userInfo(req, res);
+        } else {
+            sendJSON(res, 404, {error: 'not_found'});
+        }
+    };
+}
@@ -0,0 +1,111 @@
+/**
+Who is in each chat room right now, and who is typing there, for chat.js. Both are kept in
+memory, so each API process only knows about its own sockets.
+*/
+
+/**
+Tracks the users connected to each room. A user can be connected from several sockets (say, one
+per browser tab), and only comes online in a room with their first socket there, and goes
+offline with their last.
+*/
+export class Presence {
+    // room ID -> user ID -> {user, socketIDs}
+    rooms = {};
+
+    /**
+    Notes that `user`'s socket `socketID` is in the room. Returns whether that brought them online there.
+    */
+    add(roomID, socketID, user) {
+        const users = this.rooms[roomID] = this.rooms[roomID] || {};
+        const entry = users[user.id] = users[user.id] || {user, socketIDs: []};
+        if (entry.socketIDs.indexOf(socketID) < 0) {
+            entry.socketIDs.push(socketID);
+        }
+        return entry.socketIDs.length === 1;
+    }
+
+    /**
+    Notes that the socket `socketID` of the user `userID` has left the room. Returns whether that
+    took them offline there.
+    */
+    remove(roomID, socketID, userID) {
+        const users = this.rooms[roomID] || {};
+        const entry = users[userID];
+        if (!entry || entry.socketIDs.indexOf(socketID) < 0) {
+            return false;
+        }
+        entry.socketIDs = entry.socketIDs.filter((id) => id !== socketID);
+        if (entry.socketIDs.length > 0) {
+            return false;
+        }
+        delete users[userID];
+        if (Object.keys(users).length === 0) {
+            delete this.rooms[roomID];
+        }
+        return true;
+    }
+
+    /**
+    Notes that the socket `socketID` of the user `userID` has disconnected from every room.
+    Returns the IDs of the rooms that took them offline in.
+    */
+    removeSocket(socketID, userID) {
+        return Object.keys(this.rooms)
+            .filter((roomID) => this.remove(roomID, socketID, userID))
+            .map((roomID) => parseInt(roomID, 10));
+    }
+
+    removeRoom(roomID) {
+        delete this.rooms[roomID];
+    }
+
+    /**
+    The users online in the room.
+    */
+    users(roomID) {
+        const users = this.rooms[roomID] || {};
+        return Object.keys(users).map((userID) => users[userID].user);
+    }
+}
+
+/**
+Tracks who is typing in each room. Typing stops when the user says so, e.g. by sending their
+message, or after `timeout` milliseconds without hearing that they're still typing, in case
+they've wandered off; `onExpire(roomID, user)` is called for the latter.
+*/
+export class Typing {
+    // room ID -> user ID -> timer
+    timers = {};
+
+    constructor(timeout, onExpire) {
+        this.timeout = timeout;
+        this.onExpire = onExpire;
+    }
+
+    /**
+    Notes that `user` is typing in the room. Returns whether they've just started.
+    */
+    start(roomID, user) {
+        const timers = this.timers[roomID] = this.timers[roomID] || {};
+        const started = !timers[user.id];
+        clearTimeout(timers[user.id]);
+        timers[user.id] = setTimeout(() => {
+            this.stop(roomID, user.id);
+            this.onExpire(roomID, user);
+        }, this.timeout);
+        return started;
+    }
+
+    /**
+    Notes that the user `userID` has stopped typing in the room. Returns whether they were typing.
+    */
+    stop(roomID, userID) {
+        const timers = this.timers[roomID] || {};
+        if (!timers[userID]) {
+            return false;
+        }
+        clearTimeout(timers[userID]);
+        delete timers[userID];
+        return true;
+    }
+}
@@ -0,0 +1,410 @@
+import config from '../src/config';
+import { isUniqueViolation } from './models/dbm';
+import { get as getUser, findByEmail } from './models/user';
+import { createMessage, messagesBefore, withSenders, chatMessage, MAX_LENGTH } from './models/message';
+import {
+    get as getRoom,
+    createRoom,
+    archiveRoom,
+    deleteRoom,
+    membershipsFor,
+    addMember,
+    removeMember,
+    markRead,
+    isMember,
+    canSee,
+    canJoin,
+    roomsFor
+} from './models/room';
+import { can } from './resources/policy';
+import { Presence, Typing } from './chat-presence';
+import { isSameOrigin } from './utils/csrf';
+
+// How many messages `history` sends at a time, unless asked for fewer
+const HISTORY_LENGTH = 50;
+// How long a mute lasts when the moderator doesn't say
+const DEFAULT_MUTE_MINUTES = 10;
+// The longest a mute can last, a day
+const MAX_MUTE_MINUTES = 24 * 60;
+const MAX_ROOM_NAME_LENGTH = 50;
+// How long someone counts as typing after they last said they were
+const TYPING_TIMEOUT = 5000;
+
+// When each muted user, by ID, may chat again. Kept by the user rather than their sockets, so
+// that reconnecting doesn't lift a mute.
+const mutedUntil = {};
+
+function isMuted(userID) {
+    if (mutedUntil[userID] && mutedUntil[userID] <= Date.now()) {
+        delete mutedUntil[userID];
+    }
+    return !!mutedUntil[userID];
+}
+
+// The socket.io room that a chat room's members' sockets are in
+function channel(roomID) {
+    return 'room:' + roomID;
+}
+
+function roomForClient(room) {
+    return {
+        id: room.id,
+        name: room.name,
+        private: room.private,
+        archived: !!room.archived_at,
+        member: room.member,
+        unread: room.unread
+    };
+}
+
+function notice(socket, message) {
+    socket.emit('notice', {message});
+}
+
+/**
+socket.io middleware that loads the express-session of each connecting socket into
+`socket.request.session`, and turns away sockets that aren't logged in. The sockets that are
+get the user they belong to as `socket.user`. Sockets can't send CSRF tokens, so those opened
+from other sites are turned away too, lest they chat as whoever is logged in.
+*/
+export function authenticateSockets(sessionMiddleware) {
+    return (socket, next) => {
+        if (!isSameOrigin(socket.request.headers.origin, config.appUrl)) {
+            next(new Error('Chat connections can only come from ' + config.appUrl));
+            return;
+        }
+        sessionMiddleware(socket.request, socket.request.res || {}, (error) => {
+            const session = socket.request.session;
+            if (error || !(session && session.userID)) {
+                next(new Error('You need to be logged in to chat'));
+                return;
+            }
+            getUser(session.userID)
+                .then((user) => {
+                    socket.user = {id: user.id, email: user.email};
+                    next();
+                }, () => {
+                    next(new Error('You need to be logged in to chat'));
+                });
+        });
+    };
+}
+
+/**
+Reloads `socket`'s session, resolving to whether it still exists, so that logging out or having
+the session revoked also ends its chat: if it doesn't, the socket is disconnected.
+*/
+function reloadSession(socket) {
+    return new Promise((resolve) => {
+        socket.request.session.reload((error) => {
+            if (error) {
+                notice(socket, 'Your session has ended. Log in again to keep chatting.');
+                socket.disconnect(true);
+            }
+            resolve(!error);
+        });
+    });
+}
+
+// The sockets connected to this process
+function connectedSockets(io) {
+    const sockets = io.sockets.connected;
+    return Object.keys(sockets).map((socketID) => sockets[socketID]);
+}
+
+function userSockets(io, userID) {
+    return connectedSockets(io).filter((socket) => socket.user && socket.user.id === userID);
+}
+
+function sendRooms(socket) {
+    return roomsFor(socket.user.id)
+        .then((rooms) => {
+            socket.emit('rooms', rooms.map(roomForClient));
+        });
+}
+
+function logFailure(error) {
+    console.error('Chat request failed:', error);
+}
+
+/**
+Runs the chat over socket.io, for logged-in users only. Messages are sent to rooms, which users
+`join` and `leave`; `rooms` lists the rooms a user can see, with how many messages they haven't
+`read` in each, and `history` sends a page of a room's messages, up to a `limit`, from `before`
+the ID of the oldest message the client already has, or the latest, counting those as read. The
+page comes back in one `history` event, saying whether there are older messages (`hasMore`).
+Messages are kept in the database, so the history survives restarts and is shared by every API
+process.
+
+Each room is told the `presence` of its members as they come online and go offline, however many
+tabs they chat from, and who is `typing` there, until they send their message or go quiet; a
+`roster` lists who is online in a room. Like mutes, these only know about this process' sockets.
+
+Users can `invite` others to the private rooms they're in. Users allowed to manage rooms can
+`createRoom`, `archiveRoom` and `deleteRoom`, after which everyone is told the `roomsChanged`.
+
+Users allowed to moderate the chat can `kick` another user, disconnecting all of their sockets,
+and `mute` them for a number of `minutes`, up to a day, or `unmute` them. Both apply to this process only.
+*/
+export default function startChat(io, sessionMiddleware) {
+    io.use(authenticateSockets(sessionMiddleware));
+
+    const presence = new Presence();
+    const typing = new Typing(TYPING_TIMEOUT, (roomID, user) => {
+        io.to(channel(roomID)).emit('typing', {roomID, user, typing: false});
+    });
+
+    const stopTyping = (roomID, user) => {
+        if (typing.stop(roomID, user.id)) {
+            io.to(channel(roomID)).emit('typing', {roomID, user, typing: false});
+        }
+    };
+
+    const goOffline = (roomID, user) => {
+        io.to(channel(roomID)).emit('presence', {roomID, user, online: false});
+        stopTyping(roomID, user);
+    };
+
+    // Puts one of a member's sockets in the room, telling the room if that brings them online
+    const enterRoom = (userSocket, roomID) => {
+        userSocket.join(channel(roomID));
+        if (presence.add(roomID, userSocket.id, userSocket.user)) {
+            io.to(channel(roomID)).emit('presence', {roomID, user: userSocket.user, online: true});
+        }
+    };
+
+    const exitRoom = (userSocket, roomID) => {
+        userSocket.leave(channel(roomID));
+        if (presence.remove(roomID, userSocket.id, userSocket.user.id)) {
+            goOffline(roomID, userSocket.user);
+        }
+    };
+
+    io.on('connection', (socket) => {
+        socket.emit('news', {msg: `'Hello World!' from server`});
+
+        membershipsFor(socket.user.id)
+            .then((memberships) => {
+                if (socket.connected) {
+                    memberships.forEach((membership) => enterRoom(socket, membership.room_id));
+                }
+            })
+            .catch(logFailure);
+
+        socket.on('disconnect', () => {
+            presence.removeSocket(socket.id, socket.user.id)
+                .forEach((roomID) => goOffline(roomID, socket.user));
+        });
+
+        // Runs `handle(room, memberships)` for the room `data.roomID`, if `allowed(room, memberships)`
+        const withRoom = (data, allowed, handle) => {
+            const roomID = parseInt(data && data.roomID, 10);
+            Promise.all([roomID ? getRoom(roomID) : Promise.reject(), membershipsFor(socket.user.id)])
+                .then(([room, memberships]) => {
+                    if (!allowed(room, memberships)) {
+                        notice(socket, 'You aren\'t allowed to do that');
+                        return null;
+                    }
+                    return handle(room, memberships);
+                }, () => {
+                    notice(socket, 'That room doesn\'t exist');
+                })
+                .catch(logFailure);
+        };
+
+        // Adds `user` to `room`, along with all of their sockets
+        const join = (room, user) => (
+            addMember(room.id, user.id)
+                .then(() => {
+                    userSockets(io, user.id).forEach((userSocket) => {
+                        enterRoom(userSocket, room.id);
+                        sendRooms(userSocket).catch(logFailure);
+                    });
+                    io.to(channel(room.id)).emit('joined', {roomID: room.id, user});
+                })
+        );
+
+        const canSend = (room, memberships) => canJoin(room, memberships) && isMember(room, memberships);
+
+        socket.on('rooms', () => {
+            sendRooms(socket).catch(logFailure);
+        });
+
+        socket.on('join', (data) => {
+            withRoom(data, canJoin, (room) => join(room, socket.user));
+        });
+
+        socket.on('leave', (data) => {
+            withRoom(data, isMember, (room) => (
+                removeMember(room.id, socket.user.id)
+                    .then(() => {
+                        io.to(channel(room.id)).emit('left', {roomID: room.id, user: socket.user});
+                        userSockets(io, socket.user.id).forEach((userSocket) => {
+                            exitRoom(userSocket, room.id);
+                            sendRooms(userSocket).catch(logFailure);
+                        });
+                    })
+            ));
+        });
+
+        socket.on('invite', (data) => {
+            const canInvite = (room, memberships) => (
+                canJoin(room, memberships) &&
+                (isMember(room, memberships) || can(socket.request.session, 'update', 'room'))
+            );
+            withRoom(data, canInvite, (room) => (
+                findByEmail(('' + ((data && data.email) || '')).trim())
+                    .then((user) => join(room, {id: user.id, email: user.email}), () => {
+                        notice(socket, 'Nobody has that email address');
+                    })
+            ));
+        });
+
+        socket.on('history', (data) => {
+            const before = parseInt(data && data.before, 10) || null;
+            const limit = Math.max(1, Math.min(parseInt(data && data.limit, 10) || HISTORY_LENGTH, HISTORY_LENGTH));
+            withRoom(data, canSee, (room, memberships) => (
+                messagesBefore(room.id, {before, limit})
+                    .then(({messages, hasMore}) => (
+                        withSenders(messages)
+                            .then((chatMessages) => {
+                                socket.emit('history', {roomID: room.id, before, messages: chatMessages, hasMore});
+                                // Older pages have nothing new to read
+                                const latest = !before && messages[messages.length - 1];
+                                return latest && isMember(room, memberships) && markRead(room.id, socket.user.id, latest.id);
+                            })
+                    ))
+            ));
+        });
+
+        socket.on('roster', (data) => {
+            withRoom(data, canSee, (room) => {
+                socket.emit('roster', {roomID: room.id, users: presence.users(room.id)});
+            });
+        });
+
+        socket.on('typing', (data) => {
+            withRoom(data, canSend, (room) => {
+                if (typing.start(room.id, socket.user)) {
+                    socket.to(channel(room.id)).emit('typing', {roomID: room.id, user: socket.user, typing: true});
+                }
+            });
+        });
+
+        socket.on('stopTyping', (data) => {
+            withRoom(data, isMember, (room) => stopTyping(room.id, socket.user));
+        });
+
+        socket.on('read', (data) => {
+            const messageID = parseInt(data && data.messageID, 10);
+            withRoom(data, isMember, (room) => messageID && markRead(room.id, socket.user.id, messageID));
+        });
+
+        socket.on('msg', (data) => {
+            const text = ('' + ((data && data.text) || '')).trim();
+            if (!text || text.length > MAX_LENGTH) {
+                return;
+            }
+            withRoom(data, canSend, (room) => (
+                reloadSession(socket)
+                    .then((loggedIn) => {
+                        if (!loggedIn) {
+                            return null;
+                        }
+                        if (isMuted(socket.user.id)) {
+                            notice(socket, 'You\'ve been muted until ' + new Date(mutedUntil[socket.user.id]).toISOString());
+                            return null;
+                        }
+                        return createMessage(socket.user.id, room.id, text)
+                            .then((message) => {
+                                stopTyping(room.id, socket.user);
+                                io.to(channel(room.id)).emit('msg', chatMessage(message, socket.user));
+                            });
+                    })
+            ));
+        });
+
+        socket.on('createRoom', (data) => {
+            const name = ('' + ((data && data.name) || '')).trim();
+            if (!can(socket.request.session, 'create', 'room')) {
+                notice(socket, 'You aren\'t allowed to do that');
+                return;
+            }
+            if (!name || name.length > MAX_ROOM_NAME_LENGTH) {
+                notice(socket, 'Room names need 1 to ' + MAX_ROOM_NAME_LENGTH + ' characters');
+                return;
+            }
+            createRoom({name, isPrivate: !!data.private, createdBy: socket.user.id})
+                .then((room) => join(room, socket.user))
+                .then(() => {
+                    io.emit('roomsChanged');
+                }, (error) => {
+                    if (isUniqueViolation(error)) {
+                        notice(socket, 'There\'s already a room called ' + name);
+                    } else {
+                        logFailure(error);
+                    }
+                });
+        });
+
+        socket.on('archiveRoom', (data) => {
+            withRoom(data, () => can(socket.request.session, 'update', 'room'), (room) => (
+                archiveRoom(room.id)
+                    .then(() => {
+                        io.emit('roomsChanged');
+                    })
+            ));
+        });
+
+        socket.on('deleteRoom', (data) => {
+            withRoom(data, () => can(socket.request.session, 'delete', 'room'), (room) => (
+                deleteRoom(room.id)
+                    .then(() => {
+                        // Otherwise its members' sockets stay in its channel until they disconnect
+                        connectedSockets(io).forEach((userSocket) => {
+                            userSocket.leave(channel(room.id));
+                        });
+                        presence.removeRoom(room.id);
+                        io.emit('roomsChanged');
+                    })
+            ));
+        });
+
+        const moderate = (data, moderation) => {
+            const userID = parseInt(data && data.userID, 10);
+            if (!can(socket.request.session, 'moderate', 'chat') || !userID || userID === socket.user.id) {
+                notice(socket, 'You aren\'t allowed to do that');
+                return;
+            }
+            moderation(userID, userSockets(io, userID));
+        };
+
+        socket.on('kick', (data) => {
+            moderate(data, (userID, sockets) => {
+                sockets.forEach((userSocket) => {
+                    notice(userSocket, 'You\'ve been removed from the chat by a moderator');
+                    userSocket.disconnect(true);
+                });
+            });
+        });
+
+        socket.on('mute', (data) => {
+            moderate(data, (userID, sockets) => {
+                const minutes = Math.max(1, Math.min(parseInt(data.minutes, 10) || DEFAULT_MUTE_MINUTES, MAX_MUTE_MINUTES));
+                mutedUntil[userID] = Date.now() + minutes * 60 * 1000;
+                sockets.forEach((userSocket) => {
+                    notice(userSocket, 'You\'ve been muted for ' + minutes + ' minutes by a moderator');
+                });
+            });
+        });
+
+        socket.on('unmute', (data) => {
+            moderate(data, (userID, sockets) => {
+                delete mutedUntil[userID];
+                sockets.forEach((userSocket) => {
+                    notice(userSocket, 'You can chat again');
+                });
+            });
+        });
+    });
+}
@@ -19,89 +19,78 @@ const pgConfig = {
 };
 const pool = new pg.Pool(pgConfig);
 
-export function sanitizeInput(input) {
-    if (typeof input !== 'string') {
-        return input;
-    }
-
-    const regex = new RegExp(/[\0\x08\x09\x1a\n\r"'\\\%]/g);
-    const escaper = function escaper(char) {
-        const inChar = ['\0', '\x08', '\x09', '\x1a', '\n', '\r', "'", '"', '\\', '%'];
-        const outChar = ['\\0', '\\b', '\\t', '\\z', '\\n', '\\r', "''", '\\"', '\\\\', '\\%'];
-        const inIndex = inChar.indexOf(char);
-        return outChar[inIndex];
-    };
-
-    const result = input.replace(regex, escaper);
-    return result;
-}
-
-export function javascriptValueToSQLString(value) {
-    if (typeof value === 'string') {
-        return "'" + value + "'";
-    } else if (value instanceof Date) {
-        return "'" + value.toISOString() + "'";
-    } else if (typeof value === 'undefined') {
-        return 'NULL';
-    } else if (value === null) {
-        return 'NULL';
-    }
-    return value;
-}
-
-export function sanitizeAndSQLize(javascriptValue) {
-    return javascriptValueToSQLString(sanitizeInput(javascriptValue));
-}
-
-function dirtyOutput(output) {
-    if (typeof output !== 'string') {
-        return output;
-    }
-
-    const regex = new RegExp(/\\[0btznr"\\%]/g);
-    const escaper = function escaper(char) {
-        const inChar = ['\\0', '\\b', '\\t', '\\z', '\\n', '\\r', '\\"', '\\\\', '\\%'];
-        const outChar = ['\0', '\x08', '\x09', '\x1a', '\n', '\r', '"', '\\', '%'];
-        const inIndex = inChar.indexOf(char);
-        return outChar[inIndex];
-    };
-
-    const result = output.replace(regex, escaper);
-    return result;
+export function escapeIdentifier(identifier) {
+    return '"' + ('' + identifier).replace(/"/g, '""') + '"';
 }
 
-function dirtyRows(rows) {
-    return rows.map((row) => {
-        if (typeof row === 'object') {
-            const result = {};
-            for (const key in row) {
-                if (row.hasOwnProperty(key)) {
-                    result[key] = dirtyOutput(row[key]);
-                }
-            }
-            return result;
+function queryOnClient(client, query, callback) {
+    client.query(query, (queryError, result) => {
+        if (queryError) {
+            callback(undefined, queryError);
+        } else {
+            callback(result.rows, undefined);
         }
-        return dirtyOutput(row);
     });
 }
 
-export function executeQuery(queryString, callback) {
+export function executeQuery(query, callback) {
+    // `query` is either a plain SQL string or a {text, values} pair,
+    // where `text` refers to `values` through $1-style placeholders
     pool.connect((connectionError, client, done) => {
         if (connectionError) {
             callback(undefined, connectionError);
         } else {
-            client.query(queryString, (queryError, result) => {
+            queryOnClient(client, query, (results, queryError) => {
                 done();
-                if (queryError) {
-                    callback(undefined, queryError);
-                } else {
-                    callback(dirtyRows(result.rows), undefined);
-                }
+                callback(results, queryError);
             });
         }
     });
 }
 
+/**
+Checks out a single client from the pool and runs `work` inside a transaction on it.
+`work` is handed an executeQuery-compatible function bound to that client, and must
+return a promise: the transaction is committed if it resolves and rolled back if it rejects.
+Resolves or rejects with the outcome of `work`.
+*/
+export function executeTransaction(work) {
+    return new Promise((resolve, reject) => {
+        pool.connect((connectionError, client, done) => {
+            if (connectionError) {
+                reject(connectionError);
+                return;
+            }
+            const executeOnClient = (query, callback) => queryOnClient(client, query, callback);
+            client.query('begin', (beginError) => {
+                if (beginError) {
+                    done(beginError);
+                    reject(beginError);
+                    return;
+                }
+                Promise.resolve()
+                    .then(() => work(executeOnClient))
+                    .then((result) => {
+                        client.query('commit', (commitError) => {
+                            // a client that failed to commit is discarded rather than returned to the pool
+                            done(commitError);
+                            if (commitError) {
+                                reject(commitError);
+                            } else {
+                                resolve(result);
+                            }
+                        });
+                    }, (error) => {
+                        client.query('rollback', (rollbackError) => {
+                            done(rollbackError);
+                            reject(error);
+                        });
+                    });
+            });
+        });
+    });
+}
+
 pool.on('error', function (err, client) {
     // if an error is encountered by a client while it sits idle in the pool
     // the pool itself will emit an error event with both the error and
@@ -0,0 +1,21 @@
+import outboxTransport from './outbox-transport';
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+let transport = outboxTransport({directory: process.env.MAIL_OUTBOX_DIR});
+
+/**
+Replaces the transport that outgoing mail is handed to. A transport is any object with a
+`send({from, to, subject, text})` method returning a promise, e.g. a wrapper around an SMTP
+or HTTP mail API client. Until this is called, mail goes to the local outbox transport.
+*/
+export function setTransport(newTransport) {
+    if (!newTransport || typeof newTransport.send !== 'function') {
+        throw new Error('A mail transport must have a send(message) method');
+    }
+    transport = newTransport;
+}
+
+export function sendMail({to, subject, text, from = DEFAULT_FROM}) {
+    return transport.send({from, to, subject, text});
+}
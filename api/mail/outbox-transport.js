@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+A mail transport for local development, which delivers nothing: messages are logged to the
+console and, if `directory` is given, also written there as one JSON file per message.
+*/
+export default function outboxTransport({directory} = {}) {
+    let messageCount = 0;
+    return {
+        send(message) {
+            console.info('==> 📬  Mail to %s: %s\n%s', message.to, message.subject, message.text);
+            if (!directory) {
+                return Promise.resolve(message);
+            }
+            messageCount++;
+            const fileName = Date.now() + '-' + messageCount + '.json';
+            return new Promise((resolve, reject) => {
+                fs.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2), (error) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(message);
+                    }
+                });
+            });
+        }
+    };
+}
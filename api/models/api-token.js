@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import * as dbm from './dbm';
+import { get as getUser } from './user';
+import { permissionsForUser } from './role';
+
+/**
+Personal access tokens, which let scripts and integrations call the API as a user without a
+browser session. Only a hash of each token is stored.
+*/
+
+export const SCOPES = ['read', 'write'];
+// How often a token's last_used_at is updated, at most
+const TOUCH_INTERVAL = 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update('' + token).digest('hex');
+}
+
+// Everything about a token except its hash, which never leaves the API
+function publicToken({id, name, scopes, created_at: createdAt, last_used_at: lastUsedAt}) {
+    return {id, name, scopes, created_at: createdAt, last_used_at: lastUsedAt};
+}
+
+export function listTokens(userID, db = dbm) {
+    return db.list('api_tokens', {
+        where: [{column: 'user_id', matches: [{comparator: 'eq', value: userID}]}],
+        order: [{column: 'created_at', ascending: false}]
+    })
+        .then((tokens) => tokens.map(publicToken));
+}
+
+/**
+Creates a token for `userID` called `name`, allowing `scopes`. Resolves to the token's details,
+including the plaintext `token`, which can only be shown to the user this once.
+*/
+export function createToken(userID, {name, scopes}, db = dbm) {
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName) {
+        return Promise.reject({
+            message: 'Please give the token a name',
+            status: 400
+        });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => SCOPES.indexOf(scope) < 0)) {
+        return Promise.reject({
+            message: 'A token\'s scopes must be some of: ' + SCOPES.join(', '),
+            status: 400
+        });
+    }
+    const token = 'pat_' + crypto.randomBytes(32).toString('hex');
+    return db.create(
+        'api_tokens',
+        {
+            user_id: userID,
+            name: trimmedName,
+            token_hash: hashToken(token),
+            scopes,
+            created_at: new Date()
+        }
+    )
+        .then((created) => ({...publicToken(created), token}));
+}
+
+/**
+Revokes `userID`'s token with the ID `tokenID`, or rejects with a 404 error if they have no such token.
+*/
+export function revokeToken(userID, tokenID, db = dbm) {
+    return db.findBy('api_tokens', 'user_id', userID)
+        .then((tokens) => {
+            const token = tokens.find((candidate) => String(candidate.id) === String(tokenID));
+            if (!token) {
+                return Promise.reject({
+                    message: 'That token doesn\'t exist, or has already been revoked',
+                    status: 404
+                });
+            }
+            return db.deleteRow('api_tokens', token.id);
+        });
+}
+
+/**
+Resolves to the identity that `token` stands for, shaped like a logged-in session so that masks
+and actions can treat it as one, or to null if it isn't a valid token.
+*/
+export function authenticate(token, db = dbm) {
+    return db.findByUnique('api_tokens', 'token_hash', hashToken(token))
+        .then(
+            (storedToken) => Promise.all([
+                getUser(storedToken.user_id, db),
+                permissionsForUser(storedToken.user_id, db)
+            ])
+                .then(([user, permissions]) => {
+                    const now = new Date();
+                    if (!storedToken.last_used_at || now - storedToken.last_used_at >= TOUCH_INTERVAL) {
+                        db.update('api_tokens', storedToken.id, {last_used_at: now})
+                            .catch((error) => { console.error('Failed to record API token use:', error); });
+                    }
+                    return {
+                        userID: user.id,
+                        permissions,
+                        emailVerified: !!user.email_verified_at,
+                        apiTokenID: storedToken.id,
+                        scopes: storedToken.scopes
+                    };
+                }),
+            () => null
+        );
+}
@@ -0,0 +1,67 @@
+import diff from 'deep-diff';
+import * as dbm from './dbm';
+
+/**
+A history of who changed what: one entry per resource created, updated or deleted through the
+API, and per login, logout and revoked session.
+*/
+
+// Round-trips `values` through JSON, so that dates compare and are stored the way they're served
+function plainValues(values) {
+    return values === null || values === undefined ? null : JSON.parse(JSON.stringify(values));
+}
+
+// jsonb values have to be passed as JSON text, since pg sends arrays as Postgres arrays
+function jsonColumn(values) {
+    return values === null ? null : JSON.stringify(values);
+}
+
+/**
+Records that `req`'s user did `action` to the `resourceType` identified by `resourceID`, which
+had the values `before` (or null, if it was created) and now has `after` (or null, if it was
+deleted). Leave anything that shouldn't be kept around, like password hashes, out of both.
+`req` is null for changes the API makes by itself, like purging deleted rows.
+*/
+export function recordAuditEntry(req, {action, resourceType, resourceID, before = null, after = null}, db = dbm) {
+    const session = (req && req.session) || {};
+    const beforeValues = plainValues(before);
+    const afterValues = plainValues(after);
+    return db.create('audit_entries', {
+        actor_id: session.userID || null,
+        api_token_id: session.apiTokenID || null,
+        action,
+        resource_type: resourceType,
+        resource_id: resourceID === null || resourceID === undefined ? null : '' + resourceID,
+        before: jsonColumn(beforeValues),
+        after: jsonColumn(afterValues),
+        changes: jsonColumn(diff(beforeValues || {}, afterValues || {}) || []),
+        ip_address: (req && req.ip) || null,
+        created_at: new Date()
+    });
+}
+
+// Everything about a recorded session except its ID, which never leaves the API
+function sessionValues(userSession) {
+    const values = {...userSession};
+    delete values.sid;
+    return values;
+}
+
+/**
+Records `action` on a session recorded in user_sessions: `after` is its row when it has just
+logged in, and `before` its row when it has just ended. Like the session records themselves,
+these are bookkeeping, so failing to write one is logged rather than failing the request.
+*/
+export function recordSessionAuditEntry(req, action, {before, after, details}) {
+    const userSession = after || before;
+    return recordAuditEntry(req, {
+        action,
+        resourceType: 'session',
+        resourceID: userSession ? userSession.id : null,
+        before: before ? {...sessionValues(before), ...details} : null,
+        after: after ? {...sessionValues(after), ...details} : null
+    })
+        .catch((error) => {
+            console.error('Failed to record audit entry:', error);
+        });
+}
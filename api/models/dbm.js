@@ -1,179 +1,412 @@
 import formatString from '../utils/string-format';
-import {sanitizeInput, sanitizeAndSQLize, executeQuery} from '../db/query';
+import {escapeIdentifier, executeQuery, executeTransaction} from '../db/query';
 import zip from 'lodash.zip';
 
-export function findBy(table, column, value) {
-    return new Promise((resolve, reject) => {
-        executeQuery(
-            formatString("select * from {0} where {1} = '{2}'",
-                table,
-                column,
-                sanitizeInput(value)
-            ),
-            (results, error) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(results);
-                }
-            }
-        );
-    });
+function escapeLikePattern(value) {
+    return ('' + value).replace(/[\\%_]/g, '\\$&');
 }
 
-export function findByUnique(table, column, value) {
-    return new Promise((resolve, reject) => {
-        findBy(table, column, value)
-            .then((results) => {
-                if (results && results.length === 1) {
-                    resolve(results[0]);
-                } else {
-                    reject(formatString('Found {0} results from {1}',
-                        (results ? results.length : 0),
-                        table
-                    ));
-                }
-            })
-            .catch((error) => {
-                reject(error);
-            });
+function conditionMatchToSQL(column, {comparator, value}, values) {
+    if (comparator === 'isNull' || comparator === 'notNull') {
+        return escapeIdentifier(column) + (comparator === 'isNull' ? ' is null' : ' is not null');
+    }
+    const comparisons = {
+        eq: ['{0} = ${1}', value],
+        lt: ['{0} < ${1}', value],
+        gt: ['{0} > ${1}', value],
+        lte: ['{0} <= ${1}', value],
+        gte: ['{0} >= ${1}', value],
+        ieq: ['lower(cast({0} as text)) = lower(${1})', value],
+        contains: ['cast({0} as text) ilike ${1}', '%' + escapeLikePattern(value) + '%'],
+        startsWith: ['cast({0} as text) ilike ${1}', escapeLikePattern(value) + '%']
+    };
+    if (!comparisons[comparator]) {
+        throw new Error('Unknown comparator ' + comparator);
+    }
+    const [format, parameter] = comparisons[comparator];
+    values.push(parameter);
+    return formatString(format, escapeIdentifier(column), values.length);
+}
+
+/**
+Turns a list of `{column, matches: [{comparator, value}, ...]}` conditions into SQL,
+appending their parameters to `values`. A condition holds if any of its matches do.
+*/
+function conditionsToSQL(conditions, values) {
+    return (conditions || []).map(({column, matches}) => (
+        '(' + matches.map((match) => conditionMatchToSQL(column, match, values)).join(' or ') + ')'
+    ));
+}
+
+// Full-text searches read queries and weigh matches as English, as the search vectors are built
+const SEARCH_CONFIGURATION = 'english';
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=8';
+
+/**
+SQL for the rows of `table` to select from, appending its parameters to `values`. Given a full-text
+`search` (`{vector, query, highlights}`), only the rows whose tsvector column `vector` matches the
+words of `query` are selected, with their relevance as `search_rank`, and in `search_highlights`,
+snippets of each of the `highlights` columns (`{column, html}`, html columns being stripped of tags)
+that mark the matching words with `<mark>` tags.
+*/
+function sourceToSQL(table, search, values) {
+    if (!search) {
+        return escapeIdentifier(table);
+    }
+    values.push(search.query);
+    const query = formatString('plainto_tsquery(\'{0}\', ${1})', SEARCH_CONFIGURATION, values.length);
+    const vector = escapeIdentifier(search.vector);
+    const headlines = (search.highlights || []).map(({column, html}) => {
+        const text = html ?
+            formatString('regexp_replace({0}, \'<[^>]*>\', \' \', \'g\')', escapeIdentifier(column)) :
+            escapeIdentifier(column);
+        values.push(column);
+        return formatString('${0}::text, ts_headline(\'{1}\', {2}, {3}, \'{4}\')',
+            values.length,
+            SEARCH_CONFIGURATION,
+            text,
+            query,
+            HEADLINE_OPTIONS
+        );
     });
+    return formatString(
+        '(select *, ts_rank({0}, {1}) as search_rank, json_build_object({2}) as search_highlights ' +
+        'from {3} where {0} @@ {1}) as search_matches',
+        vector,
+        query,
+        headlines.join(', '),
+        escapeIdentifier(table)
+    );
 }
 
-export function get(table, id, idColumn = 'id') {
-    return findByUnique(table, idColumn, id);
+function whereClause(clauses) {
+    return clauses.length > 0 ? ' where ' + clauses.join(' and ') : '';
 }
 
-export function create(table, columnValues) {
-    return multicreate(table, Object.keys(columnValues).reduce((memo, column) => {
-        memo[column] = [columnValues[column]];
-        return memo;
-    }, {}));
+function equalToSQL(column, value, values) {
+    if (value === null) {
+        return escapeIdentifier(column) + ' is null';
+    }
+    values.push(value);
+    return formatString('{0} = ${1}', escapeIdentifier(column), values.length);
 }
 
-export function multicreate(table, columnToValueArrays) {
-    // ES6 standard promises that these are in the same order
-    const columns = Object.keys(columnToValueArrays);
-    const valueArrays = Object.values(columnToValueArrays);
-    const zippedValueArrays = zip(...valueArrays);
-    const valueStrings = zippedValueArrays.map((valueArray) => {
-        const values = valueArray.map((value) => sanitizeAndSQLize(value));
-        return '(' + values.join() + ')';
-    })
-    const columnsString = columns.join();
-    const allValuesString = valueStrings.join();
-    const queryString = formatString('insert into {0} ({1}) values {2} returning *',
-        table,
-        columnsString,
-        allValuesString
-    );
+// Postgres sorts nulls last when ascending and first when descending, so that's where they
+// fall relative to other values. Returns null when nothing can come after `value`.
+function comesAfterToSQL({column, ascending}, value, values) {
+    const escapedColumn = escapeIdentifier(column);
+    if (ascending) {
+        if (value === null) {
+            return null;
+        }
+        values.push(value);
+        return formatString('({0} > ${1} or {0} is null)', escapedColumn, values.length);
+    }
+    if (value === null) {
+        return escapedColumn + ' is not null';
+    }
+    values.push(value);
+    return formatString('{0} < ${1}', escapedColumn, values.length);
+}
 
-    return new Promise((resolve, reject) => {
-        executeQuery(
-            queryString,
-            (results, error) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(results[0]);
-                }
-            }
-        );
+/**
+SQL matching the rows that come after the row whose `order` columns hold `afterValues`
+(and that row itself, if `inclusive`), appending its parameters to `values`.
+*/
+function keysetToSQL(order, afterValues, inclusive, values) {
+    const alternatives = [];
+    order.forEach((orderColumn, index) => {
+        const comesAfter = comesAfterToSQL(orderColumn, afterValues[index], values);
+        if (comesAfter) {
+            const ties = order.slice(0, index).map(({column}, tieIndex) => (
+                equalToSQL(column, afterValues[tieIndex], values)
+            ));
+            alternatives.push('(' + [...ties, comesAfter].join(' and ') + ')');
+        }
     });
+    if (inclusive) {
+        alternatives.push('(' + order.map(({column}, index) => (
+            equalToSQL(column, afterValues[index], values)
+        )).join(' and ') + ')');
+    }
+    return alternatives.length > 0 ? '(' + alternatives.join(' or ') + ')' : 'false';
 }
 
-export function update(table, id, columnValues, {idColumn} = {idColumn: 'id'}) {
-    // ES6 standard promises that these are in the same order
-    const columns = Object.keys(columnValues);
-    let values = Object.values(columnValues);
-    values = values.map((value) => sanitizeAndSQLize(value));
-    const columnsString = columns.join();
-    const valuesString = values.join();
-
-    return new Promise((resolve, reject) => {
-        executeQuery(
-            formatString('update {0} set ({1}) = ({2}) where {3} = {4} returning *',
-                table,
-                columnsString,
-                valuesString,
-                idColumn,
-                sanitizeInput(id)
-            ),
-            (results, error) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(results[0]);
+/**
+Builds the set of dbm helpers on top of `execute`, an executeQuery-compatible function.
+The module-level exports run each query on its own pooled client; `transaction` hands
+its callback a copy whose queries all run on one client inside a single transaction.
+*/
+function createDbm(execute, {inTransaction} = {inTransaction: false}) {
+    function queryRows(text, values = []) {
+        return new Promise((resolve, reject) => {
+            execute(
+                {text, values},
+                (results, error) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(results);
+                    }
                 }
-            }
-        );
-    });
-}
+            );
+        });
+    }
 
-export function count(table) {
-    return new Promise((resolve, reject) => {
-        executeQuery(
-            formatString('select count(1) from {0}',
-                table
+    function findBy(table, column, value) {
+        return queryRows(
+            formatString('select * from {0} where {1} = $1',
+                escapeIdentifier(table),
+                escapeIdentifier(column)
             ),
-            (results, error) => {
-                if (error) {
+            [value]
+        );
+    }
+
+    function findByUnique(table, column, value) {
+        return new Promise((resolve, reject) => {
+            findBy(table, column, value)
+                .then((results) => {
+                    if (results && results.length === 1) {
+                        resolve(results[0]);
+                    } else {
+                        reject(formatString('Found {0} results from {1}',
+                            (results ? results.length : 0),
+                            table
+                        ));
+                    }
+                })
+                .catch((error) => {
                     reject(error);
-                } else {
-                    resolve(results[0].count);
-                }
-            }
+                });
+        });
+    }
+
+    function get(table, id, idColumn = 'id') {
+        return findByUnique(table, idColumn, id);
+    }
+
+    function multicreate(table, columnToValueArrays) {
+        // ES6 standard promises that these are in the same order
+        const columns = Object.keys(columnToValueArrays);
+        const valueArrays = Object.values(columnToValueArrays);
+        const zippedValueArrays = zip(...valueArrays);
+        const values = [];
+        const placeholderStrings = zippedValueArrays.map((valueArray) => {
+            const placeholders = valueArray.map((value) => {
+                values.push(value);
+                return '$' + values.length;
+            });
+            return '(' + placeholders.join() + ')';
+        });
+        const columnsString = columns.map(escapeIdentifier).join();
+        const allPlaceholdersString = placeholderStrings.join();
+        const queryString = formatString('insert into {0} ({1}) values {2} returning *',
+            escapeIdentifier(table),
+            columnsString,
+            allPlaceholdersString
         );
-    });
-}
 
-export function list(table, {sort, ascending, offset, cursor, pageSize}) {
-    let query = formatString('select * from {0}', table);
-    if (sort) {
-        if (cursor) {
-            query += formatString(' where {0} {1} {2}', sort, (ascending ? '>' : '<'), cursor);
-        }
-        query += formatString(' order by {0} {1}', sort, (ascending ? 'asc' : 'desc'));
+        return queryRows(queryString, values)
+            .then((results) => results[0]);
     }
-    if (!cursor && offset) {
-        query += formatString(' offset {0}', offset);
+
+    function create(table, columnValues) {
+        return multicreate(table, Object.keys(columnValues).reduce((memo, column) => {
+            memo[column] = [columnValues[column]];
+            return memo;
+        }, {}));
     }
-    if (pageSize && pageSize !== 'infinity') {
-        query += formatString(' limit {0}', pageSize);
+
+    /**
+    Sets `columnValues` on the row of `table` whose `idColumn` is `id`, if it also matches the
+    optional `where` conditions, as for `list`. Resolves to the updated row, or to undefined if
+    no row matched.
+    */
+    function update(table, id, columnValues, {idColumn = 'id', where = []} = {}) {
+        // ES6 standard promises that these are in the same order
+        const columns = Object.keys(columnValues);
+        const values = Object.values(columnValues);
+        const assignmentsString = columns.map((column, index) => (
+            formatString('{0} = ${1}', escapeIdentifier(column), index + 1)
+        )).join(', ');
+        values.push(id);
+        const clauses = [formatString('{0} = ${1}', escapeIdentifier(idColumn), values.length)];
+
+        return queryRows(
+            formatString('update {0} set {1}{2} returning *',
+                escapeIdentifier(table),
+                assignmentsString,
+                whereClause([...clauses, ...conditionsToSQL(where, values)])
+            ),
+            values
+        )
+            .then((results) => results[0]);
     }
-    return new Promise((resolve, reject) => {
-        executeQuery(
-            query,
-            (results, error) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(results);
-                }
-            }
+
+    /**
+    Inserts `columnValues` as a new row of `table`, or if that would conflict with an existing row
+    on the unique `conflictColumn` (or list of columns, unique together), sets that row's
+    `updateColumns` (by default, all of them) to their new values instead. Resolves to the inserted
+    or updated row.
+    */
+    function upsert(table, columnValues, conflictColumn, updateColumns = Object.keys(columnValues)) {
+        // ES6 standard promises that these are in the same order
+        const columns = Object.keys(columnValues);
+        const values = Object.values(columnValues);
+        const placeholdersString = values.map((value, index) => '$' + (index + 1)).join();
+        const assignmentsString = updateColumns.map((column) => (
+            formatString('{0} = excluded.{0}', escapeIdentifier(column))
+        )).join(', ');
+
+        return queryRows(
+            formatString('insert into {0} ({1}) values ({2}) on conflict ({3}) do update set {4} returning *',
+                escapeIdentifier(table),
+                columns.map(escapeIdentifier).join(),
+                placeholdersString,
+                [].concat(conflictColumn).map(escapeIdentifier).join(),
+                assignmentsString
+            ),
+            values
+        )
+            .then((results) => results[0]);
+    }
+
+    /**
+    Counts the rows of `table` matching the `where` conditions, and the full-text `search`, if any, as for `list`.
+    */
+    function count(table, where, search) {
+        const values = [];
+        const source = sourceToSQL(table, search, values);
+        return queryRows(
+            formatString('select count(1) from {0}{1}',
+                source,
+                whereClause(conditionsToSQL(where, values))
+            ),
+            values
+        )
+            .then((results) => parseInt(results[0].count, 10));
+    }
+
+    /**
+    Lists the rows of `table` matching the `where` conditions, sorted by `order`, a list of
+    `{column, ascending}`. Pages either by `offset`, or by keyset: `after` holds the `order` column
+    values of the row to start after (or at, if `afterInclusive`), so `order` should end in a
+    unique column for pages to neither skip nor repeat rows. Given a full-text `search`, only matching
+    rows are listed, and they can be sorted by their `search_rank` (see sourceToSQL).
+    */
+    function list(table, {where, search, order = [], offset, after, afterInclusive, pageSize} = {}) {
+        const values = [];
+        const source = sourceToSQL(table, search, values);
+        const clauses = conditionsToSQL(where, values);
+        if (after) {
+            clauses.push(keysetToSQL(order, after, afterInclusive, values));
+        }
+        let query = formatString('select * from {0}', source);
+        query += whereClause(clauses);
+        if (order.length > 0) {
+            query += ' order by ' + order.map(({column, ascending}) => (
+                escapeIdentifier(column) + (ascending ? ' asc' : ' desc')
+            )).join(', ');
+        }
+        if (!after && offset) {
+            values.push(offset);
+            query += formatString(' offset ${0}', values.length);
+        }
+        if (pageSize) {
+            values.push(pageSize);
+            query += formatString(' limit ${0}', values.length);
+        }
+        return queryRows(query, values);
+    }
+
+    function deleteWhere(table, column, value) {
+        return queryRows(
+            formatString('delete from {0} where {1} = $1',
+                escapeIdentifier(table),
+                escapeIdentifier(column)
+            ),
+            [value]
         );
-    });
-}
+    }
+
+    function deleteRow(table, id, idColumn = 'id') {
+        return deleteWhere(table, idColumn, id);
+    }
 
-export function deleteWhere(table, column, value) {
-    return new Promise((resolve, reject) => {
-        executeQuery(
-            formatString("delete from {0} where {1} = '{2}'",
-                table,
-                column,
-                sanitizeInput(value)
+    /**
+    Deletes the rows of `table` matching the `where` conditions, as for `list`. Resolves to the deleted rows.
+    */
+    function deleteMatching(table, where) {
+        const values = [];
+        return queryRows(
+            formatString('delete from {0}{1} returning *',
+                escapeIdentifier(table),
+                whereClause(conditionsToSQL(where, values))
             ),
-            (results, error) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(results);
-                }
-            }
+            values
         );
-    });
+    }
+
+    const dbm = {
+        // Runs a query of SQL `text` with $1-style placeholders for `values`, for the queries that the
+        // helpers here can't build. Resolves to the rows it returns.
+        query: queryRows,
+        findBy,
+        findByUnique,
+        get,
+        multicreate,
+        create,
+        update,
+        upsert,
+        count,
+        list,
+        deleteWhere,
+        deleteRow,
+        deleteMatching
+    };
+    dbm.transaction = (work) => {
+        if (inTransaction) {
+            // Already inside a transaction: join it rather than checking out another client
+            return Promise.resolve().then(() => work(dbm));
+        }
+        return executeTransaction((executeInTransaction) => (
+            work(createDbm(executeInTransaction, {inTransaction: true}))
+        ));
+    };
+    return dbm;
 }
 
-export function deleteRow(table, id, idColumn = 'id') {
-    return deleteWhere(table, idColumn, id);
+// Postgres' error code for a unique index violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+Whether `error`, as a query rejects with, is from a row clashing with another on a unique index.
+*/
+export function isUniqueViolation(error) {
+    return !!error && error.code === UNIQUE_VIOLATION;
 }
+
+const pooledDbm = createDbm(executeQuery);
+
+export const query = pooledDbm.query;
+export const findBy = pooledDbm.findBy;
+export const findByUnique = pooledDbm.findByUnique;
+export const get = pooledDbm.get;
+export const multicreate = pooledDbm.multicreate;
+export const create = pooledDbm.create;
+export const update = pooledDbm.update;
+export const upsert = pooledDbm.upsert;
+export const count = pooledDbm.count;
+export const list = pooledDbm.list;
+export const deleteWhere = pooledDbm.deleteWhere;
+export const deleteRow = pooledDbm.deleteRow;
+export const deleteMatching = pooledDbm.deleteMatching;
+
+/**
+Runs `work(transactionDbm)` inside a database transaction, committing if the promise
+it returns resolves and rolling back if it rejects. Model functions take the dbm to use as
+an optional last `db` argument, defaulting to this module, so that they can be passed
+`transactionDbm` to take part in the same transaction.
+*/
+export const transaction = pooledDbm.transaction;
@@ -0,0 +1,92 @@
+import config from '../../src/config';
+import * as dbm from './dbm';
+import {createToken, useToken, useTokens, listTokens} from './user-token';
+import {sendMail} from '../mail';
+
+const TABLE_NAME = 'email_verification_tokens';
+const DAY = 24 * 60 * 60 * 1000;
+const TOKEN_LIFETIME = 7 * DAY;
+// Resends are limited to one a minute, and to a handful a day
+const RESEND_INTERVAL = 60 * 1000;
+const RESENDS_PER_DAY = 5;
+
+function verificationMessage(email, token) {
+    const verifyUrl = config.appUrl + '/verifyEmail?token=' + encodeURIComponent(token);
+    return {
+        to: email,
+        subject: 'Please verify your email address',
+        text: 'Thanks for signing up! To confirm that ' + email + ' is your email address, visit ' +
+            verifyUrl + '\n\nIf you didn\'t sign up, you can ignore this email.'
+    };
+}
+
+/**
+Creates a verification token for `user` and mails them a link to it.
+*/
+export function sendVerification(user, db = dbm) {
+    return createToken(TABLE_NAME, user.id, TOKEN_LIFETIME, db)
+        .then((token) => sendMail(verificationMessage(user.email, token)));
+}
+
+/**
+Like sendVerification, but rejects with a 429 error if `userID` has asked too often lately,
+and with a 409 error if they're already verified.
+*/
+export function resendVerification(userID) {
+    return dbm.transaction((transactionDbm) => (
+        // Locks the user, so that resends at the same time are counted one after another
+        transactionDbm.query('select * from users where id = $1 for update', [userID])
+            .then(([user]) => {
+                if (!user) {
+                    return Promise.reject({
+                        message: 'That user doesn\'t exist',
+                        status: 404
+                    });
+                }
+                if (user.email_verified_at) {
+                    return Promise.reject({
+                        message: 'Your email address is already verified',
+                        status: 409
+                    });
+                }
+                return listTokens(TABLE_NAME, userID, transactionDbm)
+                    .then((tokens) => {
+                        const now = Date.now();
+                        const sentTimes = tokens
+                            .map((token) => token.created_at.getTime())
+                            .filter((sentTime) => now - sentTime < DAY);
+                        let retryAt = 0;
+                        if (sentTimes.length >= RESENDS_PER_DAY) {
+                            retryAt = Math.min(...sentTimes) + DAY;
+                        } else if (sentTimes.length > 0) {
+                            retryAt = Math.max(...sentTimes) + RESEND_INTERVAL;
+                        }
+                        if (retryAt > now) {
+                            return Promise.reject({
+                                message: 'Please wait a little before asking for another verification email',
+                                status: 429,
+                                retryAfter: Math.ceil((retryAt - now) / 1000)
+                            });
+                        }
+                        return createToken(TABLE_NAME, userID, TOKEN_LIFETIME, transactionDbm)
+                            .then((token) => ({user, token}));
+                    });
+            })
+    ))
+        // Mailed once the token is saved
+        .then(({user, token}) => sendMail(verificationMessage(user.email, token)));
+}
+
+/**
+Marks the user a valid, unused `token` was issued to as verified. Resolves to the user's id.
+*/
+export function verifyEmail(token) {
+    return dbm.transaction((transactionDbm) => (
+        useToken(TABLE_NAME, token, transactionDbm)
+            .then((verificationToken) => (
+                transactionDbm.update('users', verificationToken.user_id, {email_verified_at: new Date()})
+                    .then(() => useTokens(TABLE_NAME, verificationToken.user_id, transactionDbm))
+                    .then(() => verificationToken.user_id)
+            ))
+    ));
+}
@@ -0,0 +1,70 @@
+import * as dbm from './dbm';
+import { get as getUser, findByEmail, createWithoutPassword } from './user';
+
+/**
+Links between users and who they are to external sign-in providers.
+*/
+
+function findIdentity(provider, subject, db) {
+    return db.list('identities', {
+        where: [
+            {column: 'provider', matches: [{comparator: 'eq', value: provider}]},
+            {column: 'subject', matches: [{comparator: 'eq', value: subject}]}
+        ]
+    })
+        .then((identities) => identities[0] || null);
+}
+
+function linkIdentity(user, provider, {subject, email}, db) {
+    const now = new Date();
+    return db.create(
+        'identities',
+        {
+            user_id: user.id,
+            provider,
+            subject,
+            email,
+            created_at: now,
+            last_used_at: now
+        }
+    )
+        .then(() => user);
+}
+
+/**
+Resolves to the user that `profile` (`{subject, email, emailVerified}` from `provider`) signs in
+as. Unknown profiles are linked to the user with the same email address if the provider vouches
+for that address, and otherwise get a new user. Rejects with a 409 error if the address belongs
+to a user but the provider hasn't verified it, since linking then would let anyone claim it.
+*/
+export function userForProfile(provider, profile) {
+    return dbm.transaction((db) => (
+        findIdentity(provider, profile.subject, db)
+            .then((identity) => {
+                if (identity) {
+                    return db.update('identities', identity.id, {last_used_at: new Date()})
+                        .then(() => getUser(identity.user_id, db));
+                }
+                if (!profile.email) {
+                    return Promise.reject({
+                        message: 'The sign-in provider didn\'t share your email address',
+                        status: 400
+                    });
+                }
+                return findByEmail(profile.email, db)
+                    .then(
+                        (user) => {
+                            if (!profile.emailVerified) {
+                                return Promise.reject({
+                                    message: 'An account with that email address already exists. Please log in with your password instead.',
+                                    status: 409
+                                });
+                            }
+                            return linkIdentity(user, provider, profile, db);
+                        },
+                        () => createWithoutPassword(profile.email, {emailVerified: profile.emailVerified}, db)
+                            .then((user) => linkIdentity(user, provider, profile, db))
+                    );
+            })
+    ));
+}
@@ -0,0 +1,68 @@
+import * as dbm from './dbm';
+
+/**
+Chat messages, as sent over the socket (see chat.js).
+*/
+
+export const MAX_LENGTH = 2000;
+
+/**
+Saves `text` as a message from the user `userID` to the room `roomID`. Resolves to the new message.
+*/
+export function createMessage(userID, roomID, text, db = dbm) {
+    return db.create('messages', {
+        user_id: userID || null,
+        room_id: roomID,
+        text,
+        created_at: new Date()
+    });
+}
+
+/**
+Resolves to the latest `limit` messages in the room `roomID` from before the message with ID
+`before` (or the latest of all, without it), oldest first, as `messages`, and whether there are
+older ones as `hasMore`. Message IDs only go up, so they make a stable cursor to page back with.
+*/
+export function messagesBefore(roomID, {before, limit}, db = dbm) {
+    const where = [{column: 'room_id', matches: [{comparator: 'eq', value: roomID}]}];
+    if (before) {
+        where.push({column: 'id', matches: [{comparator: 'lt', value: before}]});
+    }
+    // Fetch one more than was asked for, to tell whether there are more
+    return db.list('messages', {where, order: [{column: 'id', ascending: false}], pageSize: limit + 1})
+        .then((messages) => ({
+            messages: messages.slice(0, limit).reverse(),
+            hasMore: messages.length > limit
+        }));
+}
+
+/**
+`message` as it's sent to chat clients, with the email of its `sender` (a user, if they still exist) as `from`.
+*/
+export function chatMessage(message, sender) {
+    return {
+        id: message.id,
+        roomID: message.room_id,
+        userID: message.user_id,
+        from: sender ? sender.email : 'Someone',
+        text: message.text,
+        createdAt: message.created_at
+    };
+}
+
+/**
+Resolves to `messages` as they're sent to chat clients (see chatMessage), looking up their senders.
+*/
+export function withSenders(messages, db = dbm) {
+    const userIDs = messages.map((message) => message.user_id).filter((userID) => userID);
+    const usersPromise = userIDs.length > 0 ?
+        db.list('users', {where: [{
+            column: 'id',
+            matches: userIDs.map((userID) => ({comparator: 'eq', value: userID}))
+        }]}) :
+        Promise.resolve([]);
+    return usersPromise
+        .then((users) => messages.map((message) => (
+            chatMessage(message, users.find((user) => user.id === message.user_id))
+        )));
+}
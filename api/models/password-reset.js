@@ -0,0 +1,34 @@
+import * as dbm from './dbm';
+import {setPassword} from './user';
+import {createToken as createUserToken, useToken, useTokens} from './user-token';
+
+const TABLE_NAME = 'password_reset_tokens';
+const TOKEN_LIFETIME = 60 * 60 * 1000;
+
+/**
+Creates a single-use reset token for `userID`, valid for an hour.
+*/
+export function createToken(userID, db = dbm) {
+    return createUserToken(TABLE_NAME, userID, TOKEN_LIFETIME, db);
+}
+
+/**
+Sets a new password for the user a valid, unused `token` was issued to, and uses up every
+outstanding token for that user. Resolves to the user's id.
+*/
+export function resetPassword(token, password) {
+    if (!password) {
+        return Promise.reject({
+            message: 'Please choose a new password',
+            status: 400
+        });
+    }
+    return dbm.transaction((transactionDbm) => (
+        useToken(TABLE_NAME, token, transactionDbm)
+            .then((resetToken) => (
+                setPassword(resetToken.user_id, password, transactionDbm)
+                    .then(() => useTokens(TABLE_NAME, resetToken.user_id, transactionDbm))
+                    .then(() => resetToken.user_id)
+            ))
+    ));
+}
@@ -0,0 +1,20 @@
+import * as dbm from './dbm';
+
+/**
+Resolves to the `{action, resource, scope}` permissions granted by all of `userID`'s roles.
+*/
+export function permissionsForUser(userID, db = dbm) {
+    return db.findBy('user_roles', 'user_id', userID)
+        .then((userRoles) => {
+            if (userRoles.length === 0) {
+                return [];
+            }
+            return db.list('role_permissions', {
+                where: [{
+                    column: 'role_id',
+                    matches: userRoles.map((userRole) => ({comparator: 'eq', value: userRole.role_id}))
+                }]
+            });
+        })
+        .then((rolePermissions) => rolePermissions.map(({action, resource, scope}) => ({action, resource, scope})));
+}
@@ -0,0 +1,147 @@
+import * as dbm from './dbm';
+
+/**
+Chat rooms, and who has joined them. Anyone logged in can see and join public rooms, while
+private rooms can only be seen and joined by their members, who are invited. Archived rooms
+keep their history for their members to read, but take no new messages or members.
+*/
+
+export function get(roomID, db = dbm) {
+    return db.get('rooms', roomID);
+}
+
+export function createRoom({name, isPrivate, createdBy}, db = dbm) {
+    return db.create('rooms', {
+        name,
+        private: !!isPrivate,
+        created_by: createdBy || null,
+        created_at: new Date()
+    });
+}
+
+export function archiveRoom(roomID, db = dbm) {
+    return db.update('rooms', roomID, {archived_at: new Date()});
+}
+
+/**
+Deletes the room, along with its messages and memberships.
+*/
+export function deleteRoom(roomID, db = dbm) {
+    return db.deleteRow('rooms', roomID);
+}
+
+function membershipConditions(roomID, userID) {
+    return [
+        {column: 'room_id', matches: [{comparator: 'eq', value: roomID}]},
+        {column: 'user_id', matches: [{comparator: 'eq', value: userID}]}
+    ];
+}
+
+export function membershipsFor(userID, db = dbm) {
+    return db.findBy('room_members', 'user_id', userID);
+}
+
+/**
+Makes `userID` a member of the room, if they aren't already. Resolves to their membership.
+*/
+export function addMember(roomID, userID, db = dbm) {
+    // In one statement, so that joining twice at once can't clash. Setting room_id to itself leaves
+    // an existing membership as it was, while still returning it.
+    return db.upsert('room_members', {
+        room_id: roomID,
+        user_id: userID,
+        joined_at: new Date()
+    }, ['room_id', 'user_id'], ['room_id']);
+}
+
+export function removeMember(roomID, userID, db = dbm) {
+    return db.deleteMatching('room_members', membershipConditions(roomID, userID));
+}
+
+/**
+Notes that `userID` has seen the room's messages up to `messageID`. Earlier messages than the
+ones they've already seen don't move it back.
+*/
+export function markRead(roomID, userID, messageID, db = dbm) {
+    return db.list('room_members', {where: membershipConditions(roomID, userID)})
+        .then(([membership]) => {
+            if (!membership || membership.last_read_message_id >= messageID) {
+                return membership;
+            }
+            return db.update('room_members', membership.id, {last_read_message_id: messageID});
+        });
+}
+
+export function isMember(room, memberships) {
+    return memberships.some((membership) => membership.room_id === room.id);
+}
+
+/**
+Whether the user with `memberships` can see `room` and read its history.
+*/
+export function canSee(room, memberships) {
+    return isMember(room, memberships) || (!room.private && !room.archived_at);
+}
+
+/**
+Whether the user with `memberships` can join `room`, or send messages to it once they have.
+*/
+export function canJoin(room, memberships) {
+    return !room.archived_at && canSee(room, memberships);
+}
+
+/**
+Resolves to `userID`'s memberships, each with how many messages they have `unread` in its room,
+counted for all of them in one query.
+*/
+function membershipsWithUnread(userID, db) {
+    return db.query(
+        'select room_members.*, count(messages.id) as unread from room_members ' +
+        'left join messages on messages.room_id = room_members.room_id ' +
+        'and messages.id > coalesce(room_members.last_read_message_id, 0) ' +
+        'where room_members.user_id = $1 group by room_members.id',
+        [userID]
+    )
+        .then((memberships) => memberships.map((membership) => ({
+            ...membership,
+            unread: parseInt(membership.unread, 10)
+        })));
+}
+
+/**
+Resolves to the rooms `userID` can see, each with whether they're a `member`, and if so, how many
+messages they have `unread`.
+*/
+export function roomsFor(userID, db = dbm) {
+    return Promise.all([
+        db.list('rooms', {order: [{column: 'name', ascending: true}]}),
+        membershipsWithUnread(userID, db)
+    ])
+        .then(([rooms, memberships]) => (
+            rooms.filter((room) => canSee(room, memberships)).map((room) => {
+                const membership = memberships.find((candidate) => candidate.room_id === room.id);
+                return {...room, member: !!membership, unread: membership ? membership.unread : 0};
+            })
+        ));
+}
+
+/**
+Resolves to the IDs of the rooms `userID` can see.
+*/
+export function visibleRoomIDs(userID, db = dbm) {
+    return Promise.all([db.list('rooms'), membershipsFor(userID, db)])
+        .then(([rooms, memberships]) => (
+            rooms.filter((room) => canSee(room, memberships)).map((room) => room.id)
+        ));
+}
+
+/**
+Adds a dbm condition matching rows whose `column` is one of `roomIDs`, as from visibleRoomIDs, to
+`where`; or null if there are no rooms, since then nothing matches.
+*/
+export function visibleRoomsConditions(where, column, roomIDs) {
+    if (roomIDs.length === 0) {
+        return null;
+    }
+    return [...where, {column, matches: roomIDs.map((roomID) => ({comparator: 'eq', value: roomID}))}];
+}
@@ -1,51 +1,36 @@
-import bcrypt from 'bcryptjs';
-import {findByEmail} from './user';
+import passwordStrategy from '../auth-strategies/password';
+import {permissionsForUser} from './role';
 
-function checkPassword(inputPassword, dbHash, dbSalt) {
-    const hashedInput = bcrypt.hashSync(inputPassword, dbSalt);
-    return hashedInput === dbHash;
+/**
+Logs `user` in on `requestSession`, whichever sign-in strategy they used to prove who they are.
+*/
+export function logIn(requestSession, user, db) {
+    return permissionsForUser(user.id, db)
+        .then((permissions) => {
+            requestSession.userID = user.id;
+            requestSession.permissions = permissions;
+            requestSession.emailVerified = !!user.email_verified_at;
+            return {
+                user: user,
+                session: requestSession
+            };
+        });
 }
 
-function checkEmailAndPassword(inputEmail, inputPassword) {
-    const email = inputEmail ? inputEmail : '';
-    const password = inputPassword ? inputPassword : '';
-    return new Promise((resolve, reject) => {
-        findByEmail(email)
-            .then((foundUser) => {
-                if (checkPassword(password, foundUser.password, foundUser.salt)) {
-                    resolve(foundUser);
-                } else {
-                    reject({
-                        message: 'Email or password did not match',
-                        status: 403
-                    });
-                }
-            })
-            .catch(() => {
-                checkPassword(password, 'prevent timing attacks', bcrypt.genSaltSync(10));
-                reject({
-                    message: 'Email or password did not match',
-                    status: 403
-                });
-            });
-    });
+export function create(requestSession, email, password, db) {
+    return passwordStrategy.authenticate({email, password}, db)
+        .then((user) => logIn(requestSession, user, db));
 }
 
-export function create(requestSession, email, password) {
-    return new Promise((resolve, reject) => {
-        checkEmailAndPassword(email, password)
-            .then((user) => {
-                requestSession.userID = user.id;
-                requestSession.isAdmin = user.is_admin;
-                resolve({
-                    user: user,
-                    session: requestSession
-                });
-            })
-            .catch((error) => {
-                reject(error);
-            });
-    });
+/**
+Reloads the session user's permissions, so that changes to their roles apply without logging in again.
+*/
+export function refreshPermissions(requestSession, db) {
+    return permissionsForUser(requestSession.userID, db)
+        .then((permissions) => {
+            requestSession.permissions = permissions;
+            return requestSession;
+        });
 }
 
 export function destroy(req) {
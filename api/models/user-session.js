@@ -0,0 +1,89 @@
+import * as dbm from './dbm';
+
+/**
+A record of each logged-in express-session, so that users can see where they're logged in and
+log out of other devices. Rows are keyed by the session ID (`sid`), which never leaves the API.
+*/
+
+function destroyStoredSession(sessionStore, sid) {
+    return new Promise((resolve, reject) => {
+        sessionStore.destroy(sid, (error) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+function sessionRow(req) {
+    const now = new Date();
+    return {
+        sid: req.sessionID,
+        user_id: req.session.userID,
+        created_at: now,
+        last_seen_at: now,
+        ip_address: req.ip,
+        user_agent: req.get('user-agent') || null
+    };
+}
+
+/**
+Records that `req`'s session has just logged in, replacing any record of it from an earlier login.
+*/
+export function recordSession(req, db = dbm) {
+    return db.upsert('user_sessions', sessionRow(req), 'sid');
+}
+
+/**
+Updates when `req`'s session was last used, recording it if it isn't yet (e.g. right after signup).
+The address and user agent are only taken when it's first recorded, since later requests may come
+from the app server's own rendering rather than from the user's device.
+*/
+export function touchSession(req, db = dbm) {
+    return db.upsert('user_sessions', sessionRow(req), 'sid', ['user_id', 'last_seen_at']);
+}
+
+/**
+Resolves to the record of the session `sid`, or null if there isn't one.
+*/
+export function findSession(sid, db = dbm) {
+    return db.findBy('user_sessions', 'sid', sid)
+        .then((rows) => rows[0] || null);
+}
+
+/**
+Forgets `sid` once the session itself has been destroyed, e.g. on logout.
+*/
+export function forgetSession(sid, db = dbm) {
+    return db.deleteRow('user_sessions', sid, 'sid');
+}
+
+export function listSessions(userID, db = dbm) {
+    return db.list('user_sessions', {
+        where: [{column: 'user_id', matches: [{comparator: 'eq', value: userID}]}],
+        order: [{column: 'last_seen_at', ascending: false}]
+    });
+}
+
+/**
+Logs the session recorded as `userSession` out, wherever it is, by destroying it in `sessionStore`.
+*/
+export function revokeSession(sessionStore, userSession, db = dbm) {
+    return destroyStoredSession(sessionStore, userSession.sid)
+        .then(() => forgetSession(userSession.sid, db));
+}
+
+/**
+Revokes all of `userID`'s sessions, except the one with the session ID `exceptSID` if given.
+Resolves to the records of the sessions it revoked.
+*/
+export function revokeSessions(sessionStore, userID, exceptSID, db = dbm) {
+    return listSessions(userID, db)
+        .then((userSessions) => {
+            const revoked = userSessions.filter((userSession) => userSession.sid !== exceptSID);
+            return Promise.all(revoked.map((userSession) => revokeSession(sessionStore, userSession, db)))
+                .then(() => revoked);
+        });
+}
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import * as dbm from './dbm';
+
+/**
+Single-use, expiring tokens that prove control of a user's email address, such as password
+reset and email verification tokens. Each kind lives in its own table with user_id, token_hash,
+created_at, expires_at and used_at columns. Only a hash of each token is stored.
+*/
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update('' + token).digest('hex');
+}
+
+function invalidTokenError() {
+    return {
+        message: 'This link is invalid or has expired',
+        status: 400
+    };
+}
+
+/**
+Creates a token for `userID` that expires after `lifetime` milliseconds. Resolves to the
+plaintext token, which must be delivered to the user right away.
+*/
+export function createToken(table, userID, lifetime, db = dbm) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const createdAt = new Date();
+    return db.create(
+        table,
+        {
+            user_id: userID,
+            token_hash: hashToken(token),
+            created_at: createdAt,
+            expires_at: new Date(createdAt.getTime() + lifetime)
+        }
+    )
+        .then(() => token);
+}
+
+function unusedConditions(now) {
+    return [
+        {column: 'used_at', matches: [{comparator: 'isNull'}]},
+        {column: 'expires_at', matches: [{comparator: 'gt', value: now}]}
+    ];
+}
+
+/**
+Uses up `token` if it is unused and unexpired, resolving to its stored row, or rejects with a 400
+error. Checking and using it are one update, so that requests at the same time can't both use it.
+*/
+export function useToken(table, token, db = dbm) {
+    const now = new Date();
+    return db.update(table, hashToken(token), {used_at: now}, {idColumn: 'token_hash', where: unusedConditions(now)})
+        .then((storedToken) => storedToken || Promise.reject(invalidTokenError()));
+}
+
+/**
+Uses up every outstanding token `userID` has in `table`.
+*/
+export function useTokens(table, userID, db = dbm) {
+    const now = new Date();
+    return db.update(table, userID, {used_at: now}, {idColumn: 'user_id', where: unusedConditions(now)});
+}
+
+export function listTokens(table, userID, db = dbm) {
+    return db.findBy(table, 'user_id', userID);
+}
@@ -1,17 +1,25 @@
 import bcrypt from 'bcryptjs';
 import * as dbm from './dbm';
 
-export function get(userID) {
-    return dbm.get('users', userID);
+function hashPassword(password) {
+    const salt = bcrypt.genSaltSync(10);
+    return {
+        password: bcrypt.hashSync(password, salt),
+        salt
+    };
 }
 
-export function findByEmail(email) {
-    return dbm.findByUnique('users', 'email', email);
+export function get(userID, db = dbm) {
+    return db.get('users', userID);
 }
 
-export function create(email, password) {
+export function findByEmail(email, db = dbm) {
+    return db.findByUnique('users', 'email', email);
+}
+
+function insertUser(email, columns, db) {
     return new Promise((resolve, reject) => {
-        findByEmail(email)
+        findByEmail(email, db)
             .then(() => {
                 reject({
                     message: 'A user with email ' + email + ' already exists',
@@ -19,15 +27,12 @@ export function create(email, password) {
                 });
             })
             .catch(() => {
-                const salt = bcrypt.genSaltSync(10);
-                const hashedPassword = bcrypt.hashSync(password, salt);
                 const created_at = new Date();
-                dbm.create(
+                db.create(
                     'users',
                     {
                         email,
-                        password: hashedPassword,
-                        salt,
+                        ...columns,
                         created_at
                     },
                     true
@@ -37,3 +42,18 @@ export function create(email, password) {
             });
     });
 }
+
+export function create(email, password, db = dbm) {
+    return insertUser(email, hashPassword(password), db);
+}
+
+/**
+Creates a user who signs in through an external provider rather than with a password.
+*/
+export function createWithoutPassword(email, {emailVerified}, db = dbm) {
+    return insertUser(email, {email_verified_at: emailVerified ? new Date() : null}, db);
+}
+
+export function setPassword(userID, password, db = dbm) {
+    return db.update('users', userID, hashPassword(password));
+}
@@ -0,0 +1,19 @@
+import * as dbm from './dbm';
+
+/**
+Snapshots of widgets, saved each time one is created or updated, so that its history can be
+shown and earlier versions brought back.
+*/
+
+/**
+Saves `widget`'s current name and description as a revision by `authorID`.
+*/
+export function recordRevision(widget, authorID, db = dbm) {
+    return db.create('widget_revisions', {
+        widget_id: widget.id,
+        author_id: authorID || null,
+        name: widget.name,
+        description: widget.description,
+        created_at: new Date()
+    });
+}
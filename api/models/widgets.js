@@ -2,13 +2,13 @@ import * as dbm from './dbm';
 
 const TABLE_NAME = 'widgets';
 
-export function get(widgetID) {
-    return dbm.get(TABLE_NAME, widgetID);
+export function get(widgetID, db = dbm) {
+    return db.get(TABLE_NAME, widgetID);
 }
 
-export function create(name, description) {
+export function create(name, description, db = dbm) {
     const created_at = new Date();
-    return dbm.create(
+    return db.create(
         TABLE_NAME,
         {
             name,
@@ -18,10 +18,14 @@ export function create(name, description) {
     );
 }
 
-export function count() {
-    return dbm.count(TABLE_NAME);
+export function count(db = dbm) {
+    return db.count(TABLE_NAME);
 }
 
-export function list() {
-    return dbm.list(TABLE_NAME);
+export function list(db = dbm) {
+    return db.list(TABLE_NAME);
+}
+
+export function listByAuthor(authorID, db = dbm) {
+    return db.findBy(TABLE_NAME, 'author_id', authorID);
 }
@@ -0,0 +1,61 @@
+import {Joi as types} from 'jsonapi-server/lib/ourJoi';
+import JSONAPIHandler from './jsonapi-handler';
+import JSONAPISerializer from './jsonapi-serializer';
+import JSONAPIMask from './jsonapi-mask';
+import {can} from './policy';
+import {belongsTo, relationshipAttributes} from './jsonapi-relationships';
+
+const auditEntrySchema = {
+    type: 'auditEntry',
+    attributes: {
+        action: types.string().meta('readonly'),
+        resource_type: types.string().meta('readonly'),
+        resource_id: types.string().allow(null).meta('readonly'),
+        before: types.object().allow(null).meta('readonly'),
+        after: types.object().allow(null).meta('readonly'),
+        changes: types.array().allow(null).meta('readonly'),
+        ip_address: types.string().allow(null).meta('readonly'),
+        created_at: types.date().iso().meta('readonly')
+    },
+    relationships: {
+        actor: belongsTo('user', {foreignKey: 'actor_id'})
+    }
+};
+
+class AuditEntrySerializer extends JSONAPISerializer {
+    static schema() {
+        return auditEntrySchema;
+    }
+}
+
+/**
+The audit log can only be read, and only by those allowed to, e.g. admins.
+Entries are written by the handlers and actions that make the changes.
+*/
+class AuditEntryMask extends JSONAPIMask {
+    static canRead(model, session) {
+        return this.booleanToPromise(can(session, 'read', 'auditEntry', model));
+    }
+
+    static canList(session) {
+        return this.booleanToPromise(can(session, 'read', 'auditEntry'));
+    }
+}
+
+class AuditEntryHandler extends JSONAPIHandler {
+    tableName = 'audit_entries'
+
+    serializer = AuditEntrySerializer
+    mask = AuditEntryMask
+}
+
+export default function() {
+    return {
+        resource: auditEntrySchema.type,
+        handlers: new AuditEntryHandler(),
+        attributes: {
+            ...auditEntrySchema.attributes,
+            ...relationshipAttributes(auditEntrySchema.relationships)
+        }
+    };
+}
@@ -0,0 +1,134 @@
+/**
+Translates JSON:API `filter[column]=value` request params into the condition list that dbm
+understands. Each value may be prefixed with an operator:
+
+    filter[name]=foo      equal to "foo"
+    filter[name]=~foo     equal to "foo", ignoring case
+    filter[name]=:foo     contains "foo", ignoring case
+    filter[name]=^foo     starts with "foo", ignoring case
+    filter[id]=<10        less than (also >, <= and >=)
+    filter[author]=null   not set (and `!null`, set to anything), on nullable columns only
+
+Several values for the same column, given as repeated params, match if any one of them does,
+except that range bounds must all match, so that
+`filter[created_at]=>=2016-10-01&filter[created_at]=<2016-11-01` means during October. Values to
+equal can also be listed comma-separated (`filter[id]=1,2`); other values are taken whole, so that
+`filter[name]=:red, white` searches for the comma too. Filters on different columns must all
+match. Columns that can't be null take `null` as a value like any other, so that it can still be
+searched for.
+
+Values compared to integer, number, date and boolean columns must be of that type; numbers and
+booleans are cast from the param's string.
+*/
+
+// Longer operators come first so that `<=` isn't read as `<` followed by `=...`
+const OPERATORS = [
+    ['<=', 'lte'],
+    ['>=', 'gte'],
+    ['<', 'lt'],
+    ['>', 'gt'],
+    ['~', 'ieq'],
+    [':', 'contains'],
+    ['^', 'startsWith']
+];
+
+export function parseFilterValue(rawValue, nullable = false) {
+    const value = '' + rawValue;
+    if (nullable && (value === 'null' || value === '!null')) {
+        return {comparator: value === 'null' ? 'isNull' : 'notNull'};
+    }
+    const operator = OPERATORS.find(([prefix]) => value.indexOf(prefix) === 0);
+    if (operator) {
+        const [prefix, comparator] = operator;
+        return {comparator, value: value.substring(prefix.length)};
+    }
+    return {comparator: 'eq', value};
+}
+
+const RANGE_COMPARATORS = ['lt', 'lte', 'gt', 'gte'];
+
+// The comparators whose values are compared as the column's type, rather than as text
+const TYPED_COMPARATORS = ['eq', ...RANGE_COMPARATORS];
+
+// Postgres integer columns are four bytes
+const MAX_INTEGER = 2147483647;
+
+// Casts a value for each type of column, or returns undefined if it isn't one
+const CASTS = {
+    integer: (value) => {
+        const number = /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+        return Math.abs(number) <= MAX_INTEGER ? number : undefined;
+    },
+    number: (value) => (value.trim() !== '' && isFinite(value) ? parseFloat(value) : undefined),
+    date: (value) => (isNaN(Date.parse(value)) ? undefined : value),
+    boolean: (value) => (value === 'true' || value === 'false' ? value === 'true' : undefined)
+};
+
+function invalidFilterError(detail) {
+    return {
+        status: '400',
+        code: 'EINVALIDFILTER',
+        title: 'Invalid filter',
+        detail
+    };
+}
+
+function parseFilterValues(rawValues, nullable) {
+    const valueList = Array.isArray(rawValues) ? rawValues : [rawValues];
+    return valueList.reduce((memo, rawValue) => {
+        const match = parseFilterValue(rawValue, nullable);
+        if (match.comparator !== 'eq') {
+            return memo.concat([match]);
+        }
+        return memo.concat(match.value.split(',').map((value) => (
+            nullable && value === 'null' ? parseFilterValue(value, nullable) : {comparator: 'eq', value}
+        )));
+    }, []);
+}
+
+// Casts the value of `match` for a column of `type`, or returns undefined if it isn't one
+function castMatch(match, type) {
+    if (!CASTS.hasOwnProperty(type) || TYPED_COMPARATORS.indexOf(match.comparator) < 0) {
+        return match;
+    }
+    const value = CASTS[type](match.value);
+    return value === undefined ? undefined : {...match, value};
+}
+
+/**
+Resolves to a list of `{column, matches: [{comparator, value}, ...]}` conditions for `filterParams`,
+or rejects with a JSON:API error object if any filtered column isn't in `filterableColumns`, or a
+value isn't of its column's type in `columnTypes` ('integer', 'number', 'date' or 'boolean'; other
+columns take any value). Only `nullableColumns` can be checked for being null.
+*/
+export function filterConditions(filterParams, filterableColumns, nullableColumns = [], columnTypes = {}) {
+    if (!filterParams || typeof filterParams !== 'object') {
+        return Promise.resolve([]);
+    }
+    const columns = Object.keys(filterParams);
+    const invalidColumn = columns.find((column) => filterableColumns.indexOf(column) < 0);
+    if (invalidColumn) {
+        return Promise.reject(invalidFilterError('Filtering on "' + invalidColumn + '" is not supported'));
+    }
+    const matchesByColumn = columns.reduce((memo, column) => {
+        memo[column] = parseFilterValues(filterParams[column], nullableColumns.indexOf(column) >= 0)
+            .map((match) => castMatch(match, columnTypes[column]));
+        return memo;
+    }, {});
+    const mistypedColumn = columns.find((column) => matchesByColumn[column].indexOf(undefined) >= 0);
+    if (mistypedColumn) {
+        return Promise.reject(invalidFilterError(
+            'Filters on "' + mistypedColumn + '" take ' + columnTypes[mistypedColumn] + ' values'
+        ));
+    }
+    return Promise.resolve(columns.reduce((conditions, column) => {
+        const matches = matchesByColumn[column];
+        const isRange = (match) => RANGE_COMPARATORS.indexOf(match.comparator) >= 0;
+        const anyOf = matches.filter((match) => !isRange(match));
+        if (anyOf.length > 0) {
+            conditions.push({column, matches: anyOf});
+        }
+        // Each range bound is a condition of its own, so that they all have to match
+        return conditions.concat(matches.filter(isRange).map((match) => ({column, matches: [match]})));
+    }, []));
+}
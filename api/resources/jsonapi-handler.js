@@ -1,11 +1,53 @@
 import * as dbm from '../models/dbm';
+import { recordAuditEntry } from '../models/audit-entry';
 import JSONAPISerializer from './jsonapi-serializer';
 import JSONAPIMask from './jsonapi-mask';
+import {filterConditions} from './jsonapi-filter';
+import {
+    sortOrder,
+    decodeCursor,
+    invalidCursorError,
+    offsetPages,
+    cursorPages,
+    pageLinks
+} from './jsonapi-pagination';
+import {relationshipsToColumns} from './jsonapi-relationships';
+import {expectedVersions, conflictError} from './jsonapi-versions';
+import {SEARCH_FILTER, searchQuery, searchOrder, searchMeta} from './jsonapi-search';
+
+// The type of an attribute's column, from its schema, as filterConditions takes them
+function attributeType(attribute) {
+    const {type, rules = []} = attribute.describe();
+    if (type === 'number' && rules.some(({name}) => name === 'integer')) {
+        return 'integer';
+    }
+    return type;
+}
 
 export default class PostgresStore {
     serializer = JSONAPISerializer;
     mask = JSONAPIMask;
 
+    /**
+    Whether deleting a resource only sets its `deleted_at` column, keeping it around to be restored
+    until it's purged (see trash.js). Deleted resources are hidden, except from those allowed to
+    restore them, who can list them with `filter[deleted_at]=!null`.
+    */
+    softDelete = false;
+
+    /**
+    Whether rows count their updates in a `version` column, which updates can be checked against
+    (see jsonapi-versions).
+    */
+    versioned = false;
+
+    /**
+    The tsvector column that `filter[q]` searches, for resources that support full-text search,
+    and the columns (`{column, html}`) to highlight its matches in (see jsonapi-search).
+    */
+    searchVector = null;
+    searchHighlights = [];
+
     /**
     Handlers readiness status. This should be set to `true` once all handlers are ready to process requests.
     */
@@ -23,44 +65,292 @@ export default class PostgresStore {
         return this.tableName ? this.tableName : request.params.type;
     }
 
-    _paginationParams(request) {
-        if (!request.params.page) {
-            return {};
-        }
-        let sortAttribute = undefined;
-        let ascending = undefined;
-        if (request.params.sort) {
-            sortAttribute = ('' + request.params.sort);
-            ascending = sortAttribute[0] !== '-';
-            if (sortAttribute === '-' || sortAttribute === '+') {
-                sortAttribute = sortAttribute.substring(1, sortAttribute.length);
-            }
+    _paginationParams(request, order) {
+        const page = request.params.page || {};
+        const pageSize = page.size === 'infinity' ? undefined : parseInt(page.size, 10) || undefined;
+        if (page.cursor) {
+            return {
+                order,
+                cursor: page.cursor,
+                after: decodeCursor(page.cursor, order),
+                pageSize
+            };
         }
-        if (request.params.page.offset !== undefined) {
+        if (page.offset !== undefined) {
             return {
-                sort: sortAttribute,
-                ascending,
-                offset: request.params.page.offset,
-                pageSize: request.params.page.size
+                order,
+                offset: parseInt(page.offset, 10) || 0,
+                pageSize
             };
         }
         return {
-            sort: sortAttribute,
-            ascending,
-            cursor: request.params.page.cursor,
-            pageSize: request.params.page.size
+            order,
+            pageSize
+        };
+    }
+
+    /**
+    Fetches the requested page of rows matching `where` and the full-text `search`, if any, along with
+    the total number of matching rows. When paginating, also describes the surrounding pages in
+    `request.pagination` (see jsonapi-pagination).
+    */
+    _listPage(request, where, search) {
+        const tableName = this._tableName(request);
+        return sortOrder(request.params.sort, this._filterableColumns())
+            .then((order) => (search ? searchOrder(request.params.sort, order) : order))
+            .then((order) => {
+                const pagination = this._paginationParams(request, order);
+                const {offset, cursor, after, pageSize} = pagination;
+                if (cursor && !after) {
+                    return Promise.reject(invalidCursorError());
+                }
+                const totalPromise = dbm.count(tableName, where, search);
+                if (!pageSize) {
+                    return Promise.all([dbm.list(tableName, {...pagination, where, search}), totalPromise])
+                        .then(([rows, total]) => ({rows, total}));
+                }
+                if (offset !== undefined) {
+                    return Promise.all([dbm.list(tableName, {...pagination, where, search}), totalPromise])
+                        .then(([rows, total]) => {
+                            request.pagination = {
+                                links: pageLinks(request, offsetPages({offset, pageSize, total})),
+                                page: {offset, size: pageSize, total}
+                            };
+                            return {rows, total};
+                        });
+                }
+                // To find the neighbouring cursors, fetch one row past this page, and page backwards
+                // both from this page's cursor and from the end of the collection
+                const reversed = {
+                    where,
+                    search,
+                    order: order.map(({column, ascending}) => ({column, ascending: !ascending})),
+                    pageSize: pageSize + 1
+                };
+                return Promise.all([
+                    dbm.list(tableName, {...pagination, pageSize: pageSize + 1, where, search}),
+                    totalPromise,
+                    after ? dbm.list(tableName, {...reversed, after, afterInclusive: true}) : null,
+                    dbm.list(tableName, reversed)
+                ])
+                    .then(([rows, total, rowsBefore, rowsFromEnd]) => {
+                        const pages = cursorPages({order, cursor, pageSize, rows, rowsBefore, rowsFromEnd});
+                        request.pagination = {
+                            links: pageLinks(request, pages),
+                            page: {cursor, size: pageSize, total}
+                        };
+                        return {rows: rows.slice(0, pageSize), total};
+                    });
+            });
+    }
+
+    /**
+    Columns to set on every newly created row, regardless of what the client sent.
+    */
+    _columnsForCreate() {
+        return {};
+    }
+
+    /**
+    Columns that can be used in `filter[...]` params: the id, any attribute the serializer exposes,
+    and the foreign keys of belongsTo relationships.
+    */
+    _filterableColumns() {
+        const attributes = Object.keys(this.serializer.schema().attributes);
+        return [
+            'id',
+            ...attributes.filter((attribute) => this.serializer.shouldIncludeAttribute(attribute)),
+            ...this._belongsToKeys().map((key) => this.serializer.schema().relationships[key].foreignKey)
+        ];
+    }
+
+    /**
+    Filterable columns that can be null, and so can be filtered on with `null` and `!null`: the
+    foreign keys of belongsTo relationships, and `deleted_at` for soft-deleted resources.
+    */
+    _nullableColumns() {
+        const relationships = this.serializer.schema().relationships;
+        return [
+            ...this._belongsToKeys().map((key) => relationships[key].foreignKey),
+            ...(this.softDelete ? ['deleted_at'] : [])
+        ];
+    }
+
+    /**
+    The type of each filterable column, for checking filter values against: IDs and foreign keys
+    are integers, and attributes have the type their schema gives them.
+    */
+    _filterColumnTypes() {
+        const attributes = this.serializer.schema().attributes;
+        return this._filterableColumns().reduce((memo, column) => {
+            memo[column] = attributes.hasOwnProperty(column) ? attributeType(attributes[column]) : 'integer';
+            return memo;
+        }, {});
+    }
+
+    _belongsToKeys() {
+        const relationships = this.serializer.schema().relationships || {};
+        return Object.keys(relationships).filter((key) => relationships[key].kind === 'belongsTo');
+    }
+
+    /**
+    The request's `filter[...]` params, keyed by column: filtering on a belongsTo relationship
+    (`filter[author]=1`) filters on its foreign key. A full-text search is left out (see `_search`).
+    */
+    _filterParams(request) {
+        const filter = request.params.filter;
+        if (!filter || typeof filter !== 'object') {
+            return filter;
+        }
+        const relationships = this.serializer.schema().relationships;
+        const belongsToKeys = this._belongsToKeys();
+        return Object.keys(filter).reduce((memo, key) => {
+            if (key === SEARCH_FILTER && this.searchVector) {
+                return memo;
+            }
+            const column = belongsToKeys.indexOf(key) >= 0 ? relationships[key].foreignKey : key;
+            memo[column] = filter[key];
+            return memo;
+        }, {});
+    }
+
+    /**
+    The full-text search for the request's `filter[q]` (see jsonapi-search), or null if it doesn't
+    search, or this resource can't be searched.
+    */
+    _search(request) {
+        const query = this.searchVector && searchQuery(request.params.filter);
+        if (!query) {
+            return null;
+        }
+        return {
+            vector: this.searchVector,
+            query,
+            highlights: this.searchHighlights
+        };
+    }
+
+    /**
+    The values of `row` to keep in the audit log: every column, less any the serializer hides
+    and the search vector, which is derived from the others.
+    */
+    _auditValues(row) {
+        return Object.keys(row).reduce((memo, column) => {
+            if (column !== this.searchVector && this.serializer.shouldIncludeAttribute(column)) {
+                memo[column] = row[column];
+            }
+            return memo;
+        }, {});
+    }
+
+    /**
+    Records `action` in the audit log, given the row as it was `before` and is `after` (either may be null).
+    Pass the dbm of the change's transaction, so that changes and their audit entries are kept together.
+    */
+    _recordAudit(request, action, before, after, db) {
+        return recordAuditEntry(request, {
+            action,
+            resourceType: request.params.type,
+            resourceID: (after || before).id,
+            before: before && this._auditValues(before),
+            after: after && this._auditValues(after)
+        }, db);
+    }
+
+    _notFoundError(request) {
+        return {
+            status: '404',
+            code: 'ENOTFOUND',
+            title: 'Resource not found',
+            detail: 'There is no ' + request.params.type + ' with id ' + request.params.id
         };
     }
 
-    _objectToJSON(object, callback, {request, type}) {
-        return this.serializer.objectToJSON(object, callback, {request, type});
+    _canSeeDeleted(request, model) {
+        return this.mask.canRestore(model, request.session)
+            .then(() => true, () => false);
+    }
+
+    /**
+    Resolves to `row`, unless it has been soft deleted, in which case only those allowed to restore
+    it can see it, if `visibleToRestorers`; for everyone else, it rejects as not found.
+    */
+    _unlessDeleted(request, row, {visibleToRestorers} = {visibleToRestorers: false}) {
+        if (!this.softDelete || !row.deleted_at) {
+            return Promise.resolve(row);
+        }
+        return (visibleToRestorers ? this._canSeeDeleted(request, row) : Promise.resolve(false))
+            .then((canSee) => (canSee ? row : Promise.reject(this._notFoundError(request))));
+    }
+
+    /**
+    Adds a condition hiding soft-deleted rows to `where`, unless the request filters on `deleted_at`
+    and may see deleted rows. Handlers that hide more rows can resolve to null when the request can
+    see none of them.
+    */
+    _visibleConditions(request, where) {
+        if (!this.softDelete) {
+            return Promise.resolve(where);
+        }
+        const hidingDeleted = [...where, {column: 'deleted_at', matches: [{comparator: 'isNull'}]}];
+        if (!where.some(({column}) => column === 'deleted_at')) {
+            return Promise.resolve(hidingDeleted);
+        }
+        return this._canSeeDeleted(request, null)
+            .then((canSee) => (canSee ? where : hidingDeleted));
+    }
+
+    /**
+    Called within the transaction that creates or updates `row`, before it's returned, for resources
+    to keep other tables in step with it. Resolves once they're done.
+    */
+    _afterWrite() {
+        return Promise.resolve();
+    }
+
+    /**
+    Updates `row` with `tableData`. For versioned resources, also counts the update, unless someone
+    else's update got there first, in which case it rejects with a conflict.
+    */
+    _updateRow(request, row, tableData, db) {
+        if (!this.versioned) {
+            return db.update(this._tableName(request), row.id, tableData);
+        }
+        return db.update(this._tableName(request), row.id, {...tableData, version: row.version + 1}, {
+            where: [{column: 'version', matches: [{comparator: 'eq', value: row.version}]}]
+        })
+            .then((updated) => updated || Promise.reject(conflictError(request)));
+    }
+
+    /**
+    Deletes the row for `request`, or if this resource soft deletes, marks it as deleted.
+    Resolves to the row as it's kept, or to null if it's gone.
+    */
+    _deleteRow(request, db) {
+        if (this.softDelete) {
+            return db.update(this._tableName(request), request.params.id, {deleted_at: new Date()});
+        }
+        return db.deleteRow(this._tableName(request), request.params.id)
+            .then(() => null);
+    }
+
+    _objectToJSON(object, callback, {request, type, relationships}) {
+        return this.serializer.objectToJSON(object, callback, {request, type, relationships});
     }
 
     _objectFromJSON(inboundJSON) {
         delete inboundJSON.id;
         delete inboundJSON.type;
         delete inboundJSON.meta;
-        return inboundJSON;
+        const attributes = this.serializer.schema().attributes;
+        Object.keys(attributes).forEach((attribute) => {
+            // readonly attributes are only ever set by the server
+            const meta = attributes[attribute] && attributes[attribute]._meta;
+            if (meta && meta.indexOf('readonly') >= 0) {
+                delete inboundJSON[attribute];
+            }
+        });
+        return relationshipsToColumns(inboundJSON, this.serializer.schema().relationships);
     }
 
     /**
@@ -69,22 +359,33 @@ export default class PostgresStore {
     search(request, callback) {
         this.mask.canList(request.session)
             .then(() => {
-                dbm.list(this._tableName(request), this._paginationParams(request))
-                    .then((results) => {
-                        const formatPromises = results.map((result) => {
-                            return new Promise((resolve, reject) => {
-                                this._objectToJSON(result, (error, formattedResult) => {
-                                    if (error) {
-                                        reject(error);
-                                    } else {
-                                        resolve(formattedResult);
-                                    }
-                                }, {request});
-                            })
-                        });
-                        Promise.all(formatPromises)
+                const search = this._search(request);
+                filterConditions(
+                    this._filterParams(request),
+                    this._filterableColumns(),
+                    this._nullableColumns(),
+                    this._filterColumnTypes()
+                )
+                    .then((where) => this._visibleConditions(request, where))
+                    .then((where) => (where ? this._listPage(request, where, search) : {rows: [], total: 0}))
+                    .then(({rows, total}) => {
+                        if (search) {
+                            request.search = searchMeta(rows);
+                        }
+                        this.serializer.relationshipsForObjects(rows, request)
+                            .then((relationshipsList) => Promise.all(rows.map((result, index) => {
+                                return new Promise((resolve, reject) => {
+                                    this._objectToJSON(result, (error, formattedResult) => {
+                                        if (error) {
+                                            reject(error);
+                                        } else {
+                                            resolve(formattedResult);
+                                        }
+                                    }, {request, relationships: relationshipsList[index]});
+                                });
+                            })))
                             .then((formattedResults) => {
-                                callback(null, formattedResults, formattedResults.length);
+                                callback(null, formattedResults, total);
                             })
                             .catch((error) => {
                                 callback(error, null);
@@ -108,6 +409,7 @@ export default class PostgresStore {
     */
     find(request, callback) {
         dbm.get(this._tableName(request), request.params.id)
+            .then((result) => this._unlessDeleted(request, result, {visibleToRestorers: true}))
             .then((result) => {
                 this.mask.canRead(result, request.session)
                     .then(() => {
@@ -132,8 +434,18 @@ export default class PostgresStore {
     create(request, newResource, callback) {
         this.mask.canCreate(request.session)
             .then(() => {
-                const tableData = this._objectFromJSON(newResource, request);
-                dbm.create(this._tableName(request), tableData)
+                const tableData = {
+                    ...this._objectFromJSON(newResource, request),
+                    ...this._columnsForCreate(request)
+                };
+                dbm.transaction((transactionDbm) => (
+                    transactionDbm.create(this._tableName(request), tableData)
+                        .then((result) => (
+                            this._recordAudit(request, 'create', null, result, transactionDbm)
+                                .then(() => this._afterWrite(request, result, transactionDbm))
+                                .then(() => result)
+                        ))
+                ))
                     .then((result) => {
                         this._objectToJSON(result, callback, {request});
                     })
@@ -155,10 +467,14 @@ export default class PostgresStore {
     */
     delete(request, callback) {
         dbm.get(this._tableName(request), request.params.id)
+            .then((result) => this._unlessDeleted(request, result))
             .then((result) => {
                 this.mask.canDelete(result, request.session)
                     .then(() => {
-                        dbm.deleteRow(this._tableName(request), request.params.id)
+                        dbm.transaction((transactionDbm) => (
+                            this._deleteRow(request, transactionDbm)
+                                .then((deleted) => this._recordAudit(request, 'delete', result, deleted, transactionDbm))
+                        ))
                             .then(() => {
                                 callback();
                             })
@@ -185,11 +501,24 @@ export default class PostgresStore {
     */
     update(request, partialResource, callback) {
         dbm.get(this._tableName(request), request.params.id)
+            .then((getResult) => this._unlessDeleted(request, getResult))
             .then((getResult) => {
                 this.mask.canUpdate(getResult, request.session)
                     .then(() => {
+                        const versions = expectedVersions(request.headers, partialResource.meta);
+                        if (this.versioned && versions && versions.indexOf(getResult.version) < 0) {
+                            callback(conflictError(request));
+                            return;
+                        }
                         const tableData = this._objectFromJSON(partialResource);
-                        dbm.update(this._tableName(request), request.params.id, tableData)
+                        dbm.transaction((transactionDbm) => (
+                            this._updateRow(request, getResult, tableData, transactionDbm)
+                                .then((result) => (
+                                    this._recordAudit(request, 'update', getResult, result, transactionDbm)
+                                        .then(() => this._afterWrite(request, result, transactionDbm))
+                                        .then(() => result)
+                                ))
+                        ))
                             .then((result) => {
                                 this._objectToJSON(result, callback, {request});
                             })
@@ -209,4 +538,65 @@ export default class PostgresStore {
                 callback(error, null);
             });
     }
+
+    /**
+    Brings back the soft-deleted resource `request.params.id`, for the trash's restore action.
+    Rejects with action-style errors, since that's where it's called from, including a 409 if it
+    would clash with another resource on a unique column, like a widget's name.
+    */
+    restore(request) {
+        const tableName = this._tableName(request);
+        return dbm.get(tableName, request.params.id)
+            .catch(() => Promise.reject({
+                message: 'That doesn\'t exist, or has been purged',
+                status: 404
+            }))
+            .then((row) => (
+                this.mask.canRestore(row, request.session)
+                    .then(() => row, () => Promise.reject({
+                        message: 'You aren\'t allowed to do that',
+                        status: 403
+                    }))
+            ))
+            .then((row) => {
+                if (!row.deleted_at) {
+                    return row;
+                }
+                return dbm.transaction((transactionDbm) => (
+                    transactionDbm.update(tableName, row.id, {deleted_at: null})
+                        .then((restored) => (
+                            this._recordAudit(request, 'restore', row, restored, transactionDbm)
+                                .then(() => restored)
+                        ))
+                ))
+                    .catch((error) => Promise.reject(dbm.isUniqueViolation(error) ? {
+                        message: 'Something else has taken its place since it was deleted. Rename that first.',
+                        status: 409
+                    } : error));
+            });
+    }
+
+    /**
+    Permanently deletes the resources of `type` that were soft deleted before `cutoff`, noting each
+    in the audit log. Resolves to the purged rows.
+    */
+    purge(type, cutoff) {
+        const request = {params: {type}};
+        return dbm.transaction((transactionDbm) => (
+            transactionDbm.deleteMatching(this._tableName(request), [
+                {column: 'deleted_at', matches: [{comparator: 'lt', value: cutoff}]}
+            ])
+                .then((rows) => (
+                    Promise.all(rows.map((row) => (
+                        recordAuditEntry(null, {
+                            action: 'purge',
+                            resourceType: type,
+                            resourceID: row.id,
+                            before: this._auditValues(row)
+                        }, transactionDbm)
+                    )))
+                        .then(() => rows)
+                ))
+        ));
+    }
 }
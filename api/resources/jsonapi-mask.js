@@ -9,6 +9,14 @@ export default class JSONAPIMask {
         });
     }
 
+    /**
+    Whether the session's user has confirmed their email address. Masks can require this
+    before letting users do anything beyond reading.
+    */
+    static isVerified(session) {
+        return !!(session && session.emailVerified);
+    }
+
     static canCreate() {
         return this.booleanToPromise(false);
     }
@@ -25,6 +33,14 @@ export default class JSONAPIMask {
         return this.booleanToPromise(false);
     }
 
+    /**
+    Whether the session's user can see and restore `model` after it has been soft deleted.
+    `model` is null when they ask to list deleted resources.
+    */
+    static canRestore() {
+        return this.booleanToPromise(false);
+    }
+
     static canList() {
         // sadly, jsonapi-server uses listing to look up relationships...
         return this.booleanToPromise(true);
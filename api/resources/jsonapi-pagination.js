@@ -0,0 +1,170 @@
+import url from 'url';
+
+const PAGE_LINK_NAMES = ['first', 'prev', 'next', 'last'];
+
+function invalidParam(title, detail) {
+    return {
+        status: '400',
+        code: 'EINVALIDPARAM',
+        title,
+        detail
+    };
+}
+
+/**
+Resolves to the `{column, ascending}` list for a JSON:API sort param such as `-created_at,name`,
+always ending in `id` so that rows with equal sort values still have a stable order.
+Rejects with a JSON:API error object if a column isn't in `sortableColumns`.
+*/
+export function sortOrder(sortParam, sortableColumns) {
+    // a leading `+` arrives as a space when the query string isn't URL-encoded
+    const sortFields = sortParam ? ('' + sortParam).split(',').map((field) => field.trim()).filter((field) => field) : [];
+    const order = sortFields.map((field) => {
+        const ascending = field[0] !== '-';
+        const column = (field[0] === '-' || field[0] === '+') ? field.substring(1) : field;
+        return {column, ascending};
+    });
+    const invalidColumn = order.find(({column}) => sortableColumns.indexOf(column) < 0);
+    if (invalidColumn) {
+        return Promise.reject(invalidParam('Invalid sort', 'Sorting by "' + invalidColumn.column + '" is not supported'));
+    }
+    if (!order.find(({column}) => column === 'id')) {
+        order.push({column: 'id', ascending: true});
+    }
+    return Promise.resolve(order);
+}
+
+function orderSignature(order) {
+    return order.map(({column, ascending}) => (ascending ? '' : '-') + column).join(',');
+}
+
+/**
+An opaque cursor pointing just after `row` in a collection sorted by `order`. It records the
+row's sort values, and the sort itself so that it can't be reused with a different one.
+*/
+export function encodeCursor(row, order) {
+    const values = order.map(({column}) => {
+        const value = row[column];
+        return value instanceof Date ? value.toISOString() : value;
+    });
+    const json = JSON.stringify({sort: orderSignature(order), values});
+    return new Buffer(json).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+The sort values recorded in `cursor`, or null if it isn't a cursor for a collection sorted by `order`.
+*/
+export function decodeCursor(cursor, order) {
+    try {
+        const base64 = ('' + cursor).replace(/-/g, '+').replace(/_/g, '/');
+        const {sort, values} = JSON.parse(new Buffer(base64, 'base64').toString());
+        if (sort !== orderSignature(order) || !Array.isArray(values) || values.length !== order.length) {
+            return null;
+        }
+        return values;
+    } catch (error) {
+        return null;
+    }
+}
+
+export function invalidCursorError() {
+    return invalidParam('Invalid cursor', 'page[cursor] must come from a pagination link for the same sort');
+}
+
+/**
+Page params for the first/prev/next/last pages of an offset-paginated collection.
+Pages that don't exist (e.g. `prev` on the first page) are left out.
+*/
+export function offsetPages({offset = 0, pageSize, total}) {
+    const pages = {
+        first: {offset: 0, size: pageSize}
+    };
+    if (offset > 0) {
+        pages.prev = {offset: Math.max(offset - pageSize, 0), size: pageSize};
+    }
+    if (offset + pageSize < total) {
+        pages.next = {offset: offset + pageSize, size: pageSize};
+    }
+    pages.last = {offset: Math.max(Math.floor((total - 1) / pageSize) * pageSize, 0), size: pageSize};
+    return pages;
+}
+
+/**
+Page params for the first/prev/next/last pages of a cursor-paginated collection sorted by `order`.
+`rows` is the current page fetched with one extra row, to tell whether a next page exists;
+`rowsBefore` are the rows up to and including the cursor's row, and `rowsFromEnd` the rows from
+the end of the collection, each in reverse order and again fetched with one extra row.
+*/
+export function cursorPages({order, cursor, pageSize, rows, rowsBefore, rowsFromEnd}) {
+    const pages = {
+        first: {size: pageSize}
+    };
+    if (cursor !== undefined && rowsBefore && rowsBefore.length > 0) {
+        pages.prev = rowsBefore.length > pageSize ?
+            {cursor: encodeCursor(rowsBefore[pageSize], order), size: pageSize} :
+            pages.first;
+    }
+    if (rows.length > pageSize) {
+        pages.next = {cursor: encodeCursor(rows[pageSize - 1], order), size: pageSize};
+    }
+    pages.last = rowsFromEnd.length > pageSize ?
+        {cursor: encodeCursor(rowsFromEnd[pageSize], order), size: pageSize} :
+        pages.first;
+    return pages;
+}
+
+/**
+The URL of the current request, with its page params replaced by `pageParams`.
+*/
+export function pageLink(request, pageParams) {
+    const link = url.parse(request.route.combined, true);
+    link.search = null;
+    Object.keys(link.query).forEach((key) => {
+        if (key.indexOf('page[') === 0) {
+            delete link.query[key];
+        }
+    });
+    Object.keys(pageParams).forEach((key) => {
+        if (pageParams[key] !== undefined) {
+            link.query['page[' + key + ']'] = pageParams[key];
+        }
+    });
+    return url.format(link);
+}
+
+export function pageLinks(request, pages) {
+    return Object.keys(pages).reduce((memo, name) => {
+        memo[name] = pageLink(request, pages[name]);
+        return memo;
+    }, {});
+}
+
+/**
+jsonapi-server derives collection links and meta from its own offset/limit paging, which doesn't
+match ours. Handlers describe the page they returned in `request.pagination` ({links, page}), and
+this swaps that in when the response is built.
+*/
+export function extendResponseHelper(responseHelper) {
+    const generateResponse = responseHelper._generateResponse;
+    responseHelper._generateResponse = function generatePaginatedResponse(request, ...rest) {
+        const response = generateResponse.call(this, request, ...rest);
+        if (!request.pagination) {
+            return response;
+        }
+        const links = Object.assign({}, response.links);
+        PAGE_LINK_NAMES.forEach((name) => {
+            delete links[name];
+        });
+        return {
+            ...response,
+            meta: {
+                ...response.meta,
+                page: request.pagination.page
+            },
+            links: {
+                ...links,
+                ...request.pagination.links
+            }
+        };
+    };
+}
@@ -0,0 +1,118 @@
+import {Joi as types} from 'jsonapi-server/lib/ourJoi';
+import * as dbm from '../models/dbm';
+
+/**
+Relationship declarations for a resource schema's `relationships`, e.g.
+
+    relationships: {
+        // widgets.author_id references a user
+        author: belongsTo('user', {foreignKey: 'author_id'}),
+        // widgets.author_id references this user
+        widgets: hasMany('widget', {table: 'widgets', foreignKey: 'author_id'}),
+        // rows in widget_tags pair this widget's id with a tag's id
+        tags: hasMany('tag', {through: 'widget_tags', sourceKey: 'widget_id', targetKey: 'tag_id'})
+    }
+*/
+export function belongsTo(resource, {foreignKey}) {
+    return {kind: 'belongsTo', resource, foreignKey};
+}
+
+export function hasMany(resource, {table, foreignKey, through, sourceKey, targetKey}) {
+    if (through) {
+        return {kind: 'hasMany', resource, through, sourceKey, targetKey};
+    }
+    return {kind: 'hasMany', resource, table, foreignKey};
+}
+
+/**
+The jsonapi-server attribute types for a schema's relationships, to be merged into the
+resource's attributes when it is defined.
+*/
+export function relationshipAttributes(relationships = {}) {
+    return Object.keys(relationships).reduce((memo, key) => {
+        const relationship = relationships[key];
+        memo[key] = relationship.kind === 'belongsTo' ?
+            types.one(relationship.resource) :
+            types.many(relationship.resource);
+        return memo;
+    }, {});
+}
+
+let handlers = {};
+
+/**
+Keeps track of the handlers of `resourceDefinitions`, as loaded by load-resources, so that hasMany
+linkage only lists the related resources that their handlers let the request see.
+*/
+export function registerRelatedHandlers(resourceDefinitions) {
+    handlers = resourceDefinitions.reduce((memo, {resource, handlers: resourceHandlers}) => {
+        memo[resource] = resourceHandlers;
+        return memo;
+    }, {});
+}
+
+// Adds the conditions for the rows of `resource` that `request` can see to `where`, or null if none
+function visibleConditions(resource, request, where) {
+    const handler = handlers.hasOwnProperty(resource) ? handlers[resource] : null;
+    return handler ? handler._visibleConditions(request, where) : Promise.resolve(where);
+}
+
+function linkage(resource, id) {
+    return {type: resource, id: '' + id};
+}
+
+/**
+Resolves to the resource linkage for each of `objects`' side of `relationship`, in order: a
+single {type, id} (or null) for belongsTo, and an array of them for hasMany. hasMany linkage is
+looked up for all of `objects` in one query, so that serializing a page of resources doesn't
+take a query per resource, and only lists the related resources `request` can see.
+*/
+export function linkageForObjects(objects, relationship, request, db = dbm) {
+    const {kind, resource} = relationship;
+    if (kind === 'belongsTo') {
+        return Promise.resolve(objects.map((object) => {
+            const id = object[relationship.foreignKey];
+            return id === null || id === undefined ? null : linkage(resource, id);
+        }));
+    }
+    if (objects.length === 0) {
+        return Promise.resolve([]);
+    }
+    const key = relationship.through ? relationship.sourceKey : relationship.foreignKey;
+    const where = [{column: key, matches: objects.map((object) => ({comparator: 'eq', value: object.id}))}];
+    if (relationship.through) {
+        return db.list(relationship.through, {where})
+            .then((rows) => objects.map((object) => (
+                rows.filter((row) => row[key] === object.id).map((row) => linkage(resource, row[relationship.targetKey]))
+            )));
+    }
+    return visibleConditions(resource, request, where)
+        .then((visibleWhere) => (visibleWhere ? db.list(relationship.table, {where: visibleWhere}) : []))
+        .then((rows) => objects.map((object) => (
+            rows.filter((row) => row[key] === object.id).map((row) => linkage(resource, row.id))
+        )));
+}
+
+/**
+Resolves to the resource linkage for `object`'s side of `relationship`, as for linkageForObjects.
+*/
+export function linkageForObject(object, relationship, request, db = dbm) {
+    return linkageForObjects([object], relationship, request, db)
+        .then(([objectLinkage]) => objectLinkage);
+}
+
+/**
+Maps the relationships in an inbound resource onto table columns: belongsTo linkage is stored
+in its foreign key, while hasMany relationships live in other tables and are left out.
+*/
+export function relationshipsToColumns(inboundJSON, relationships = {}) {
+    const columns = Object.assign({}, inboundJSON);
+    Object.keys(relationships).forEach((key) => {
+        const relationship = relationships[key];
+        if (relationship.kind === 'belongsTo' && columns[key] !== undefined) {
+            columns[relationship.foreignKey] = columns[key] ? columns[key].id : null;
+        }
+        delete columns[key];
+    });
+    return columns;
+}
@@ -0,0 +1,65 @@
+/**
+Full-text search, for resources whose handlers name the tsvector column to search in `searchVector`.
+`filter[q]=blue widgets` lists only the resources matching those words, most relevant first unless
+the request asks for another sort. The response's meta holds each match's relevance and snippets
+of its text, by id:
+
+    "meta": {"search": {"12": {"rank": 0.6, "highlights": {"name": "<mark>Blue</mark> widget"}}}}
+
+Highlights are plain text, other than the `<mark>` tags around the matching words, even when the
+column they're from holds HTML.
+*/
+
+export const SEARCH_FILTER = 'q';
+
+/**
+The words to search for in `filterParams`, or null if the request doesn't search.
+*/
+export function searchQuery(filterParams) {
+    if (!filterParams || typeof filterParams !== 'object' || filterParams[SEARCH_FILTER] === undefined) {
+        return null;
+    }
+    const query = [].concat(filterParams[SEARCH_FILTER]).join(' ').trim();
+    return query || null;
+}
+
+/**
+`order` preceded by relevance, unless the request asked for a sort of its own.
+*/
+export function searchOrder(sortParam, order) {
+    return sortParam ? order : [{column: 'search_rank', ascending: false}, ...order];
+}
+
+/**
+The meta describing the search matches in `rows`, as listed by dbm with a search.
+*/
+export function searchMeta(rows) {
+    return rows.reduce((memo, row) => {
+        memo[row.id] = {
+            rank: row.search_rank,
+            highlights: row.search_highlights || {}
+        };
+        return memo;
+    }, {});
+}
+
+/**
+Handlers that searched describe the matches in `request.search`, and this adds that to the meta
+of the response when it's built.
+*/
+export function extendResponseHelper(responseHelper) {
+    const generateResponse = responseHelper._generateResponse;
+    responseHelper._generateResponse = function generateSearchResponse(request, ...rest) {
+        const response = generateResponse.call(this, request, ...rest);
+        if (!request.search) {
+            return response;
+        }
+        return {
+            ...response,
+            meta: {
+                ...response.meta,
+                search: request.search
+            }
+        };
+    };
+}
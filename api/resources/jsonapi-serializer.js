@@ -1,3 +1,5 @@
+import {linkageForObjects} from './jsonapi-relationships';
+
 export default class JSONAPISerializer {
     static schema() {
         return {
@@ -6,15 +8,19 @@ export default class JSONAPISerializer {
         };
     }
 
-    static objectToJSON(object, callback, {request, type}) {
+    /**
+    Serializes `object`, calling back with the result. `relationships`, if given, are its
+    relationships as from relationshipsForObjects, saving looking them up again.
+    */
+    static objectToJSON(object, callback, {request, type, relationships}) {
         const promises = [];
         promises.push(this.baseForObject(object, request, type));
         promises.push(this.attributesForObject(object));
-        promises.push(this.relationshipsForObject(object));
+        promises.push(relationships || this.relationshipsForObject(object, request));
         return Promise.all(promises)
             .then((values) => {
-                const [base, attributes, relationships] = values;
-                callback(null, Object.assign({}, base, attributes, relationships));
+                const [base, attributes, objectRelationships] = values;
+                callback(null, Object.assign({}, base, attributes, objectRelationships));
             })
             .catch((error) => {
                 callback(error);
@@ -26,10 +32,15 @@ export default class JSONAPISerializer {
         if (!type) {
             returnType = request.params.type;
         }
-        return {
+        const base = {
             id: ('' + object.id),
             type: returnType
         };
+        // Versioned resources (see jsonapi-versions) say which version this is
+        if (object.version !== undefined) {
+            base.meta = {version: object.version};
+        }
+        return base;
     }
 
     static shouldIncludeAttribute() {
@@ -50,26 +61,35 @@ export default class JSONAPISerializer {
         return true;
     }
 
-    static relationshipsForObject(object) {
+    static relationshipsForObject(object, request) {
+        return this.relationshipsForObjects([object], request)
+            .then(([relationships]) => relationships);
+    }
+
+    /**
+    Resolves to the relationships of each of `objects`, in order, looking each relationship up
+    for all of them at once, as `request` can see them.
+    */
+    static relationshipsForObjects(objects, request) {
         if (!this.schema().relationships) {
-            return {};
+            return Promise.resolve(objects.map(() => ({})));
         }
         const relationshipKeys = Object.keys(this.schema().relationships).filter((relationshipKey) => (
             this.shouldIncludeRelationship(relationshipKey)
         ));
         const relationshipPromises = relationshipKeys.map((relationshipKey) => (
-            this.infoForRelationship(object, relationshipKey)
+            this.infoForRelationship(objects, relationshipKey, request)
         ));
         return Promise.all(relationshipPromises)
-            .then((relationshipInfos) => {
-                return relationshipInfos.reduce((memo, relationshipInfo, index) => {
-                    memo[relationshipKeys[index]] = relationshipInfo;
+            .then((relationshipInfos) => objects.map((object, objectIndex) => (
+                relationshipInfos.reduce((memo, relationshipInfo, index) => {
+                    memo[relationshipKeys[index]] = relationshipInfo[objectIndex];
                     return memo;
-                }, {});
-            });
+                }, {})
+            )));
     }
 
-    static infoForRelationship() {
-        return undefined;
+    static infoForRelationship(objects, relationshipKey, request) {
+        return linkageForObjects(objects, this.schema().relationships[relationshipKey], request);
     }
 }
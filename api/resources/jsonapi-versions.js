@@ -0,0 +1,59 @@
+/**
+Optimistic concurrency for resources whose handlers set `versioned`: each row counts its updates
+in a `version` column, which is served as the resource's `meta.version` and as the ETag of
+single-resource responses. Updates can say which version they were made against, with an
+If-Match header or `meta.version`, and are refused with a 409 if the resource has changed since.
+*/
+
+const ETAG_PATTERN = /^(?:W\/)?"(\d+)"$/;
+
+export function etagForVersion(version) {
+    return '"' + version + '"';
+}
+
+/**
+The versions an update was made against, from its If-Match header or, failing that, its resource's
+`meta.version`. Null if it didn't say, or said any version will do (`If-Match: *`).
+*/
+export function expectedVersions(headers, meta) {
+    const ifMatch = headers && headers['if-match'];
+    if (ifMatch) {
+        const tags = ifMatch.split(',').map((tag) => tag.trim());
+        if (tags.indexOf('*') >= 0) {
+            return null;
+        }
+        // Tags that aren't versions can never match, so leave them in as NaN
+        return tags.map((tag) => {
+            const match = ETAG_PATTERN.exec(tag);
+            return match ? parseInt(match[1], 10) : NaN;
+        });
+    }
+    if (meta && meta.version !== undefined && meta.version !== null) {
+        return [parseInt(meta.version, 10)];
+    }
+    return null;
+}
+
+export function conflictError(request) {
+    return {
+        status: '409',
+        code: 'ECONFLICT',
+        title: 'Conflict',
+        detail: 'This ' + request.params.type + ' has been changed since you loaded it'
+    };
+}
+
+/**
+jsonapi-server sends responses itself, so this adds the ETag header to its responses for single
+versioned resources.
+*/
+export function extendRouter(router) {
+    const sendResponse = router.sendResponse;
+    router.sendResponse = function sendVersionedResponse(res, payload, ...rest) {
+        const data = payload && payload.data;
+        if (data && !Array.isArray(data) && data.meta && data.meta.version !== undefined) {
+            res.set('ETag', etagForVersion(data.meta.version));
+        }
+        return sendResponse.call(this, res, payload, ...rest);
+    };
+}
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+
+const RESOURCE_FILE_PATTERN = /-resource\.js$/;
+const REQUIRED_HANDLERS = ['initialise', 'search', 'find', 'create', 'delete', 'update'];
+
+/**
+Checks that a resource module's default export follows the contract every `*-resource.js`
+module shares: a function returning `{resource, handlers, attributes}`, ready to be passed
+to jsonapi-server's `define`. Returns the definition, or throws an Error naming `fileName`.
+*/
+export function resourceDefinitionFromModule(resourceModule, fileName) {
+    const fail = (reason) => {
+        throw new Error('Invalid API resource ' + fileName + ': ' + reason);
+    };
+    const makeDefinition = resourceModule && resourceModule.__esModule ? resourceModule.default : resourceModule;
+    if (typeof makeDefinition !== 'function') {
+        fail('the default export must be a function returning the resource definition');
+    }
+    const definition = makeDefinition();
+    if (!definition || typeof definition !== 'object') {
+        fail('the default export did not return a resource definition');
+    }
+    if (typeof definition.resource !== 'string' || !definition.resource) {
+        fail('`resource` must be the resource type name');
+    }
+    if (!definition.attributes || typeof definition.attributes !== 'object') {
+        fail('`attributes` must be an object');
+    }
+    const handlers = definition.handlers || {};
+    const missingHandlers = REQUIRED_HANDLERS.filter((handler) => typeof handlers[handler] !== 'function');
+    if (missingHandlers.length > 0) {
+        fail('`handlers` is missing ' + missingHandlers.join(', '));
+    }
+    return definition;
+}
+
+/**
+Finds every `*-resource.js` module in `directory` and returns their resource definitions,
+so that adding a resource only takes adding its module.
+*/
+export default function loadResources(directory = __dirname) {
+    const definitions = fs.readdirSync(directory)
+        .filter((fileName) => RESOURCE_FILE_PATTERN.test(fileName))
+        .sort()
+        .map((fileName) => resourceDefinitionFromModule(require(path.join(directory, fileName)), fileName));
+    const seenTypes = {};
+    definitions.forEach((definition) => {
+        if (seenTypes[definition.resource]) {
+            throw new Error('API resource type "' + definition.resource + '" is defined more than once');
+        }
+        seenTypes[definition.resource] = true;
+    });
+    return definitions;
+}
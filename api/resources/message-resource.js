@@ -0,0 +1,66 @@
+import {Joi as types} from 'jsonapi-server/lib/ourJoi';
+import JSONAPIHandler from './jsonapi-handler';
+import JSONAPISerializer from './jsonapi-serializer';
+import JSONAPIMask from './jsonapi-mask';
+import {belongsTo, relationshipAttributes} from './jsonapi-relationships';
+import { visibleRoomIDs, visibleRoomsConditions } from '../models/room';
+
+const messageSchema = {
+    type: 'message',
+    attributes: {
+        text: types.string().meta('readonly'),
+        created_at: types.date().iso().meta('readonly')
+    },
+    relationships: {
+        sender: belongsTo('user', {foreignKey: 'user_id'}),
+        room: belongsTo('room', {foreignKey: 'room_id'})
+    }
+};
+
+class MessageSerializer extends JSONAPISerializer {
+    static schema() {
+        return messageSchema;
+    }
+}
+
+/**
+Chat messages are sent over the socket (see chat.js), and can be read here by anyone signed in,
+from the rooms they can see in the chat.
+*/
+class MessageMask extends JSONAPIMask {
+    static canRead(model, session) {
+        if (!(session && session.userID)) {
+            return this.booleanToPromise(false);
+        }
+        return visibleRoomIDs(session.userID)
+            .then((roomIDs) => this.booleanToPromise(roomIDs.indexOf(model.room_id) >= 0));
+    }
+
+    static canList(session) {
+        return this.booleanToPromise(!!(session && session.userID));
+    }
+}
+
+class MessageHandler extends JSONAPIHandler {
+    tableName = 'messages'
+
+    serializer = MessageSerializer
+    mask = MessageMask
+
+    // Lists only the messages in rooms the user can see
+    _visibleConditions(request, where) {
+        return visibleRoomIDs(request.session.userID)
+            .then((roomIDs) => visibleRoomsConditions(where, 'room_id', roomIDs));
+    }
+}
+
+export default function() {
+    return {
+        resource: messageSchema.type,
+        handlers: new MessageHandler(),
+        attributes: {
+            ...messageSchema.attributes,
+            ...relationshipAttributes(messageSchema.relationships)
+        }
+    };
+}
@@ -0,0 +1,23 @@
+import { permits } from '../../src/utilities/permissions';
+
+// Who owns a stored row of each resource type
+const owners = {
+    user: (model) => model.id,
+    widget: (model) => model.author_id
+};
+
+/**
+Whether the session's user may perform `action` on `resource`, or on the stored row `model` if
+given, according to the permissions their roles grant. Masks should ask this rather than
+checking for particular roles, so that new roles only need new rows in role_permissions.
+*/
+export function can(session, action, resource, model) {
+    if (!(session && session.userID)) {
+        return false;
+    }
+    let isOwner;
+    if (model) {
+        isOwner = !!owners[resource] && owners[resource](model) === session.userID;
+    }
+    return permits(session.permissions, action, resource, isOwner);
+}
@@ -0,0 +1,66 @@
+import {Joi as types} from 'jsonapi-server/lib/ourJoi';
+import JSONAPIHandler from './jsonapi-handler';
+import JSONAPISerializer from './jsonapi-serializer';
+import JSONAPIMask from './jsonapi-mask';
+import {belongsTo, relationshipAttributes} from './jsonapi-relationships';
+import { visibleRoomIDs, visibleRoomsConditions } from '../models/room';
+
+const roomSchema = {
+    type: 'room',
+    attributes: {
+        name: types.string().meta('readonly'),
+        private: types.boolean().meta('readonly'),
+        created_at: types.date().iso().meta('readonly'),
+        archived_at: types.date().iso().allow(null).meta('readonly')
+    },
+    relationships: {
+        creator: belongsTo('user', {foreignKey: 'created_by'})
+    }
+};
+
+class RoomSerializer extends JSONAPISerializer {
+    static schema() {
+        return roomSchema;
+    }
+}
+
+/**
+Chat rooms are managed over the socket (see chat.js), and can be read here by anyone signed in,
+if they can see them in the chat: public rooms, and private rooms they're a member of.
+*/
+class RoomMask extends JSONAPIMask {
+    static canRead(model, session) {
+        if (!(session && session.userID)) {
+            return this.booleanToPromise(false);
+        }
+        return visibleRoomIDs(session.userID)
+            .then((roomIDs) => this.booleanToPromise(roomIDs.indexOf(model.id) >= 0));
+    }
+
+    static canList(session) {
+        return this.booleanToPromise(!!(session && session.userID));
+    }
+}
+
+class RoomHandler extends JSONAPIHandler {
+    tableName = 'rooms'
+
+    serializer = RoomSerializer
+    mask = RoomMask
+
+    _visibleConditions(request, where) {
+        return visibleRoomIDs(request.session.userID)
+            .then((roomIDs) => visibleRoomsConditions(where, 'id', roomIDs));
+    }
+}
+
+export default function() {
+    return {
+        resource: roomSchema.type,
+        handlers: new RoomHandler(),
+        attributes: {
+            ...roomSchema.attributes,
+            ...relationshipAttributes(roomSchema.relationships)
+        }
+    };
+}
@@ -0,0 +1,60 @@
+/**
+The resources whose handlers soft delete (see JSONAPIHandler's `softDelete`), by type, so that
+deleted resources can be restored, and purged once they've been deleted for long enough.
+*/
+
+const DAY = 24 * 60 * 60 * 1000;
+// How long deleted resources can still be restored, set with TRASH_RETENTION_DAYS
+export const RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+// How often the API purges the trash
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+let handlers = {};
+
+/**
+Keeps track of the soft-deleting handlers among `resourceDefinitions`, as loaded by load-resources.
+*/
+export function registerTrash(resourceDefinitions) {
+    handlers = resourceDefinitions.reduce((memo, {resource, handlers: resourceHandlers}) => {
+        if (resourceHandlers.softDelete) {
+            memo[resource] = resourceHandlers;
+        }
+        return memo;
+    }, {});
+}
+
+/**
+The handler that can restore deleted resources of `type`, or null if they're never kept.
+*/
+export function trashHandler(type) {
+    return handlers.hasOwnProperty(type) ? handlers[type] : null;
+}
+
+/**
+Permanently deletes everything deleted more than `retentionDays` before `now`.
+Resolves to how many resources were purged.
+*/
+export function purgeTrash(retentionDays = RETENTION_DAYS, now = Date.now()) {
+    const cutoff = new Date(now - retentionDays * DAY);
+    return Promise.all(Object.keys(handlers).map((type) => handlers[type].purge(type, cutoff)))
+        .then((purged) => purged.reduce((count, rows) => count + rows.length, 0));
+}
+
+/**
+Purges the trash now, and then every hour for as long as the API runs.
+*/
+export function startPurgingTrash(interval = PURGE_INTERVAL) {
+    const purge = () => {
+        purgeTrash()
+            .then((count) => {
+                if (count > 0) {
+                    console.info('==> Purged %d deleted resources', count);
+                }
+            })
+            .catch((error) => {
+                console.error('Failed to purge trash:', error);
+            });
+    };
+    purge();
+    return setInterval(purge, interval);
+}
@@ -2,8 +2,12 @@ import {Joi as types} from 'jsonapi-server/lib/ourJoi';
 import JSONAPIHandler from './jsonapi-handler';
 import JSONAPISerializer from './jsonapi-serializer';
 import JSONAPIMask from './jsonapi-mask';
+import {can} from './policy';
+import {hasMany, relationshipAttributes} from './jsonapi-relationships';
+import * as dbm from '../models/dbm';
 import { create as createStoredSession } from '../models/session';
 import { create as createStoredUser } from '../models/user';
+import { sendVerification } from '../models/email-verification';
 
 const userSchema = {
     type: 'user',
@@ -11,9 +15,11 @@ const userSchema = {
         email: types.string().email().required(),
         password: types.string(),
         created_at: types.date().iso().allow(null),
-        is_admin: types.bool().meta('readonly')
+        email_verified_at: types.date().iso().allow(null).meta('readonly')
     },
-    relationships: {}
+    relationships: {
+        widgets: hasMany('widget', {table: 'widgets', foreignKey: 'author_id'})
+    }
 };
 
 export class UserSerializer extends JSONAPISerializer {
@@ -32,15 +38,17 @@ class UserMask extends JSONAPIMask {
     }
 
     static canRead(model, session) {
-        return this.booleanToPromise(model.id === session.userID || (session && session.isAdmin));
+        return this.booleanToPromise(model.id === session.userID || can(session, 'read', 'user', model));
     }
 
     static canUpdate(model, session) {
-        return this.booleanToPromise(model.id === session.userID || (session && session.isAdmin));
+        return this.booleanToPromise(
+            (model.id === session.userID && this.isVerified(session)) || can(session, 'update', 'user', model)
+        );
     }
 
     static canDelete(model, session) {
-        return this.booleanToPromise(model.id === session.userID || (session && session.isAdmin));
+        return this.booleanToPromise(model.id === session.userID || can(session, 'delete', 'user', model));
     }
 }
 
@@ -50,25 +58,55 @@ class UserHandler extends JSONAPIHandler {
     serializer = UserSerializer
     mask = UserMask
 
+    /**
+    Changing a user's email address unverifies it, until they follow the link mailed to the new one,
+    since verified addresses are trusted, e.g. to link external logins to.
+    */
+    _updateRow(request, row, tableData, db) {
+        const emailChanged = tableData.email !== undefined && tableData.email !== row.email;
+        const values = emailChanged ? {...tableData, email_verified_at: null} : tableData;
+        return super._updateRow(request, row, values, db)
+            .then((updated) => {
+                if (!emailChanged) {
+                    return updated;
+                }
+                if (request.session.userID === updated.id) {
+                    request.session.emailVerified = false;
+                }
+                return sendVerification(updated, db)
+                    .catch((error) => {
+                        // The user can ask for another one, so this doesn't fail the update
+                        console.error('Failed to send verification email:', error);
+                    })
+                    .then(() => updated);
+            });
+    }
+
     create(request, newResource, callback) {
         this.mask.canCreate(request.session)
             .then(() => {
                 const tableData = this._objectFromJSON(newResource, request);
-                createStoredUser(tableData.email, tableData.password)
+                // Create the user and log them in atomically, so a failed login doesn't leave an orphaned user
+                dbm.transaction((transactionDbm) => (
+                    createStoredUser(tableData.email, tableData.password, transactionDbm)
+                        .then((result) => (
+                            createStoredSession(request.session, result.email, tableData.password, transactionDbm)
+                                .then(() => this._recordAudit(request, 'create', null, result, transactionDbm))
+                                .then(() => result)
+                        ))
+                ))
                     .then((result) => {
-                        this._objectToJSON(result, (error, formattedResult) => {
-                            const email = formattedResult.email;
-                            const password = tableData.password;
-                            createStoredSession(request.session, email, password)
-                                .then(() => {
-                                    callback(null, formattedResult);
-                                })
-                                .catch((sessionError) => {
-                                    callback(sessionError, null);
-                                });
-                        }, {request});
+                        sendVerification(result)
+                            .catch((error) => {
+                                // The user can ask for another one, so this doesn't fail the signup
+                                console.error('Failed to send verification email:', error);
+                            });
+                        this._objectToJSON(result, callback, {request});
                     })
                     .catch((error) => {
+                        delete request.session.userID;
+                        delete request.session.permissions;
+                        delete request.session.emailVerified;
                         callback(error, null);
                     });
             })
@@ -88,7 +126,7 @@ export default function() {
         handlers: new UserHandler(),
         attributes: {
             ...userSchema.attributes,
-            ...userSchema.relationships
+            ...relationshipAttributes(userSchema.relationships)
         }
     };
 }
@@ -2,7 +2,9 @@ import {Joi as types} from 'jsonapi-server/lib/ourJoi';
 import JSONAPIHandler from './jsonapi-handler';
 import JSONAPISerializer from './jsonapi-serializer';
 import JSONAPIMask from './jsonapi-mask';
-import * as dbm from '../models/dbm';
+import {can} from './policy';
+import {belongsTo, hasMany, relationshipAttributes} from './jsonapi-relationships';
+import { recordRevision } from '../models/widget-revision';
 
 const widgetSchema = {
     type: 'widget',
@@ -10,8 +12,13 @@ const widgetSchema = {
         name: types.string().required(),
         description: types.string().allow(null),
         created_at: types.date().iso().allow(null),
+        deleted_at: types.date().iso().allow(null).meta('readonly'),
+        version: types.number().integer().meta('readonly')
     },
-    relationships: {}
+    relationships: {
+        author: belongsTo('user', {foreignKey: 'author_id'}),
+        revisions: hasMany('widgetRevision', {table: 'widget_revisions', foreignKey: 'widget_id'})
+    }
 };
 
 class WidgetSerializer extends JSONAPISerializer {
@@ -22,7 +29,7 @@ class WidgetSerializer extends JSONAPISerializer {
 
 class WidgetMask extends JSONAPIMask {
     static canCreate(session) {
-        return this.booleanToPromise(session && session.isAdmin);
+        return this.booleanToPromise(can(session, 'create', 'widget'));
     }
 
     static canRead() {
@@ -30,19 +37,37 @@ class WidgetMask extends JSONAPIMask {
     }
 
     static canUpdate(model, session) {
-        return this.booleanToPromise(session && session.isAdmin);
+        return this.booleanToPromise(can(session, 'update', 'widget', model));
     }
 
     static canDelete(model, session) {
-        return this.booleanToPromise(session && session.isAdmin);
+        return this.booleanToPromise(can(session, 'delete', 'widget', model));
+    }
+
+    static canRestore(model, session) {
+        return this.booleanToPromise(can(session, 'restore', 'widget', model));
     }
 }
 
 class WidgetHandler extends JSONAPIHandler {
     tableName = 'widgets'
+    softDelete = true
+    versioned = true
+    searchVector = 'search_vector'
+    searchHighlights = [{column: 'name'}, {column: 'description', html: true}]
 
     serializer = WidgetSerializer
     mask = WidgetMask
+
+    _columnsForCreate(request) {
+        return {
+            author_id: request.session ? request.session.userID : null
+        };
+    }
+
+    _afterWrite(request, widget, db) {
+        return recordRevision(widget, request.session && request.session.userID, db);
+    }
 }
 
 export default function() {
@@ -51,7 +76,7 @@ export default function() {
         handlers: new WidgetHandler(),
         attributes: {
             ...widgetSchema.attributes,
-            ...widgetSchema.relationships
+            ...relationshipAttributes(widgetSchema.relationships)
         }
     };
 }
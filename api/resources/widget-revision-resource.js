@@ -0,0 +1,80 @@
+import {Joi as types} from 'jsonapi-server/lib/ourJoi';
+import JSONAPIHandler from './jsonapi-handler';
+import JSONAPISerializer from './jsonapi-serializer';
+import JSONAPIMask from './jsonapi-mask';
+import {can} from './policy';
+import {belongsTo, relationshipAttributes} from './jsonapi-relationships';
+import { get as getWidget, listByAuthor } from '../models/widgets';
+
+const widgetRevisionSchema = {
+    type: 'widgetRevision',
+    attributes: {
+        name: types.string().allow(null).meta('readonly'),
+        description: types.string().allow(null).meta('readonly'),
+        created_at: types.date().iso().meta('readonly')
+    },
+    relationships: {
+        widget: belongsTo('widget', {foreignKey: 'widget_id'}),
+        author: belongsTo('user', {foreignKey: 'author_id'})
+    }
+};
+
+class WidgetRevisionSerializer extends JSONAPISerializer {
+    static schema() {
+        return widgetRevisionSchema;
+    }
+}
+
+// A widget nobody owns, for asking whether a session can update every widget, not just its own
+const UNOWNED_WIDGET = {author_id: null};
+
+/**
+Revisions are saved by the widget handler, and can only be read, by those who can edit their
+widget. To go back to a revision, update the widget with its values, which saves another revision.
+*/
+class WidgetRevisionMask extends JSONAPIMask {
+    static canRead(model, session) {
+        return getWidget(model.widget_id)
+            .then((widget) => can(session, 'update', 'widget', widget), () => false)
+            .then((allowed) => this.booleanToPromise(allowed));
+    }
+
+    static canList(session) {
+        return this.booleanToPromise(can(session, 'update', 'widget'));
+    }
+}
+
+class WidgetRevisionHandler extends JSONAPIHandler {
+    tableName = 'widget_revisions'
+
+    serializer = WidgetRevisionSerializer
+    mask = WidgetRevisionMask
+
+    // Lists only the revisions of widgets the user can update
+    _visibleConditions(request, where) {
+        if (can(request.session, 'update', 'widget', UNOWNED_WIDGET)) {
+            return Promise.resolve(where);
+        }
+        return listByAuthor(request.session.userID)
+            .then((widgets) => {
+                if (widgets.length === 0) {
+                    return null;
+                }
+                return [...where, {
+                    column: 'widget_id',
+                    matches: widgets.map((widget) => ({comparator: 'eq', value: widget.id}))
+                }];
+            });
+    }
+}
+
+export default function() {
+    return {
+        resource: widgetRevisionSchema.type,
+        handlers: new WidgetRevisionHandler(),
+        attributes: {
+            ...widgetRevisionSchema.attributes,
+            ...relationshipAttributes(widgetRevisionSchema.relationships)
+        }
+    };
+}
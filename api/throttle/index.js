@@ -0,0 +1,109 @@
+import memoryStore from './memory-store';
+
+/**
+Throttles password guessing against sessions/createSession. Failed logins are counted both per
+account and per client address; past a few free failures, each further one locks that account or
+address out for twice as long as the last, up to MAX_LOCKOUT. Lockouts are temporary so that
+nobody can lock a user out of their account for good by guessing at it.
+*/
+
+const LIMITS = {
+    account: {freeFailures: 5},
+    // Higher, since many users can share an address (e.g. behind an office NAT)
+    address: {freeFailures: 20}
+};
+const BASE_LOCKOUT = 30 * 1000;
+const MAX_LOCKOUT = 60 * 60 * 1000;
+// Counts are forgotten this long after the last failure
+const FORGET_AFTER = 24 * 60 * 60 * 1000;
+
+// Loaded lazily, so that development and tests don't need a database connection for it
+let store = process.env.NODE_ENV === 'production' ? require('./postgres-store').default() : memoryStore();
+
+const STORE_METHODS = ['get', 'increment', 'lockUntil', 'remove'];
+
+/**
+Replaces where failure counts are kept. A store is any object with these methods, each returning
+a promise:
+
+- `get(key)` resolves to the `{failures, lockedUntil}` record for `key`, or null.
+- `increment(key, expiresAt)` adds a failure to the record, starting one if there is none, and
+resolves to its new count. It must do so atomically, so that failures counted at the same time
+all count.
+- `lockUntil(key, lockedUntil)` locks the record's key out until then, unless it already is for
+longer.
+- `remove(key)` forgets the record.
+
+Stores may forget a record once its `expiresAt` (in ms) has passed.
+*/
+export function setStore(newStore) {
+    if (!newStore || STORE_METHODS.some((method) => typeof newStore[method] !== 'function')) {
+        throw new Error('A throttle store must have ' + STORE_METHODS.join(', ') + ' methods');
+    }
+    store = newStore;
+}
+
+function keysFor({email, address}) {
+    const keys = [];
+    if (email) {
+        keys.push({limit: LIMITS.account, key: 'account:' + email.trim().toLowerCase()});
+    }
+    if (address) {
+        keys.push({limit: LIMITS.address, key: 'address:' + address});
+    }
+    return keys;
+}
+
+export function lockoutDuration(failures, {freeFailures}) {
+    if (failures < freeFailures) {
+        return 0;
+    }
+    return Math.min(BASE_LOCKOUT * Math.pow(2, failures - freeFailures), MAX_LOCKOUT);
+}
+
+function tooManyAttemptsError(retryAt) {
+    return {
+        message: 'Too many failed login attempts. Please try again later.',
+        status: 429,
+        code: 'ETOOMANYATTEMPTS',
+        retryAfter: Math.ceil((retryAt - Date.now()) / 1000)
+    };
+}
+
+/**
+Resolves if a login attempt for `email` from `address` may go ahead, or rejects with a 429 error
+if either is locked out.
+*/
+export function checkLogin(attempt) {
+    return Promise.all(keysFor(attempt).map(({key}) => store.get(key)))
+        .then((records) => {
+            const now = Date.now();
+            const retryAt = Math.max(0, ...records.map((record) => (record ? record.lockedUntil : 0)));
+            if (retryAt > now) {
+                return Promise.reject(tooManyAttemptsError(retryAt));
+            }
+        });
+}
+
+/**
+Counts a failed login attempt against both its account and its address, locking them out by the
+count the store comes back with, so that failures at the same time each lock out for longer.
+*/
+export function recordLoginFailure(attempt) {
+    const now = Date.now();
+    return Promise.all(keysFor(attempt).map(({key, limit}) => (
+        store.increment(key, now + FORGET_AFTER)
+            .then((failures) => {
+                const lockout = lockoutDuration(failures, limit);
+                return lockout && store.lockUntil(key, now + lockout);
+            })
+    )));
+}
+
+/**
+Forgets the account's failures after a successful login. The address's failures stand, so that
+logging in to one account doesn't buy more guesses at others.
+*/
+export function recordLoginSuccess({email}) {
+    return Promise.all(keysFor({email}).map(({key}) => store.remove(key)));
+}
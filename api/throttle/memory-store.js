@@ -0,0 +1,47 @@
+/**
+A throttle store for development and tests, which keeps records in this process's memory.
+Records vanish on restart and aren't shared between processes, so use a shared store in production.
+*/
+export default function memoryStore() {
+    const records = {};
+
+    function prune(now) {
+        Object.keys(records).forEach((key) => {
+            if (records[key].expiresAt <= now) {
+                delete records[key];
+            }
+        });
+    }
+
+    return {
+        get(key) {
+            const entry = records[key];
+            if (!entry || entry.expiresAt <= Date.now()) {
+                return Promise.resolve(null);
+            }
+            return Promise.resolve(entry.record);
+        },
+
+        increment(key, expiresAt) {
+            const now = Date.now();
+            prune(now);
+            const record = records[key] ? records[key].record : {failures: 0, lockedUntil: 0};
+            record.failures++;
+            records[key] = {record, expiresAt};
+            return Promise.resolve(record.failures);
+        },
+
+        lockUntil(key, lockedUntil) {
+            const entry = records[key];
+            if (entry) {
+                entry.record.lockedUntil = Math.max(entry.record.lockedUntil, lockedUntil);
+            }
+            return Promise.resolve();
+        },
+
+        remove(key) {
+            delete records[key];
+            return Promise.resolve();
+        }
+    };
+}
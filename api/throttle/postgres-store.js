@@ -0,0 +1,60 @@
+import { executeQuery } from '../db/query';
+
+function query(text, values) {
+    return new Promise((resolve, reject) => {
+        executeQuery({text, values}, (results, error) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(results);
+            }
+        });
+    });
+}
+
+/**
+A throttle store kept in the login_throttles table, so every API process sees the same records.
+*/
+export default function postgresStore() {
+    return {
+        get(key) {
+            return query(
+                'select failures, locked_until from login_throttles where key = $1 and expires_at > now()',
+                [key]
+            )
+                .then((rows) => {
+                    if (rows.length === 0) {
+                        return null;
+                    }
+                    return {
+                        failures: rows[0].failures,
+                        lockedUntil: rows[0].locked_until ? rows[0].locked_until.getTime() : 0
+                    };
+                });
+        },
+
+        increment(key, expiresAt) {
+            // Expired rows are only ever skipped by get, so clear them out as we go
+            return query('delete from login_throttles where expires_at <= now()')
+                // Counted in one statement, so that failures at the same time can't overwrite each other
+                .then(() => query(
+                    'insert into login_throttles (key, failures, expires_at) values ($1, 1, $2) ' +
+                    'on conflict (key) do update set failures = login_throttles.failures + 1, ' +
+                    'expires_at = excluded.expires_at returning failures',
+                    [key, new Date(expiresAt)]
+                ))
+                .then((rows) => rows[0].failures);
+        },
+
+        lockUntil(key, lockedUntil) {
+            return query(
+                'update login_throttles set locked_until = greatest(locked_until, $2) where key = $1',
+                [key, new Date(lockedUntil)]
+            );
+        },
+
+        remove(key) {
+            return query('delete from login_throttles where key = $1', [key]);
+        }
+    };
+}
@@ -0,0 +1,36 @@
+import { authenticate } from '../models/api-token';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+Wraps the express-session middleware so that requests with an `Authorization: Bearer <token>`
+header are authenticated by that API token instead. For those, `req.session` is the token's
+identity rather than an express-session, and nothing is stored between requests.
+*/
+export default function authenticateAPITokens(sessionMiddleware) {
+    return (req, res, next) => {
+        const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('authorization') || '');
+        if (!match) {
+            sessionMiddleware(req, res, next);
+            return;
+        }
+        authenticate(match[1])
+            .then((identity) => {
+                if (!identity) {
+                    res.status(401).json({
+                        message: 'This API token is invalid or has been revoked',
+                        status: 401
+                    });
+                } else if (identity.scopes.indexOf('write') < 0 && READ_METHODS.indexOf(req.method) < 0) {
+                    res.status(403).json({
+                        message: 'This API token can only read',
+                        status: 403
+                    });
+                } else {
+                    req.session = identity;
+                    next();
+                }
+            })
+            .catch(next);
+    };
+}
@@ -0,0 +1,37 @@
+import bodyParser from 'body-parser';
+import trackSessions from './track-sessions';
+import authenticateAPITokens from './authenticate-api-tokens';
+import verifyCsrfToken from './csrf';
+import { registerStrategy } from '../auth-strategies';
+import oauth2Strategy from '../auth-strategies/oauth2';
+import standInProvider from '../auth-strategies/stand-in-provider';
+
+const STAND_IN_CREDENTIALS = {clientID: 'stand-in', clientSecret: 'stand-in'};
+
+/**
+Mounts the middleware that works out who each request to the express `app` is from, and whether
+to let it through, in the order it has to run in. `sessionMiddleware` is the express-session
+middleware, which requests that don't carry an API token go through.
+
+Given `standIn`, it also mounts a pretend sign-in provider at /oauth-stand-in and registers a
+strategy for it, for trying out external login without registering with a real one. The browser
+reaches the provider at `standIn.browserURL` and the API at `standIn.serverURL`.
+*/
+export default function useAuthenticationMiddleware(app, sessionMiddleware, {standIn} = {}) {
+    if (standIn) {
+        // Ahead of the API tokens, since the strategy sends the provider its own bearer tokens
+        app.use('/oauth-stand-in', standInProvider(STAND_IN_CREDENTIALS));
+        registerStrategy(oauth2Strategy({
+            ...STAND_IN_CREDENTIALS,
+            name: 'stand-in',
+            label: 'Stand-in provider',
+            authorizationURL: standIn.browserURL + '/authorize',
+            tokenURL: standIn.serverURL + '/token',
+            userInfoURL: standIn.serverURL + '/userinfo'
+        }));
+    }
+    app.use(authenticateAPITokens(sessionMiddleware));
+    app.use(trackSessions);
+    app.use(bodyParser.json());
+    app.use(verifyCsrfToken);
+}
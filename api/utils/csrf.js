@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import url from 'url';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+export const CSRF_HEADER = 'x-csrf-token';
+
+// Compares in time that doesn't depend on where the strings differ
+function tokensMatch(expected, actual) {
+    if (typeof actual !== 'string' || actual.length !== expected.length) {
+        return false;
+    }
+    let difference = 0;
+    for (let index = 0; index < expected.length; index++) {
+        difference |= expected.charCodeAt(index) ^ actual.charCodeAt(index); // eslint-disable-line no-bitwise
+    }
+    return difference === 0;
+}
+
+/**
+Returns the CSRF token for `session`, giving it one if it has none yet.
+*/
+export function csrfTokenFor(session) {
+    if (!session.csrfToken) {
+        session.csrfToken = crypto.randomBytes(24).toString('hex');
+    }
+    return session.csrfToken;
+}
+
+/**
+Whether the action (see actions/index.js) `action` can be run by a request with `method`. Since
+safe methods skip the CSRF check, only actions marked `readOnly` can be run by them; the rest
+have to be POSTed, so that other sites can't run them with a link or an image.
+*/
+export function actionAllowsMethod(action, method) {
+    return method === 'POST' || (!!action.readOnly && SAFE_METHODS.indexOf(method) >= 0);
+}
+
+function originOf(address) {
+    const parsed = url.parse(address);
+    return (parsed.protocol + '//' + parsed.host).toLowerCase();
+}
+
+/**
+Whether a request with the `Origin` header `origin` may go ahead on the strength of its cookies
+alone, for requests that can't carry a CSRF token, like socket.io handshakes: browsers say where
+requests that other sites make them send come from, so only those from the app at `appUrl` are
+allowed. Requests without an origin, which browsers only leave out on their own site's, are too.
+*/
+export function isSameOrigin(origin, appUrl) {
+    return !origin || originOf(origin) === originOf(appUrl);
+}
+
+/**
+Express middleware that refuses mutating requests authenticated by the session cookie unless they
+carry the session's CSRF token in an X-CSRF-Token header, since a browser will send the cookie
+along with requests that other sites make it send. Requests made with API tokens don't carry
+cookies, so they're let through.
+*/
+export default function verifyCsrfToken(req, res, next) {
+    if (SAFE_METHODS.indexOf(req.method) >= 0 || !req.session || req.session.apiTokenID) {
+        next();
+        return;
+    }
+    if (!req.session.csrfToken || !tokensMatch(req.session.csrfToken, req.get(CSRF_HEADER))) {
+        res.status(403).json({
+            message: 'This request is missing a valid CSRF token. Please reload the page and try again.',
+            status: 403,
+            code: 'EBADCSRFTOKEN'
+        });
+        return;
+    }
+    next();
+}
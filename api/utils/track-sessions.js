@@ -0,0 +1,23 @@
+import { touchSession } from '../models/user-session';
+
+// How often a session's last-seen time is updated, at most
+const TOUCH_INTERVAL = 60 * 1000;
+
+/**
+Express middleware that keeps the user_sessions record of each logged-in session up to date
+(requests made with API tokens have no session to track). Requests don't wait for the record
+to be written, and only log it if that fails.
+*/
+export default function trackSessions(req, res, next) {
+    const session = req.session;
+    const now = Date.now();
+    const untracked = !(session && session.userID) || session.apiTokenID;
+    if (untracked || (session.lastTrackedAt && now - session.lastTrackedAt < TOUCH_INTERVAL)) {
+        next();
+        return;
+    }
+    session.lastTrackedAt = now;
+    touchSession(req)
+        .catch((error) => { console.error('Failed to track session:', error); });
+    next();
+}
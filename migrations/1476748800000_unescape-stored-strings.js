@@ -0,0 +1,30 @@
+// Rows written before dbm switched to parameterized queries were stored with
+// the old hand-rolled escaping applied (e.g. `50%` was stored as `50\%`), and
+// only un-escaped on the way out. Undo that escaping in place. `\\` is swapped
+// out for a sentinel first so that the remaining replacements can't match
+// half of an escaped backslash. Postgres text can't hold NUL, so `\0` is dropped.
+const unescapeColumn = (column) => (
+    `replace(replace(replace(replace(replace(replace(replace(replace(replace(
+        replace(${column}, E'\\\\\\\\', chr(1)),
+        E'\\\\0', ''), E'\\\\b', chr(8)), E'\\\\t', chr(9)), E'\\\\z', chr(26)),
+        E'\\\\n', chr(10)), E'\\\\r', chr(13)), E'\\\\"', '"'), E'\\\\%', '%'),
+        chr(1), E'\\\\')`
+);
+
+const columnsByTable = {
+    users: ['email'],
+    widgets: ['name', 'description']
+};
+
+exports.up = (pgm) => {
+    Object.keys(columnsByTable).forEach((table) => {
+        const assignments = columnsByTable[table].map((column) => (
+            `${column} = ${unescapeColumn(column)}`
+        ));
+        pgm.sql(`UPDATE ${table} SET ${assignments.join(', ')}`);
+    });
+};
+
+exports.down = () => {
+    // The old escaping was lossy to reverse blindly, so there is nothing to undo.
+};
@@ -0,0 +1,20 @@
+exports.up = (pgm) => {
+    pgm.addColumns(
+        'widgets',
+        {
+            author_id: {
+                type: 'integer',
+                references: 'users ON DELETE SET NULL'
+            }
+        }
+    );
+    pgm.createIndex(
+        'widgets',
+        'author_id'
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropIndex('widgets', 'author_id');
+    pgm.dropColumns('widgets', 'author_id');
+};
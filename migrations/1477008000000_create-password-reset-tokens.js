@@ -0,0 +1,36 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'password_reset_tokens',
+        {
+            id: 'id',
+            user_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'users ON DELETE CASCADE'
+            },
+            token_hash: {
+                type: 'string',
+                notNull: true,
+                unique: true
+            },
+            created_at: {
+                type: 'datetime'
+            },
+            expires_at: {
+                type: 'datetime',
+                notNull: true
+            },
+            used_at: {
+                type: 'datetime'
+            }
+        }
+    );
+    pgm.createIndex(
+        'password_reset_tokens',
+        'user_id'
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropTable('password_reset_tokens');
+};
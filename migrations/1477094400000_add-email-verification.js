@@ -0,0 +1,48 @@
+exports.up = (pgm) => {
+    pgm.addColumns(
+        'users',
+        {
+            email_verified_at: {
+                type: 'datetime'
+            }
+        }
+    );
+    // Users who signed up before verification existed keep full access
+    pgm.sql('UPDATE users SET email_verified_at = coalesce(created_at, now())');
+
+    pgm.createTable(
+        'email_verification_tokens',
+        {
+            id: 'id',
+            user_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'users ON DELETE CASCADE'
+            },
+            token_hash: {
+                type: 'string',
+                notNull: true,
+                unique: true
+            },
+            created_at: {
+                type: 'datetime'
+            },
+            expires_at: {
+                type: 'datetime',
+                notNull: true
+            },
+            used_at: {
+                type: 'datetime'
+            }
+        }
+    );
+    pgm.createIndex(
+        'email_verification_tokens',
+        'user_id'
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropTable('email_verification_tokens');
+    pgm.dropColumns('users', 'email_verified_at');
+};
@@ -0,0 +1,111 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'roles',
+        {
+            id: 'id',
+            name: {
+                type: 'string',
+                notNull: true,
+                unique: true
+            },
+            created_at: {
+                type: 'datetime'
+            }
+        }
+    );
+
+    pgm.createTable(
+        'role_permissions',
+        {
+            id: 'id',
+            role_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'roles ON DELETE CASCADE'
+            },
+            // '*' matches any action or resource type
+            action: {
+                type: 'string',
+                notNull: true
+            },
+            resource: {
+                type: 'string',
+                notNull: true
+            },
+            // 'any', or 'own' to only apply to records the user owns
+            scope: {
+                type: 'string',
+                notNull: true,
+                default: 'any'
+            }
+        }
+    );
+    pgm.createIndex(
+        'role_permissions',
+        ['role_id', 'action', 'resource', 'scope'],
+        {
+            unique: true
+        }
+    );
+
+    pgm.createTable(
+        'user_roles',
+        {
+            id: 'id',
+            user_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'users ON DELETE CASCADE'
+            },
+            role_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'roles ON DELETE CASCADE'
+            }
+        }
+    );
+    pgm.createIndex(
+        'user_roles',
+        ['user_id', 'role_id'],
+        {
+            unique: true
+        }
+    );
+
+    pgm.sql(`INSERT INTO roles (name, created_at) VALUES ('admin', now()), ('editor', now())`);
+    pgm.sql(
+        `INSERT INTO role_permissions (role_id, action, resource, scope) ` +
+        `SELECT id, '*', '*', 'any' FROM roles WHERE name = 'admin'`
+    );
+    pgm.sql(
+        `INSERT INTO role_permissions (role_id, action, resource, scope) ` +
+        `SELECT roles.id, permissions.action, 'widget', permissions.scope FROM roles, ` +
+        `(VALUES ('create', 'any'), ('update', 'own'), ('delete', 'own')) AS permissions (action, scope) ` +
+        `WHERE roles.name = 'editor'`
+    );
+    pgm.sql(
+        `INSERT INTO user_roles (user_id, role_id) ` +
+        `SELECT users.id, roles.id FROM users, roles WHERE users.is_admin AND roles.name = 'admin'`
+    );
+    pgm.dropColumns('users', 'is_admin');
+};
+
+exports.down = (pgm) => {
+    pgm.addColumns(
+        'users',
+        {
+            is_admin: {
+                type: 'bool',
+                default: false
+            }
+        }
+    );
+    pgm.sql(
+        `UPDATE users SET is_admin = true WHERE id IN (` +
+        `SELECT user_roles.user_id FROM user_roles JOIN roles ON roles.id = user_roles.role_id ` +
+        `WHERE roles.name = 'admin')`
+    );
+    pgm.dropTable('user_roles');
+    pgm.dropTable('role_permissions');
+    pgm.dropTable('roles');
+};
@@ -0,0 +1,27 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'login_throttles',
+        {
+            // e.g. 'account:<email>' or 'address:<ip>'
+            key: {
+                type: 'string',
+                primaryKey: true
+            },
+            failures: {
+                type: 'integer',
+                notNull: true
+            },
+            locked_until: {
+                type: 'datetime'
+            },
+            expires_at: {
+                type: 'datetime',
+                notNull: true
+            }
+        }
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropTable('login_throttles');
+};
@@ -0,0 +1,39 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'user_sessions',
+        {
+            id: 'id',
+            user_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'users ON DELETE CASCADE'
+            },
+            // The express-session ID, used to destroy the session when it's revoked
+            sid: {
+                type: 'string',
+                notNull: true,
+                unique: true
+            },
+            created_at: {
+                type: 'datetime'
+            },
+            last_seen_at: {
+                type: 'datetime'
+            },
+            ip_address: {
+                type: 'string'
+            },
+            user_agent: {
+                type: 'string'
+            }
+        }
+    );
+    pgm.createIndex(
+        'user_sessions',
+        'user_id'
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropTable('user_sessions');
+};
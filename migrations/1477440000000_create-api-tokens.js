@@ -0,0 +1,41 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'api_tokens',
+        {
+            id: 'id',
+            user_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'users ON DELETE CASCADE'
+            },
+            name: {
+                type: 'string',
+                notNull: true
+            },
+            token_hash: {
+                type: 'string',
+                notNull: true,
+                unique: true
+            },
+            // Any of 'read' and 'write'
+            scopes: {
+                type: 'text[]',
+                notNull: true
+            },
+            created_at: {
+                type: 'datetime'
+            },
+            last_used_at: {
+                type: 'datetime'
+            }
+        }
+    );
+    pgm.createIndex(
+        'api_tokens',
+        'user_id'
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropTable('api_tokens');
+};
@@ -0,0 +1,46 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'identities',
+        {
+            id: 'id',
+            user_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'users ON DELETE CASCADE'
+            },
+            // The name of the sign-in strategy, and who the user is to its provider
+            provider: {
+                type: 'string',
+                notNull: true
+            },
+            subject: {
+                type: 'string',
+                notNull: true
+            },
+            email: {
+                type: 'string'
+            },
+            created_at: {
+                type: 'datetime'
+            },
+            last_used_at: {
+                type: 'datetime'
+            }
+        }
+    );
+    pgm.createIndex(
+        'identities',
+        ['provider', 'subject'],
+        {
+            unique: true
+        }
+    );
+    pgm.createIndex(
+        'identities',
+        'user_id'
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropTable('identities');
+};
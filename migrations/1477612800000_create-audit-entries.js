@@ -0,0 +1,59 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'audit_entries',
+        {
+            id: 'id',
+            // Not a foreign key, so that the history outlives the users in it
+            actor_id: {
+                type: 'integer'
+            },
+            api_token_id: {
+                type: 'integer'
+            },
+            action: {
+                type: 'string',
+                notNull: true
+            },
+            resource_type: {
+                type: 'string',
+                notNull: true
+            },
+            resource_id: {
+                type: 'string'
+            },
+            // The resource's values before and after the change, and the deep-diff between them
+            before: {
+                type: 'jsonb'
+            },
+            after: {
+                type: 'jsonb'
+            },
+            changes: {
+                type: 'jsonb'
+            },
+            ip_address: {
+                type: 'string'
+            },
+            created_at: {
+                type: 'datetime',
+                notNull: true
+            }
+        }
+    );
+    pgm.createIndex(
+        'audit_entries',
+        'created_at'
+    );
+    pgm.createIndex(
+        'audit_entries',
+        'actor_id'
+    );
+    pgm.createIndex(
+        'audit_entries',
+        ['resource_type', 'resource_id']
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropTable('audit_entries');
+};
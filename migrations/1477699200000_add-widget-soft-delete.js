@@ -0,0 +1,19 @@
+exports.up = (pgm) => {
+    // Deleted widgets are kept until they're purged, so that they can be restored
+    pgm.addColumns(
+        'widgets',
+        {
+            deleted_at: {
+                type: 'datetime'
+            }
+        }
+    );
+    pgm.createIndex(
+        'widgets',
+        'deleted_at'
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropColumns('widgets', 'deleted_at');
+};
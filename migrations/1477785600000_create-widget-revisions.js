@@ -0,0 +1,41 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'widget_revisions',
+        {
+            id: 'id',
+            widget_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'widgets ON DELETE CASCADE'
+            },
+            // Who saved this revision
+            author_id: {
+                type: 'integer',
+                references: 'users ON DELETE SET NULL'
+            },
+            name: {
+                type: 'string'
+            },
+            description: {
+                type: 'string'
+            },
+            created_at: {
+                type: 'datetime',
+                notNull: true
+            }
+        }
+    );
+    pgm.createIndex(
+        'widget_revisions',
+        'widget_id'
+    );
+    // Existing widgets start out with their current values as their first revision
+    pgm.sql(
+        `INSERT INTO widget_revisions (widget_id, author_id, name, description, created_at) ` +
+        `SELECT id, author_id, name, description, coalesce(created_at, now()) FROM widgets`
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropTable('widget_revisions');
+};
@@ -0,0 +1,17 @@
+exports.up = (pgm) => {
+    // Counts the updates to each widget, so that editors can't unknowingly overwrite each other's changes
+    pgm.addColumns(
+        'widgets',
+        {
+            version: {
+                type: 'integer',
+                notNull: true,
+                default: 1
+            }
+        }
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropColumns('widgets', 'version');
+};
@@ -0,0 +1,39 @@
+// The words of a widget's name, weighted above those of its description, whose HTML tags are
+// dropped so that searches only match the text people see
+const searchVector = (row) => (
+    `setweight(to_tsvector('english', coalesce(${row}name, '')), 'A') || ` +
+    `setweight(to_tsvector('english', regexp_replace(coalesce(${row}description, ''), '<[^>]*>', ' ', 'g')), 'B')`
+);
+
+exports.up = (pgm) => {
+    pgm.addColumns(
+        'widgets',
+        {
+            search_vector: {
+                type: 'tsvector'
+            }
+        }
+    );
+    // A trigger keeps the vector up to date however widgets are written, e.g. by restores and reverts
+    pgm.sql(
+        `CREATE FUNCTION widgets_search_vector_update() RETURNS trigger AS $$ ` +
+        `BEGIN NEW.search_vector := ${searchVector('NEW.')}; RETURN NEW; END ` +
+        `$$ LANGUAGE plpgsql`
+    );
+    pgm.sql(
+        `CREATE TRIGGER widgets_search_vector_update BEFORE INSERT OR UPDATE OF name, description ` +
+        `ON widgets FOR EACH ROW EXECUTE PROCEDURE widgets_search_vector_update()`
+    );
+    pgm.sql(`UPDATE widgets SET search_vector = ${searchVector('')}`);
+    pgm.createIndex(
+        'widgets',
+        'search_vector',
+        {method: 'gin'}
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.sql('DROP TRIGGER widgets_search_vector_update ON widgets');
+    pgm.sql('DROP FUNCTION widgets_search_vector_update()');
+    pgm.dropColumns('widgets', 'search_vector');
+};
@@ -0,0 +1,29 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'messages',
+        {
+            id: 'id',
+            // Who sent the message; their messages stay in the history if they're deleted
+            user_id: {
+                type: 'integer',
+                references: 'users ON DELETE SET NULL'
+            },
+            text: {
+                type: 'string',
+                notNull: true
+            },
+            created_at: {
+                type: 'datetime',
+                notNull: true
+            }
+        }
+    );
+    pgm.createIndex(
+        'messages',
+        'created_at'
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropTable('messages');
+};
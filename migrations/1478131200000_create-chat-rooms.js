@@ -0,0 +1,91 @@
+exports.up = (pgm) => {
+    pgm.createTable(
+        'rooms',
+        {
+            id: 'id',
+            name: {
+                type: 'string',
+                notNull: true,
+                unique: true
+            },
+            // Private rooms can only be joined by invitation
+            private: {
+                type: 'bool',
+                notNull: true,
+                default: false
+            },
+            created_by: {
+                type: 'integer',
+                references: 'users ON DELETE SET NULL'
+            },
+            created_at: {
+                type: 'datetime',
+                notNull: true
+            },
+            // Archived rooms keep their history, but take no new messages or members
+            archived_at: {
+                type: 'datetime'
+            }
+        }
+    );
+
+    pgm.createTable(
+        'room_members',
+        {
+            id: 'id',
+            room_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'rooms ON DELETE CASCADE'
+            },
+            user_id: {
+                type: 'integer',
+                notNull: true,
+                references: 'users ON DELETE CASCADE'
+            },
+            // The latest message the member has seen, which later ones count as unread from
+            last_read_message_id: {
+                type: 'integer'
+            },
+            joined_at: {
+                type: 'datetime',
+                notNull: true
+            }
+        }
+    );
+    pgm.createIndex(
+        'room_members',
+        ['room_id', 'user_id'],
+        {
+            unique: true
+        }
+    );
+    pgm.createIndex(
+        'room_members',
+        'user_id'
+    );
+
+    // Messages sent before there were rooms go to a room everyone can join
+    pgm.addColumns(
+        'messages',
+        {
+            room_id: {
+                type: 'integer',
+                references: 'rooms ON DELETE CASCADE'
+            }
+        }
+    );
+    pgm.sql(`INSERT INTO rooms (name, created_at) VALUES ('general', now())`);
+    pgm.sql(`UPDATE messages SET room_id = (SELECT id FROM rooms WHERE name = 'general')`);
+    pgm.alterColumn('messages', 'room_id', {notNull: true});
+    pgm.createIndex(
+        'messages',
+        ['room_id', 'id']
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropColumns('messages', 'room_id');
+    pgm.dropTable('room_members');
+    pgm.dropTable('rooms');
+};
@@ -0,0 +1,27 @@
+exports.up = (pgm) => {
+    // Names only need to be unique among widgets that haven't been deleted, so that a widget can
+    // take the name of one in the trash
+    pgm.sql('ALTER TABLE widgets DROP CONSTRAINT widgets_name_key');
+    pgm.dropIndex('widgets', 'name', {unique: true});
+    pgm.createIndex(
+        'widgets',
+        'name',
+        {
+            name: 'widgets_live_name_unique_index',
+            unique: true,
+            where: 'deleted_at IS NULL'
+        }
+    );
+};
+
+exports.down = (pgm) => {
+    pgm.dropIndex('widgets', 'name', {name: 'widgets_live_name_unique_index'});
+    pgm.createIndex(
+        'widgets',
+        'name',
+        {
+            unique: true
+        }
+    );
+    pgm.sql('ALTER TABLE widgets ADD CONSTRAINT widgets_name_key UNIQUE (name)');
+};
@@ -6,6 +6,7 @@ import React from 'react';
 import ReactDOM from 'react-dom';
 import createStore from './redux/create';
 import ApiClient from './helpers/ApiClient';
+import { setCsrfToken } from './helpers/csrf';
 import io from 'socket.io-client';
 import {Provider} from 'react-redux';
 import { Router, browserHistory } from 'react-router';
@@ -15,6 +16,9 @@ import useScroll from 'scroll-behavior/lib/useStandardScroll';
 
 import getRoutes from './routes';
 
+const csrfTokenMeta = document.querySelector('meta[name="csrf-token"]');
+setCsrfToken(csrfTokenMeta && csrfTokenMeta.getAttribute('content'));
+
 const client = new ApiClient();
 const _browserHistory = useScroll(() => browserHistory)();
 const dest = document.getElementById('content');
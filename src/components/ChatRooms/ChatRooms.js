@@ -0,0 +1,66 @@
+import React, {Component, PropTypes} from 'react';
+
+/**
+The chat's room list, with how many unread messages each room the user has joined has, and for
+those allowed to, a form to create a room.
+*/
+export default class ChatRooms extends Component {
+    static propTypes = {
+        rooms: PropTypes.array.isRequired,
+        activeRoomID: PropTypes.number,
+        onSelect: PropTypes.func.isRequired,
+        onCreate: PropTypes.func
+    }
+
+    state = {
+        name: '',
+        isPrivate: false
+    }
+
+    handleCreate = (event) => {
+        event.preventDefault();
+        if (this.state.name.trim()) {
+            this.props.onCreate(this.state.name.trim(), this.state.isPrivate);
+            this.setState({name: '', isPrivate: false});
+        }
+    }
+
+    renderRoom(room) {
+        return (
+            <li key={room.id} className={room.id === this.props.activeRoomID ? 'active' : ''}>
+                <a href="#" onClick={(event) => {
+                    event.preventDefault();
+                    this.props.onSelect(room.id);
+                }}>
+                    {room.private && <span className="glyphicon glyphicon-lock"/>}
+                    {room.private && ' '}
+                    {room.name}
+                    {room.archived && ' (archived)'}
+                    {room.unread > 0 && <span className="badge pull-right">{room.unread}</span>}
+                </a>
+            </li>
+        );
+    }
+
+    render() {
+        return (
+            <div>
+                <ul className="nav nav-pills nav-stacked">
+                    {this.props.rooms.map((room) => this.renderRoom(room))}
+                </ul>
+                {this.props.onCreate &&
+                    <form onSubmit={this.handleCreate}>
+                        <input type="text" className="form-control" placeholder="New room"
+                            value={this.state.name} onChange={(event) => this.setState({name: event.target.value})}/>
+                        <label>
+                            <input type="checkbox" checked={this.state.isPrivate}
+                                onChange={(event) => this.setState({isPrivate: event.target.checked})}/>
+                            {' '}Invite only
+                        </label>
+                        <button className="btn btn-default btn-sm" onClick={this.handleCreate}>Create</button>
+                    </form>
+                }
+            </div>
+        );
+    }
+}
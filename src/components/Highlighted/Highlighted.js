@@ -0,0 +1,22 @@
+import React, {Component, PropTypes} from 'react';
+import { highlightParts } from 'utilities/highlights';
+
+/**
+Shows a search highlight (see jsonapi-search) with its matching words marked, and everything
+else as plain text.
+*/
+export default class Highlighted extends Component {
+    static propTypes = {
+        highlight: PropTypes.string
+    }
+
+    render() {
+        return (
+            <span>
+                {highlightParts(this.props.highlight).map((part, index) => (
+                    part.highlighted ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+                ))}
+            </span>
+        );
+    }
+}
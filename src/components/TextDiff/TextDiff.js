@@ -0,0 +1,28 @@
+import React, {Component, PropTypes} from 'react';
+import { diffWords } from 'utilities/text-diff';
+
+/**
+Shows the source of `before` with the words and tags changed in `after` marked, e.g. for
+comparing revisions of HTML descriptions.
+*/
+export default class TextDiff extends Component {
+    static propTypes = {
+        before: PropTypes.string,
+        after: PropTypes.string
+    }
+
+    render() {
+        return (
+            <pre style={{whiteSpace: 'pre-wrap'}}>
+                {diffWords(this.props.before, this.props.after).map((part, index) => {
+                    if (part.kind === 'added') {
+                        return <ins key={index} className="text-success">{part.text}</ins>;
+                    } else if (part.kind === 'removed') {
+                        return <del key={index} className="text-danger">{part.text}</del>;
+                    }
+                    return <span key={index}>{part.text}</span>;
+                })}
+            </pre>
+        );
+    }
+}
@@ -10,3 +10,6 @@ export VoteButtons from './VoteButtons/VoteButtons';
 export WidgetDescription from './WidgetDescription/WidgetDescription';
 export ContentDescriptionEditor from './ContentDescriptionEditor/ContentDescriptionEditor';
 export MultiSelectWithSearch from './MultiSelectWithSearch/MultiSelectWithSearch';
+export TextDiff from './TextDiff/TextDiff';
+export Highlighted from './Highlighted/Highlighted';
+export ChatRooms from './ChatRooms/ChatRooms';
@@ -25,6 +25,8 @@ module.exports = Object.assign({
     port: process.env.PORT,
     apiHost: process.env.APIHOST || 'localhost',
     apiPort: process.env.APIPORT,
+    // Where users reach the app, for links in outgoing mail
+    appUrl: process.env.APP_URL || ('http://' + (process.env.HOST || 'localhost') + ':' + (process.env.PORT || 3000)),
     app: {
         title: 'React/Redux/JSON:API Starter Kit',
         description: 'All the modern best practices in one example.',
@@ -0,0 +1,191 @@
+import React, {Component, PropTypes} from 'react';
+import {connect} from 'react-redux';
+import { asyncConnect } from 'redux-async-connect';
+import Helmet from 'react-helmet';
+import * as sessionActions from 'redux/modules/sessions';
+import * as apiTokenActions from 'redux/modules/apiTokens';
+
+function formatTime(time) {
+    return time ? new Date(time).toLocaleString() : '';
+}
+
+@asyncConnect([{
+    promise: ({store: {dispatch}}) => Promise.all([
+        dispatch(sessionActions.load()),
+        dispatch(apiTokenActions.load())
+    ])
+}])
+@connect(
+    state => ({
+        user: state.auth.user,
+        sessions: state.sessions.list,
+        revoking: state.sessions.revoking,
+        revokeError: state.sessions.revokeError,
+        apiTokens: state.apiTokens
+    }),
+    {
+        ...sessionActions,
+        createAPIToken: apiTokenActions.create,
+        revokeAPIToken: apiTokenActions.revoke
+    }
+)
+export default class Account extends Component {
+    static propTypes = {
+        user: PropTypes.object,
+        sessions: PropTypes.array,
+        revoking: PropTypes.bool,
+        revokeError: PropTypes.object,
+        load: PropTypes.func.isRequired,
+        revoke: PropTypes.func.isRequired,
+        revokeOthers: PropTypes.func.isRequired,
+        apiTokens: PropTypes.object,
+        createAPIToken: PropTypes.func.isRequired,
+        revokeAPIToken: PropTypes.func.isRequired
+    }
+
+    handleRevoke = (id) => {
+        this.props.revoke(id).then(() => this.props.load());
+    }
+
+    handleRevokeOthers = () => {
+        this.props.revokeOthers().then(() => this.props.load());
+    }
+
+    handleCreateAPIToken = (event) => {
+        event.preventDefault();
+        const scopes = this.refs.apiTokenWrite.checked ? ['read', 'write'] : ['read'];
+        this.props.createAPIToken(this.refs.apiTokenName.value, scopes)
+            .then(() => {
+                this.refs.apiTokenName.value = '';
+            });
+    }
+
+    renderAPITokens() {
+        const {list, createdToken, creating, createError, revoking, revokeError} = this.props.apiTokens;
+        return (
+            <div>
+                <h2>API Tokens</h2>
+                <p>
+                    Scripts and integrations can use a token to call the API as you, by sending
+                    an <code>Authorization: Bearer &lt;token&gt;</code> header. Treat tokens like passwords.
+                </p>
+                {createdToken &&
+                    <div className="alert alert-success">
+                        Here's your new token. Copy it now, since you won't be able to see it again:
+                        <pre>{createdToken.token}</pre>
+                    </div>
+                }
+                {list.length > 0 &&
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Scopes</th>
+                                <th>Created</th>
+                                <th>Last used</th>
+                                <th/>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {list.map((token) => (
+                                <tr key={token.id}>
+                                    <td>{token.name}</td>
+                                    <td>{token.scopes.join(', ')}</td>
+                                    <td>{formatTime(token.created_at)}</td>
+                                    <td>{formatTime(token.last_used_at) || 'Never'}</td>
+                                    <td>
+                                        <button className="btn btn-default btn-sm" disabled={revoking}
+                                            onClick={() => this.props.revokeAPIToken(token.id)}>
+                                            Revoke
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                }
+                <form className="form-inline" onSubmit={this.handleCreateAPIToken}>
+                    <div className="form-group">
+                        <input type="text" ref="apiTokenName" placeholder="What's this token for?" className="form-control"/>
+                    </div>
+                    {' '}
+                    <div className="checkbox">
+                        <label>
+                            <input type="checkbox" ref="apiTokenWrite"/> Allow changes, not just reading
+                        </label>
+                    </div>
+                    {' '}
+                    <button className="btn btn-success" disabled={creating} onClick={this.handleCreateAPIToken}>
+                        Create Token
+                    </button>
+                </form>
+                {(createError || revokeError) &&
+                    <p className="text-danger">
+                        {(createError || revokeError).message || 'Something went wrong, please try again.'}
+                    </p>
+                }
+            </div>
+        );
+    }
+
+    renderSecurity() {
+        const {sessions, revoking, revokeError} = this.props;
+        const otherSessions = sessions.filter((session) => !session.current);
+        return (
+            <div>
+                <h2>Security</h2>
+                <p>You're logged in on these devices. If you don't recognize one, log it out and change your password.</p>
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>Device</th>
+                            <th>IP address</th>
+                            <th>Logged in</th>
+                            <th>Last active</th>
+                            <th/>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sessions.map((session) => (
+                            <tr key={session.id}>
+                                <td>{session.user_agent || 'Unknown device'}</td>
+                                <td>{session.ip_address}</td>
+                                <td>{formatTime(session.created_at)}</td>
+                                <td>{formatTime(session.last_seen_at)}</td>
+                                <td>
+                                    {session.current ? 'This device' : (
+                                        <button className="btn btn-default btn-sm" disabled={revoking}
+                                            onClick={() => this.handleRevoke(session.id)}>
+                                            Log Out
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {otherSessions.length > 0 &&
+                    <button className="btn btn-danger" disabled={revoking} onClick={this.handleRevokeOthers}>
+                        Log Out All Other Devices
+                    </button>
+                }
+                {revokeError &&
+                    <p className="text-danger">{revokeError.message || 'Something went wrong, please try again.'}</p>
+                }
+            </div>
+        );
+    }
+
+    render() {
+        const {user} = this.props;
+        return (
+            <div className="container">
+                <Helmet title="Account"/>
+                <h1>Account</h1>
+                {user && <p>You're logged in as {user.attributes.email}.</p>}
+                {this.renderSecurity()}
+                {this.renderAPITokens()}
+            </div>
+        );
+    }
+}
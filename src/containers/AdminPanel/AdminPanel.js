@@ -13,6 +13,12 @@ export default class AdminPanel extends Component {
                     <Link to="/admin/widgets/list">
                         <div>All Widgets</div>
                     </Link>
+                    <Link to="/admin/users">
+                        <div>All Users</div>
+                    </Link>
+                    <Link to="/admin/audit">
+                        <div>Audit Log</div>
+                    </Link>
                 </div>
             </div>
         );
@@ -0,0 +1,219 @@
+import React, {Component, PropTypes} from 'react';
+import {connect} from 'react-redux';
+import { push } from 'react-router-redux';
+import { asyncConnect } from 'redux-async-connect';
+import Helmet from 'react-helmet';
+import access from 'safe-access';
+import { isLoaded as isAuthLoaded, load as loadAuth } from 'redux/modules/auth';
+import { auditEntryListAction, PAGE_SIZE } from 'redux/modules/auditEntry';
+import { selectData, selectRequest } from 'libs/nion';
+
+const DATA_KEY = 'AuditLog';
+const FILTER_NAMES = ['actorID', 'resourceType', 'resourceID', 'from', 'to'];
+const RESOURCE_TYPES = ['widget', 'user', 'session'];
+
+// The filters are kept in the query string, so that filtered views can be linked to
+function filtersFromLocation(location) {
+    const query = access(location, 'query') || {};
+    return FILTER_NAMES.reduce((memo, name) => {
+        memo[name] = query[name] || '';
+        return memo;
+    }, {});
+}
+
+function formatValue(value) {
+    return value === undefined ? '' : JSON.stringify(value);
+}
+
+// One line per deep-diff change, e.g. "name: "Old" → "New""
+function describeChange(change) {
+    const path = (change.path || []).join('.');
+    switch (change.kind) {
+        case 'N':
+            return `${path}: ${formatValue(change.rhs)}`;
+        case 'D':
+            return `${path}: ${formatValue(change.lhs)} removed`;
+        case 'A':
+            return `${path}[${change.index}]: ${describeChange({...change.item, path: []})}`;
+        default:
+            return `${path}: ${formatValue(change.lhs)} → ${formatValue(change.rhs)}`;
+    }
+}
+
+@asyncConnect([{
+    promise: ({store: {dispatch, getState}, location}) => {
+        const promises = [];
+
+        const state = getState();
+        if (!isAuthLoaded(state)) {
+            promises.push(dispatch(loadAuth()));
+        }
+        promises.push(dispatch(auditEntryListAction(DATA_KEY)(filtersFromLocation(location))));
+        return Promise.all(promises);
+    }
+}])
+@connect(
+    (state) => ({
+        entries: selectData(DATA_KEY)(state),
+        entriesLoaded: access(selectRequest(DATA_KEY)(state), 'status') !== 'pending'
+    }),
+    {pushState: push}
+)
+export default class AuditLog extends Component {
+    static propTypes = {
+        location: PropTypes.object,
+        entries: PropTypes.array,
+        entriesLoaded: PropTypes.bool,
+        pushState: PropTypes.func.isRequired
+    }
+
+    constructor(props) {
+        super(props);
+        this.state = filtersFromLocation(props.location);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (access(nextProps, 'location.search') !== access(this.props, 'location.search')) {
+            this.setState(filtersFromLocation(nextProps.location));
+        }
+    }
+
+    showFiltered(filters) {
+        const query = FILTER_NAMES.reduce((memo, name) => {
+            if (filters[name]) {
+                memo[name] = filters[name];
+            }
+            return memo;
+        }, {});
+        this.props.pushState({pathname: '/admin/audit', query});
+    }
+
+    handleFilterChange = (name) => (event) => {
+        this.setState({[name]: event.target.value});
+    }
+
+    handleSubmitFilters = (event) => {
+        event.preventDefault();
+        this.showFiltered(this.state);
+    }
+
+    handleClearFilters = () => {
+        this.showFiltered({});
+    }
+
+    renderFilters() {
+        return (
+            <form className="form-inline" onSubmit={this.handleSubmitFilters}>
+                <div className="form-group">
+                    <input type="text" className="form-control" placeholder="User ID"
+                        value={this.state.actorID} onChange={this.handleFilterChange('actorID')}/>
+                </div>
+                {' '}
+                <div className="form-group">
+                    <select className="form-control" value={this.state.resourceType}
+                        onChange={this.handleFilterChange('resourceType')}>
+                        <option value="">Any resource</option>
+                        {RESOURCE_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                </div>
+                {' '}
+                <div className="form-group">
+                    <input type="text" className="form-control" placeholder="Resource ID"
+                        value={this.state.resourceID} onChange={this.handleFilterChange('resourceID')}/>
+                </div>
+                {' '}
+                <div className="form-group">
+                    <label>From{' '}
+                        <input type="date" className="form-control"
+                            value={this.state.from} onChange={this.handleFilterChange('from')}/>
+                    </label>
+                </div>
+                {' '}
+                <div className="form-group">
+                    <label>To{' '}
+                        <input type="date" className="form-control"
+                            value={this.state.to} onChange={this.handleFilterChange('to')}/>
+                    </label>
+                </div>
+                {' '}
+                <button className="btn btn-primary" onClick={this.handleSubmitFilters}>Filter</button>
+                {' '}
+                <button type="button" className="btn btn-default" onClick={this.handleClearFilters}>Clear</button>
+            </form>
+        );
+    }
+
+    renderEntry(entry) {
+        const filters = filtersFromLocation(this.props.location);
+        const actorID = access(entry, 'actor.id');
+        return (
+            <tr key={entry.id}>
+                <td>{entry.created_at ? new Date(entry.created_at).toLocaleString() : ''}</td>
+                <td>
+                    {actorID ? (
+                        <button className="btn btn-link" onClick={() => this.showFiltered({...filters, actorID})}>
+                            {access(entry, 'actor.email') || 'User ' + actorID}
+                        </button>
+                    ) : 'Nobody'}
+                </td>
+                <td>{entry.action}</td>
+                <td>
+                    <button className="btn btn-link" onClick={() => this.showFiltered({
+                        ...filters,
+                        resourceType: entry.resource_type,
+                        resourceID: entry.resource_id
+                    })}>
+                        {entry.resource_type} {entry.resource_id}
+                    </button>
+                </td>
+                <td>
+                    <ul className="list-unstyled">
+                        {(entry.changes || []).map((change, index) => (
+                            <li key={index}><code>{describeChange(change)}</code></li>
+                        ))}
+                    </ul>
+                </td>
+                <td>{entry.ip_address}</td>
+            </tr>
+        );
+    }
+
+    render() {
+        const {entries, entriesLoaded} = this.props;
+        return (
+            <div className="container">
+                <h1>Audit Log</h1>
+                <Helmet title="Audit Log"/>
+
+                {this.renderFilters()}
+                <p>Dates are in UTC. Showing the latest {PAGE_SIZE} matching changes.</p>
+                {entries && entries.length > 0 ? (
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>When</th>
+                                <th>Who</th>
+                                <th>Action</th>
+                                <th>Resource</th>
+                                <th>Changes</th>
+                                <th>IP address</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map((entry) => this.renderEntry(entry))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <div>
+                        Nothing matches those filters.
+                    </div>
+                )}
+                {!entriesLoaded && (
+                    <div>
+                        Loading changes...
+                    </div>
+                )}
+            </div>
+        );
+    }
+}
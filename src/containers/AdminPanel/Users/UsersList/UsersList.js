@@ -0,0 +1,105 @@
+import React, {Component, PropTypes} from 'react';
+import {connect} from 'react-redux';
+import { asyncConnect } from 'redux-async-connect';
+import Helmet from 'react-helmet';
+import access from 'safe-access';
+import { isLoaded as isAuthLoaded, load as loadAuth } from 'redux/modules/auth';
+import { userListAction } from 'redux/modules/user';
+import { revokeForUser } from 'redux/modules/sessions';
+import { selectData, selectRequest } from 'libs/nion';
+
+const DATA_KEY = 'UsersList';
+
+@asyncConnect([{
+    promise: ({store: {dispatch, getState}}) => {
+        const promises = [];
+
+        const state = getState();
+        if (!isAuthLoaded(state)) {
+            promises.push(dispatch(loadAuth()));
+        }
+        promises.push(dispatch(userListAction(DATA_KEY)()));
+        return Promise.all(promises);
+    }
+}])
+@connect(
+    (state) => ({
+        users: selectData(DATA_KEY)(state),
+        usersLoaded: access(selectRequest(DATA_KEY)(state), 'status') !== 'pending',
+        revoking: state.sessions.revoking,
+        revokeError: state.sessions.revokeError
+    }),
+    {revokeForUser}
+)
+export default class UsersList extends Component {
+    static propTypes = {
+        users: PropTypes.array,
+        usersLoaded: PropTypes.bool,
+        revoking: PropTypes.bool,
+        revokeError: PropTypes.object,
+        revokeForUser: PropTypes.func.isRequired
+    }
+
+    state = {
+        loggedOutUserIDs: []
+    }
+
+    handleLogOutEverywhere = (userID) => {
+        this.props.revokeForUser(userID)
+            .then(() => {
+                this.setState({loggedOutUserIDs: [...this.state.loggedOutUserIDs, userID]});
+            });
+    }
+
+    render() {
+        const {users, usersLoaded, revoking, revokeError} = this.props;
+        return (
+            <div className="container">
+                <h1>Users</h1>
+                <Helmet title="Users"/>
+
+                {users && users.length > 0 ? (
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Email</th>
+                                <th>Signed up</th>
+                                <th>Email verified</th>
+                                <th/>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {users.map((user) => (
+                                <tr key={user.id}>
+                                    <td>{user.email}</td>
+                                    <td>{user.created_at ? new Date(user.created_at).toLocaleString() : ''}</td>
+                                    <td>{user.email_verified_at ? new Date(user.email_verified_at).toLocaleString() : 'Not yet'}</td>
+                                    <td>
+                                        {this.state.loggedOutUserIDs.indexOf(user.id) >= 0 ? 'Logged out' : (
+                                            <button className="btn btn-default btn-sm" disabled={revoking}
+                                                onClick={() => this.handleLogOutEverywhere(user.id)}>
+                                                Log Out Everywhere
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <div>
+                        No users yet!
+                    </div>
+                )}
+                {revokeError &&
+                    <p className="text-danger">{revokeError.message || 'Something went wrong, please try again.'}</p>
+                }
+                {!usersLoaded && (
+                    <div>
+                        Loading users...
+                    </div>
+                )}
+            </div>
+        );
+    }
+}
@@ -1,10 +1,11 @@
 import React, {Component, PropTypes} from 'react';
 import {connect} from 'react-redux';
 import { push } from 'react-router-redux';
+import { Link } from 'react-router';
 import { asyncConnect } from 'redux-async-connect';
 import Helmet from 'react-helmet';
 import { selectData, selectRequest } from 'libs/nion';
-import {ContentDescriptionEditor, /* MultiSelectWithSearch */} from 'components';
+import {ContentDescriptionEditor, TextDiff, /* MultiSelectWithSearch */} from 'components';
 import { isLoaded as isAuthLoaded, load as loadAuth } from 'redux/modules/auth';
 import {
     widgetLoadAction,
@@ -54,6 +55,7 @@ const DATA_KEY = 'WidgetEditor';
     },
     {
         createWidget: widgetCreateAction(DATA_KEY),
+        loadWidget: widgetLoadAction(DATA_KEY),
         saveWidget: widgetEditAction(DATA_KEY),
         deleteWidget: widgetDeleteAction(DATA_KEY),
         pushState: push
@@ -68,6 +70,7 @@ export default class WidgetEditor extends Component {
         widget: PropTypes.object,
         requestState: PropTypes.object,
         createWidget: PropTypes.func.isRequired,
+        loadWidget: PropTypes.func.isRequired,
         saveWidget: PropTypes.func.isRequired,
         deleteWidget: PropTypes.func.isRequired,
         pushState: PropTypes.func.isRequired,
@@ -79,7 +82,11 @@ export default class WidgetEditor extends Component {
     constructor(props) {
         super(props);
         this.state = {
-            isDeleting: false
+            isDeleting: false,
+            // What this editor tried to save, when someone else had saved the widget first
+            conflict: null,
+            // Changed to reset the form to the widget's latest values
+            formKey: 0
         };
     }
 
@@ -100,13 +107,25 @@ export default class WidgetEditor extends Component {
                     this.props.pushState(destination);
                 });
         } else {
-            this.props.saveWidget(this.props.widget.id, name, descriptionHTML, /* selectedMultiselectRelationsAsRefs */)
-                .then(() => {
-                    this.props.pushState(`/widgets/${this.props.widget.id}`);
+            // Saving against the version being edited means someone else's changes can't be lost unseen
+            const {id, version} = this.props.widget;
+            this.props.saveWidget(id, name, descriptionHTML, version, /* selectedMultiselectRelationsAsRefs */)
+                .then((action) => {
+                    if (access(action, 'payload.status') === 409) {
+                        this.setState({conflict: {name, description: descriptionHTML}});
+                        return this.props.loadWidget(id);
+                    }
+                    this.props.pushState(`/widgets/${id}`);
                 });
         }
     }
 
+    // Starts over from the other editor's version, leaving this editor's changes behind
+    handleUseTheirs = (event) => {
+        event.preventDefault();
+        this.setState({conflict: null, formKey: this.state.formKey + 1});
+    }
+
     handleDelete = (event) => {
         event.preventDefault();
         this.setState({isDeleting: true});
@@ -118,6 +137,27 @@ export default class WidgetEditor extends Component {
         }
     }
 
+    renderConflict() {
+        const {conflict} = this.state;
+        const {widget} = this.props;
+        return (
+            <div className="alert alert-warning">
+                <p>
+                    Someone else saved this widget while you were editing it. Here's how their version
+                    differs from yours. Save again to replace theirs with what's in the form, after
+                    merging in any of their changes you want to keep, or start over from theirs.
+                </p>
+                {conflict.name !== widget.name &&
+                    <p>
+                        Name: <del>{conflict.name}</del>{' '}<ins>{widget.name}</ins>
+                    </p>
+                }
+                <TextDiff before={conflict.description} after={widget.description}/>
+                <button className="btn btn-default" onClick={this.handleUseTheirs}>Use Their Version</button>
+            </div>
+        );
+    }
+
     render() {
         const isLoading = access(this.props, 'requestState.isLoading');
         return (
@@ -134,7 +174,8 @@ export default class WidgetEditor extends Component {
                     </div>
                 )}
 
-                <div>
+                {this.state.conflict && this.props.widget && this.renderConflict()}
+                <div key={this.state.formKey}>
                     <form onSubmit={this.handleSubmit}>
                         <div className="form-group">
                             <input type="text" ref="nameField" placeholder="Widget name" className="form-control"
@@ -160,6 +201,10 @@ export default class WidgetEditor extends Component {
                         <button className="btn btn-danger" onClick={!isLoading ? this.handleDelete : null}>
                             {isLoading && this.state.isDeleting ? 'Deleting...' : 'Delete'}
                         </button>
+                        {' '}
+                        <Link to={`/admin/widgets/${this.props.widget.id}/revisions`}>
+                            <button className="btn">History</button>
+                        </Link>
                     </div>
                 ) : null}
             </div>
@@ -0,0 +1,158 @@
+import React, {Component, PropTypes} from 'react';
+import {connect} from 'react-redux';
+import {Link} from 'react-router';
+import { asyncConnect } from 'redux-async-connect';
+import Helmet from 'react-helmet';
+import access from 'safe-access';
+import { isLoaded as isAuthLoaded, load as loadAuth } from 'redux/modules/auth';
+import { widgetRevisionsLoadAction, widgetEditAction } from 'redux/modules/widget';
+import { TextDiff } from 'components';
+import { selectData, selectRequest } from 'libs/nion';
+
+const DATA_KEY = 'WidgetRevisions';
+const REVERT_DATA_KEY = 'WidgetRevisionsRevert';
+
+// Newest first, by when they were saved
+function sortedRevisions(widget) {
+    return (access(widget, 'revisions') || [])
+        .filter((revision) => revision)
+        .sort((first, second) => (
+            new Date(second.created_at) - new Date(first.created_at) || second.id - first.id
+        ));
+}
+
+@asyncConnect([{
+    promise: ({store: {dispatch, getState}, params}) => {
+        const promises = [];
+
+        const state = getState();
+        if (!isAuthLoaded(state)) {
+            promises.push(dispatch(loadAuth()));
+        }
+        promises.push(dispatch(widgetRevisionsLoadAction(DATA_KEY)(params.widgetID)));
+        return Promise.all(promises);
+    }
+}])
+@connect(
+    (state) => ({
+        widget: selectData(DATA_KEY)(state),
+        widgetLoaded: access(selectRequest(DATA_KEY)(state), 'status') !== 'pending',
+        reverting: access(selectRequest(REVERT_DATA_KEY)(state), 'status') === 'pending'
+    }),
+    {
+        loadRevisions: widgetRevisionsLoadAction(DATA_KEY),
+        saveWidget: widgetEditAction(REVERT_DATA_KEY)
+    }
+)
+export default class WidgetRevisions extends Component {
+    static propTypes = {
+        params: PropTypes.shape({
+            widgetID: PropTypes.string.isRequired
+        }),
+        widget: PropTypes.object,
+        widgetLoaded: PropTypes.bool,
+        reverting: PropTypes.bool,
+        loadRevisions: PropTypes.func.isRequired,
+        saveWidget: PropTypes.func.isRequired
+    }
+
+    state = {
+        selectedRevisionID: null,
+        revertError: null
+    }
+
+    handleSelect = (revisionID) => {
+        this.setState({selectedRevisionID: revisionID});
+    }
+
+    // Saves the revision's values over the widget's, which saves them as the newest revision
+    handleRevert = (revision) => {
+        const {id, version} = this.props.widget;
+        this.setState({revertError: null});
+        this.props.saveWidget(id, revision.name, revision.description, version)
+            .then((action) => {
+                if (action && action.error) {
+                    const message = access(action, 'payload.status') === 409 ?
+                        'Someone else has just changed this widget. Have a look at their changes before reverting.' :
+                        undefined;
+                    this.setState({revertError: {message}});
+                } else {
+                    this.setState({selectedRevisionID: null});
+                }
+                return this.props.loadRevisions(id);
+            });
+    }
+
+    renderDiff(revision, previousRevision) {
+        const nameChanged = previousRevision && previousRevision.name !== revision.name;
+        return (
+            <div>
+                <h4>{previousRevision ? 'Changes from the revision before' : 'The first revision'}</h4>
+                {nameChanged &&
+                    <p>
+                        Name: <del className="text-danger">{previousRevision.name}</del>
+                        {' '}<ins className="text-success">{revision.name}</ins>
+                    </p>
+                }
+                <TextDiff before={previousRevision ? previousRevision.description : ''} after={revision.description}/>
+            </div>
+        );
+    }
+
+    render() {
+        const {widget, widgetLoaded, reverting} = this.props;
+        if (!widget) {
+            return (
+                <div className="container">
+                    <Helmet title="Widget History"/>
+                    <h1>Widget History</h1>
+                    <p>{widgetLoaded ? 'Widget not found!' : 'Loading history...'}</p>
+                </div>
+            );
+        }
+        const revisions = sortedRevisions(widget);
+        const selectedIndex = revisions.findIndex((revision) => revision.id === this.state.selectedRevisionID);
+        return (
+            <div className="container">
+                <Helmet title={'History of ' + widget.name}/>
+                <h1>History of {widget.name}</h1>
+                <Link to={`/admin/widgets/${widget.id}/edit`}>Back to editing</Link>
+
+                <table className="table">
+                    <thead>
+                        <tr>
+                            <th>Saved</th>
+                            <th>By</th>
+                            <th>Name</th>
+                            <th/>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {revisions.map((revision, index) => (
+                            <tr key={revision.id} className={index === selectedIndex ? 'info' : ''}>
+                                <td>{new Date(revision.created_at).toLocaleString()}</td>
+                                <td>{access(revision, 'author.email') || 'Unknown'}</td>
+                                <td>{revision.name}</td>
+                                <td>
+                                    <button className="btn btn-link btn-sm" onClick={() => this.handleSelect(revision.id)}>
+                                        Show changes
+                                    </button>
+                                    {index === 0 ? ' Current' : (
+                                        <button className="btn btn-default btn-sm" disabled={reverting}
+                                            onClick={() => this.handleRevert(revision)}>
+                                            Revert to this
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {this.state.revertError &&
+                    <p className="text-danger">{this.state.revertError.message || 'Something went wrong, please try again.'}</p>
+                }
+                {selectedIndex >= 0 && this.renderDiff(revisions[selectedIndex], revisions[selectedIndex + 1])}
+            </div>
+        );
+    }
+}
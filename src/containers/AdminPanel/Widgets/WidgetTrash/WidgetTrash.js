@@ -0,0 +1,100 @@
+import React, {Component, PropTypes} from 'react';
+import {connect} from 'react-redux';
+import { asyncConnect } from 'redux-async-connect';
+import Helmet from 'react-helmet';
+import access from 'safe-access';
+import { isLoaded as isAuthLoaded, load as loadAuth } from 'redux/modules/auth';
+import { widgetTrashListAction } from 'redux/modules/widget';
+import { restore } from 'redux/modules/trash';
+import { selectData, selectRequest } from 'libs/nion';
+
+const DATA_KEY = 'WidgetTrash';
+
+@asyncConnect([{
+    promise: ({store: {dispatch, getState}}) => {
+        const promises = [];
+
+        const state = getState();
+        if (!isAuthLoaded(state)) {
+            promises.push(dispatch(loadAuth()));
+        }
+        promises.push(dispatch(widgetTrashListAction(DATA_KEY)()));
+        return Promise.all(promises);
+    }
+}])
+@connect(
+    (state) => ({
+        widgets: selectData(DATA_KEY)(state),
+        widgetsLoaded: access(selectRequest(DATA_KEY)(state), 'status') !== 'pending',
+        restoring: state.trash.restoring,
+        restoreError: state.trash.restoreError
+    }),
+    {
+        loadTrash: widgetTrashListAction(DATA_KEY),
+        restore
+    }
+)
+export default class WidgetTrash extends Component {
+    static propTypes = {
+        widgets: PropTypes.array,
+        widgetsLoaded: PropTypes.bool,
+        restoring: PropTypes.bool,
+        restoreError: PropTypes.object,
+        loadTrash: PropTypes.func.isRequired,
+        restore: PropTypes.func.isRequired
+    }
+
+    handleRestore = (widgetID) => {
+        this.props.restore('widget', widgetID)
+            .then(() => this.props.loadTrash());
+    }
+
+    render() {
+        const {widgets, widgetsLoaded, restoring, restoreError} = this.props;
+        return (
+            <div className="container">
+                <h1>Deleted Widgets</h1>
+                <Helmet title="Deleted Widgets"/>
+
+                <p>Deleted widgets can be restored until they're permanently removed.</p>
+                {widgets && widgets.length > 0 ? (
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Deleted</th>
+                                <th/>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {widgets.map((widget) => (
+                                <tr key={widget.id}>
+                                    <td>{widget.name}</td>
+                                    <td>{widget.deleted_at ? new Date(widget.deleted_at).toLocaleString() : ''}</td>
+                                    <td>
+                                        <button className="btn btn-default btn-sm" disabled={restoring}
+                                            onClick={() => this.handleRestore(widget.id)}>
+                                            Restore
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                ) : (
+                    <div>
+                        The trash is empty.
+                    </div>
+                )}
+                {restoreError &&
+                    <p className="text-danger">{restoreError.message || 'Something went wrong, please try again.'}</p>
+                }
+                {!widgetsLoaded && (
+                    <div>
+                        Loading deleted widgets...
+                    </div>
+                )}
+            </div>
+        );
+    }
+}
@@ -6,7 +6,8 @@ import Navbar from 'react-bootstrap/lib/Navbar';
 import Nav from 'react-bootstrap/lib/Nav';
 import NavItem from 'react-bootstrap/lib/NavItem';
 import Helmet from 'react-helmet';
-import { isLoaded as isAuthLoaded, load as loadAuth, logout } from 'redux/modules/auth';
+import { isLoaded as isAuthLoaded, load as loadAuth, logout, resendVerification } from 'redux/modules/auth';
+import { can } from 'utilities/permissions';
 import { push } from 'react-router-redux';
 import config from '../../config';
 import { asyncConnect } from 'redux-async-connect';
@@ -23,14 +24,21 @@ import { asyncConnect } from 'redux-async-connect';
     }
 }])
 @connect(
-    state => ({user: state.auth.user}),
-    {logout, pushState: push}
+    state => ({
+        user: state.auth.user,
+        verificationResent: state.auth.verificationResent,
+        resendVerificationError: state.auth.resendVerificationError
+    }),
+    {logout, resendVerification, pushState: push}
 )
 export default class App extends Component {
     static propTypes = {
         children: PropTypes.object.isRequired,
         user: PropTypes.object,
+        verificationResent: PropTypes.bool,
+        resendVerificationError: PropTypes.object,
         logout: PropTypes.func.isRequired,
+        resendVerification: PropTypes.func.isRequired,
         pushState: PropTypes.func.isRequired
     };
 
@@ -53,6 +61,28 @@ export default class App extends Component {
         this.props.logout();
     };
 
+    handleResendVerification = (event) => {
+        event.preventDefault();
+        this.props.resendVerification();
+    };
+
+    renderVerificationBanner() {
+        const {verificationResent, resendVerificationError} = this.props;
+        return (
+            <div className="alert alert-warning">
+                Please verify your email address, using the link we sent you.{' '}
+                {verificationResent ? (
+                    <span>A new link is on its way.</span>
+                ) : (
+                    <a href="#" onClick={this.handleResendVerification}>Send me a new link</a>
+                )}
+                {resendVerificationError &&
+                    <span> {resendVerificationError.message}</span>
+                }
+            </div>
+        );
+    }
+
     render() {
         const {user} = this.props;
         const styles = require('./App.scss');
@@ -81,7 +111,7 @@ export default class App extends Component {
                                 <NavItem eventKey={2}>Widgets</NavItem>
                             </LinkContainer>
 
-                            {user && user.attributes.is_admin &&
+                            {can(user, 'access', 'admin') &&
                                 <LinkContainer to="/admin">
                                     <NavItem eventKey={3}>Admin Panel</NavItem>
                                 </LinkContainer>
@@ -96,6 +126,11 @@ export default class App extends Component {
                                     <NavItem eventKey={5}>Login</NavItem>
                                 </LinkContainer>
                             }
+                            {user &&
+                                <LinkContainer to="/account">
+                                    <NavItem eventKey={7}>Account</NavItem>
+                                </LinkContainer>
+                            }
                             {user &&
                                 <LinkContainer to="/logout">
                                     <NavItem eventKey={6} className="logout-link" onClick={this.handleLogout}>
@@ -111,6 +146,9 @@ export default class App extends Component {
                 </Navbar>
 
                 <div className={styles.appContent}>
+                    {user && !user.attributes.email_verified_at &&
+                        <div className="container">{this.renderVerificationBanner()}</div>
+                    }
                     {this.props.children}
                 </div>
             </div>
@@ -1,5 +1,16 @@
 import React, {Component, PropTypes} from 'react';
 import {connect} from 'react-redux';
+import { can } from 'utilities/permissions';
+import { ChatRooms } from 'components';
+
+// How long to wait after messages arrive before telling the server they've been read
+const READ_DELAY = 1000;
+// How many messages to load at a time
+const HISTORY_PAGE_SIZE = 50;
+// How close to the top of the messages, in pixels, to scroll before loading older ones
+const LOAD_OLDER_OFFSET = 40;
+// How often to remind the server that the user is still typing; it forgets after a few seconds
+const TYPING_INTERVAL = 2000;
 
 @connect(
     state => ({user: state.auth.user})
@@ -12,28 +23,248 @@ export default class Chat extends Component {
 
     state = {
         message: '',
-        messages: []
+        messages: [],
+        // Whether the active room has older messages than those loaded, and whether they're loading
+        hasOlderMessages: false,
+        loadingHistory: false,
+        rooms: [],
+        activeRoomID: null,
+        invitee: '',
+        notice: null,
+        // Who is online in, and typing in, the active room
+        online: [],
+        typing: []
     };
 
     componentDidMount() {
         if (socket) {
+            socket.on('connect', this.onConnected);
+            socket.on('rooms', this.onRooms);
+            socket.on('roomsChanged', this.onRoomsChanged);
             socket.on('msg', this.onMessageReceived);
-            setTimeout(() => {
-                socket.emit('history', {offset: 0, length: 100});
-            }, 100);
+            socket.on('history', this.onHistory);
+            socket.on('joined', this.onJoined);
+            socket.on('left', this.onLeft);
+            socket.on('roster', this.onRoster);
+            socket.on('presence', this.onPresence);
+            socket.on('typing', this.onTyping);
+            socket.on('notice', this.onNotice);
+            socket.on('error', this.onError);
+            // Sockets are only let in when logged in, so connect again with the current session
+            socket.disconnect();
+            socket.connect();
+        }
+    }
+
+    componentWillUpdate() {
+        const list = this.refs.messages;
+        // Remember where the messages were scrolled to, from the bottom, before they change
+        this.scrollFromBottom = list ? list.scrollHeight - list.scrollTop : null;
+    }
+
+    componentDidUpdate() {
+        const list = this.refs.messages;
+        if (!list || this.scrollFromBottom === null) {
+            return;
+        }
+        if (this.scrollFromBottom <= list.clientHeight + LOAD_OLDER_OFFSET) {
+            // Stay at the bottom as new messages come in
+            list.scrollTop = list.scrollHeight;
+        } else {
+            // Stay on the same messages as older ones are added above
+            list.scrollTop = list.scrollHeight - this.scrollFromBottom;
         }
     }
 
     componentWillUnmount() {
+        clearTimeout(this.readTimeout);
         if (socket) {
+            socket.removeListener('connect', this.onConnected);
+            socket.removeListener('rooms', this.onRooms);
+            socket.removeListener('roomsChanged', this.onRoomsChanged);
             socket.removeListener('msg', this.onMessageReceived);
+            socket.removeListener('history', this.onHistory);
+            socket.removeListener('joined', this.onJoined);
+            socket.removeListener('left', this.onLeft);
+            socket.removeListener('roster', this.onRoster);
+            socket.removeListener('presence', this.onPresence);
+            socket.removeListener('typing', this.onTyping);
+            socket.removeListener('notice', this.onNotice);
+            socket.removeListener('error', this.onError);
+        }
+    }
+
+    onConnected = () => {
+        this.setState({notice: null});
+        if (this.state.activeRoomID) {
+            // Start the room's messages again, as some may have been missed while disconnected
+            this.handleSelectRoom(this.state.activeRoomID);
+        }
+        socket.emit('rooms');
+    }
+
+    onRooms = (rooms) => {
+        this.setState({rooms});
+        const activeRoom = this.activeRoom(rooms);
+        if (!activeRoom) {
+            // Start in a room the user has joined, if there are any
+            const firstRoom = rooms.find((room) => room.member) || rooms[0];
+            if (firstRoom) {
+                this.handleSelectRoom(firstRoom.id);
+            } else {
+                this.setState({activeRoomID: null, messages: []});
+            }
         }
     }
 
+    onRoomsChanged = () => {
+        socket.emit('rooms');
+    }
+
     onMessageReceived = (data) => {
-        const messages = this.state.messages;
-        messages.push(data);
-        this.setState({messages});
+        if (data.roomID !== this.state.activeRoomID) {
+            this.setState({rooms: this.state.rooms.map((room) => (
+                room.id === data.roomID ? {...room, unread: room.unread + 1} : room
+            ))});
+            return;
+        }
+        if (this.hasMessage(data.id)) {
+            // History already brought it
+            return;
+        }
+        this.setState({
+            messages: this.state.messages.concat({...data, key: 'msg.' + data.id}),
+            typing: this.state.typing.filter((user) => user.id !== data.userID)
+        });
+        clearTimeout(this.readTimeout);
+        this.readTimeout = setTimeout(() => {
+            socket.emit('read', {roomID: data.roomID, messageID: data.id});
+        }, READ_DELAY);
+    }
+
+    // A page of the active room's messages, older than those already shown
+    onHistory = (data) => {
+        if (data.roomID !== this.state.activeRoomID) {
+            return;
+        }
+        // Messages that arrived live while the page was loading may be in it too
+        const older = data.messages
+            .filter((msg) => !this.hasMessage(msg.id))
+            .map((msg) => ({...msg, key: 'msg.' + msg.id}));
+        this.setState({
+            messages: older.concat(this.state.messages),
+            hasOlderMessages: data.hasMore,
+            loadingHistory: false
+        });
+    }
+
+    onJoined = (data) => {
+        this.addEvent(data.roomID, data.user.email + ' joined');
+    }
+
+    onLeft = (data) => {
+        this.addEvent(data.roomID, data.user.email + ' left');
+    }
+
+    onRoster = (data) => {
+        if (data.roomID === this.state.activeRoomID) {
+            this.setState({online: data.users});
+        }
+    }
+
+    onPresence = (data) => {
+        if (data.roomID !== this.state.activeRoomID) {
+            return;
+        }
+        const online = this.state.online.filter((user) => user.id !== data.user.id);
+        this.setState({online: data.online ? online.concat(data.user) : online});
+    }
+
+    onTyping = (data) => {
+        if (data.roomID !== this.state.activeRoomID) {
+            return;
+        }
+        const typing = this.state.typing.filter((user) => user.id !== data.user.id);
+        this.setState({typing: data.typing ? typing.concat(data.user) : typing});
+    }
+
+    onNotice = (data) => {
+        this.setState({notice: data.message});
+    }
+
+    // The server turned the socket away, e.g. for not being logged in
+    onError = (error) => {
+        this.setState({notice: typeof error === 'string' ? error : 'Couldn\'t connect to the chat'});
+    }
+
+    hasMessage(id) {
+        return this.state.messages.some((msg) => msg.id === id);
+    }
+
+    activeRoom(rooms = this.state.rooms) {
+        return rooms.find((room) => room.id === this.state.activeRoomID);
+    }
+
+    // Shows something that happened in a room, like someone joining, among its messages
+    addEvent(roomID, text) {
+        if (roomID === this.state.activeRoomID) {
+            const key = 'event.' + this.state.messages.length;
+            this.setState({messages: this.state.messages.concat({key, event: true, text})});
+        }
+    }
+
+    handleSelectRoom = (roomID) => {
+        this.setState({
+            activeRoomID: roomID,
+            messages: [],
+            hasOlderMessages: false,
+            loadingHistory: true,
+            online: [],
+            typing: [],
+            rooms: this.state.rooms.map((room) => (room.id === roomID ? {...room, unread: 0} : room))
+        });
+        socket.emit('history', {roomID, limit: HISTORY_PAGE_SIZE});
+        socket.emit('roster', {roomID});
+    }
+
+    handleScroll = () => {
+        if (this.refs.messages.scrollTop > LOAD_OLDER_OFFSET ||
+            !this.state.hasOlderMessages || this.state.loadingHistory) {
+            return;
+        }
+        const oldest = this.state.messages.find((msg) => msg.id);
+        this.setState({loadingHistory: true});
+        this.handleRoomEvent('history', {before: oldest && oldest.id, limit: HISTORY_PAGE_SIZE});
+    }
+
+    handleRoomEvent = (event, data = {}) => {
+        socket.emit(event, {roomID: this.state.activeRoomID, ...data});
+    }
+
+    handleCreateRoom = (name, isPrivate) => {
+        socket.emit('createRoom', {name, private: isPrivate});
+    }
+
+    handleInvite = (event) => {
+        event.preventDefault();
+        this.handleRoomEvent('invite', {email: this.state.invitee});
+        this.setState({invitee: ''});
+    }
+
+    handleModerate = (event, userID) => {
+        socket.emit(event, {userID});
+    }
+
+    handleMessageChange = (event) => {
+        const message = event.target.value;
+        this.setState({message});
+        if (!message) {
+            this.lastTyped = null;
+            this.handleRoomEvent('stopTyping');
+        } else if (!this.lastTyped || Date.now() - this.lastTyped >= TYPING_INTERVAL) {
+            this.lastTyped = Date.now();
+            this.handleRoomEvent('typing');
+        }
     }
 
     handleSubmit = (event) => {
@@ -42,39 +273,121 @@ export default class Chat extends Component {
         const msg = this.state.message;
 
         this.setState({message: ''});
+        this.lastTyped = null;
 
         socket.emit('msg', {
-            from: this.props.user.email,
+            roomID: this.state.activeRoomID,
             text: msg
         });
     }
 
+    renderMessage(msg) {
+        const {user} = this.props;
+        if (msg.event) {
+            return <li key={msg.key} className="text-muted">{msg.text}</li>;
+        }
+        const moderatable = can(user, 'moderate', 'chat') && msg.userID && String(msg.userID) !== String(user.id);
+        return (
+            <li key={msg.key}>
+                {msg.from}: {msg.text}
+                {moderatable &&
+                    <span>
+                        {' '}
+                        <button className="btn btn-link btn-xs"
+                            onClick={() => this.handleModerate('mute', msg.userID)}>
+                            Mute
+                        </button>
+                        <button className="btn btn-link btn-xs"
+                            onClick={() => this.handleModerate('kick', msg.userID)}>
+                            Kick
+                        </button>
+                    </span>
+                }
+            </li>
+        );
+    }
+
+    renderTyping() {
+        const emails = this.state.typing.map((user) => user.email);
+        if (emails.length === 0) {
+            return null;
+        }
+        const who = emails.length > 2 ? 'Several people are' :
+            emails.join(' and ') + (emails.length === 1 ? ' is' : ' are');
+        return <p className="text-muted">{who} typing...</p>;
+    }
+
+    renderRoomActions(room) {
+        const {user} = this.props;
+        return (
+            <div>
+                {!room.member && !room.archived &&
+                    <button className="btn btn-primary btn-sm" onClick={() => this.handleRoomEvent('join')}>Join</button>
+                }
+                {room.member &&
+                    <button className="btn btn-default btn-sm" onClick={() => this.handleRoomEvent('leave')}>Leave</button>
+                }
+                {' '}
+                {can(user, 'update', 'room') && !room.archived &&
+                    <button className="btn btn-default btn-sm" onClick={() => this.handleRoomEvent('archiveRoom')}>
+                        Archive
+                    </button>
+                }
+                {' '}
+                {can(user, 'delete', 'room') &&
+                    <button className="btn btn-danger btn-sm" onClick={() => this.handleRoomEvent('deleteRoom')}>
+                        Delete
+                    </button>
+                }
+                {room.private && room.member && !room.archived &&
+                    <form className="form-inline" onSubmit={this.handleInvite}>
+                        <input type="email" className="form-control input-sm" placeholder="Invite by email"
+                            value={this.state.invitee} onChange={(event) => this.setState({invitee: event.target.value})}/>
+                        <button className="btn btn-default btn-sm" onClick={this.handleInvite}>Invite</button>
+                    </form>
+                }
+            </div>
+        );
+    }
+
     render() {
         const style = require('./Chat.scss');
         const {user} = this.props;
+        const room = this.activeRoom();
 
         return (
             <div className={style.chat + ' container'}>
                 <h1 className={style}>Chat</h1>
 
+                {this.state.notice && <div className="alert alert-info">{this.state.notice}</div>}
                 {user &&
-                    <div>
-                        <ul>
-                            {
-                                this.state.messages.map((msg) => {
-                                    return <li key={`chat.msg.${msg.id}`}>{msg.from}: {msg.text}</li>;
-                                })
-                            }
-                        </ul>
-                        <form className="login-form" onSubmit={this.handleSubmit}>
-                            <input type="text" ref="message" placeholder="Enter your message"
-                                value={this.state.message}
-                                onChange={(event) => {
-                                    this.setState({message: event.target.value});
+                    <div className="row">
+                        <div className="col-sm-3">
+                            <ChatRooms rooms={this.state.rooms} activeRoomID={this.state.activeRoomID}
+                                onSelect={this.handleSelectRoom}
+                                onCreate={can(user, 'create', 'room') ? this.handleCreateRoom : undefined}/>
+                        </div>
+                        {room &&
+                            <div className="col-sm-9">
+                                <h3>{room.name}</h3>
+                                {this.renderRoomActions(room)}
+                                <p className="text-muted">
+                                    Online: {this.state.online.map((onlineUser) => onlineUser.email).join(', ') || 'nobody'}
+                                </p>
+                                <ul className={style.messages} ref="messages" onScroll={this.handleScroll}>
+                                    {this.state.loadingHistory && <li className="text-muted">Loading...</li>}
+                                    {this.state.messages.map((msg) => this.renderMessage(msg))}
+                                </ul>
+                                {this.renderTyping()}
+                                {room.member && !room.archived &&
+                                    <form className="login-form" onSubmit={this.handleSubmit}>
+                                        <input type="text" ref="message" placeholder="Enter your message"
+                                            value={this.state.message} onChange={this.handleMessageChange}/>
+                                        <button className="btn" onClick={this.handleSubmit}>Send</button>
+                                    </form>
                                 }
-                            }/>
-                            <button className="btn" onClick={this.handleSubmit}>Send</button>
-                        </form>
+                            </div>
+                        }
                     </div>
                 }
             </div>
@@ -1,30 +1,64 @@
 import React, {Component, PropTypes} from 'react';
 import {connect} from 'react-redux';
 import Helmet from 'react-helmet';
+import access from 'safe-access';
+import { asyncConnect } from 'redux-async-connect';
 import * as authActions from 'redux/modules/auth';
 
+@asyncConnect([{
+    promise: ({store: {dispatch, getState}}) => {
+        if (!authActions.areStrategiesLoaded(getState())) {
+            return dispatch(authActions.loadStrategies());
+        }
+    }
+}])
 @connect(
-    state => ({user: state.auth.user}),
+    state => ({
+        user: state.auth.user,
+        externalStrategies: state.auth.externalStrategies,
+        loginError: state.auth.loginError,
+        passwordResetRequested: state.auth.passwordResetRequested,
+        passwordResetConfirmed: state.auth.passwordResetConfirmed,
+        passwordResetError: state.auth.passwordResetError
+    }),
     authActions
 )
 export default class Login extends Component {
     static propTypes = {
         user: PropTypes.object,
+        location: PropTypes.object,
+        externalStrategies: PropTypes.array,
+        loginError: PropTypes.object,
+        passwordResetRequested: PropTypes.bool,
+        passwordResetConfirmed: PropTypes.bool,
+        passwordResetError: PropTypes.object,
         login: PropTypes.func,
         logout: PropTypes.func,
-        signup: PropTypes.func
+        signup: PropTypes.func,
+        requestPasswordReset: PropTypes.func,
+        confirmPasswordReset: PropTypes.func
     }
 
     state = {
-        showSignup: false
+        screen: 'login',
+        passwordMismatch: false,
+        passwordResetDismissed: false
     }
 
     showLogin = () => {
-        this.setState({ showSignup: false });
+        this.setState({ screen: 'login' });
     }
 
     showSignup = () => {
-        this.setState({ showSignup: true });
+        this.setState({ screen: 'signup' });
+    }
+
+    showForgotPassword = () => {
+        this.setState({ screen: 'forgotPassword' });
+    }
+
+    dismissPasswordReset = () => {
+        this.setState({ screen: 'login', passwordResetDismissed: true });
     }
 
     handleSubmitLogin = (event) => {
@@ -45,14 +79,149 @@ export default class Login extends Component {
         this.props.signup(emailInput.value, passwordInput.value);
     }
 
+    handleSubmitForgotPassword = (event) => {
+        event.preventDefault();
+        this.props.requestPasswordReset(this.refs.forgotPasswordEmail.value);
+    }
+
+    handleSubmitNewPassword = (event) => {
+        event.preventDefault();
+        const passwordInput = this.refs.newPassword;
+        const confirmPasswordInput = this.refs.newPasswordConfirm;
+        if (passwordInput.value !== confirmPasswordInput.value) {
+            this.setState({ passwordMismatch: true });
+            return;
+        }
+        this.setState({ passwordMismatch: false });
+        this.props.confirmPasswordReset(this.resetToken(), passwordInput.value);
+    }
+
+    resetToken() {
+        return access(this.props, 'location.query.resetToken');
+    }
+
+    renderLoginError() {
+        const {loginError} = this.props;
+        if (!loginError) {
+            return null;
+        }
+        if (loginError.code === 'ETOOMANYATTEMPTS') {
+            const minutes = Math.ceil((loginError.retryAfter || 0) / 60);
+            return (
+                <p className="text-danger">
+                    Too many failed attempts to log in. Please try again in
+                    {minutes > 1 ? ` ${minutes} minutes` : ' a minute'}, or reset your password.
+                </p>
+            );
+        }
+        return (
+            <p className="text-danger">{loginError.message || 'Something went wrong, please try again.'}</p>
+        );
+    }
+
+    renderExternalLogin() {
+        const {externalStrategies} = this.props;
+        const externalLoginError = access(this.props, 'location.query.externalLoginError');
+        if (!externalStrategies || externalStrategies.length === 0) {
+            return null;
+        }
+        return (
+            <div>
+                {externalStrategies.map((strategy) => (
+                    <span key={strategy.name}>
+                        {/* A full page load, since the API sends the browser on to the provider */}
+                        <a className="btn btn-default" href={'/api/sessions/startExternalLogin/' + strategy.name}>
+                            Log in with {strategy.label}
+                        </a>
+                        {' '}
+                    </span>
+                ))}
+                {externalLoginError && <p className="text-danger">{externalLoginError}</p>}
+            </div>
+        );
+    }
+
+    renderPasswordResetError() {
+        const {passwordResetError} = this.props;
+        if (!passwordResetError) {
+            return null;
+        }
+        return (
+            <p className="text-danger">{passwordResetError.message || 'Something went wrong, please try again.'}</p>
+        );
+    }
+
+    renderForgotPassword() {
+        if (this.props.passwordResetRequested) {
+            return (
+                <div>
+                    <p>If that email belongs to an account, we've sent it a link to reset your password.</p>
+                    <button className="btn" onClick={this.showLogin}>Back to Log In</button>
+                </div>
+            );
+        }
+        return (
+            <div>
+                <p>Enter your email, and we'll send you a link to choose a new password.</p>
+                <form className="forgot-password-form form-inline" onSubmit={this.handleSubmitForgotPassword}>
+                    <div className="form-group">
+                        <input type="text" ref="forgotPasswordEmail" placeholder="Enter your email" className="form-control"/>
+                    </div>
+                    <button className="btn btn-success" onClick={this.handleSubmitForgotPassword}>
+                        Send Reset Link
+                    </button>
+                </form>
+                {this.renderPasswordResetError()}
+                <div>
+                    Or,{' '}
+                    <button className="btn" onClick={this.showLogin}>
+                        Log In
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    renderNewPassword() {
+        if (this.props.passwordResetConfirmed) {
+            return (
+                <div>
+                    <p>Your password has been changed. You can now log in with it.</p>
+                    <button className="btn" onClick={this.dismissPasswordReset}>Log In</button>
+                </div>
+            );
+        }
+        return (
+            <div>
+                <p>Choose a new password.</p>
+                <form className="new-password-form form-inline" onSubmit={this.handleSubmitNewPassword}>
+                    <div className="form-group">
+                        <input type="password" ref="newPassword" placeholder="New password" className="form-control"/>
+                    </div>
+                    <div className="form-group">
+                        <input type="password" ref="newPasswordConfirm" placeholder="Confirm new password" className="form-control"/>
+                    </div>
+                    <button className="btn btn-success" onClick={this.handleSubmitNewPassword}>
+                        Set New Password
+                    </button>
+                </form>
+                {this.state.passwordMismatch && <p className="text-danger">The passwords don't match.</p>}
+                {this.renderPasswordResetError()}
+            </div>
+        );
+    }
+
     render() {
         const {user, logout} = this.props;
+        const {screen} = this.state;
         const styles = require('./Login.scss');
+        const settingNewPassword = !user && this.resetToken() && !this.state.passwordResetDismissed;
         return (
             <div className={styles.loginPage + ' container'}>
                 <Helmet title="Login"/>
                 <h1>Login</h1>
-                {!user && !this.state.showSignup &&
+                {settingNewPassword && this.renderNewPassword()}
+                {!user && !settingNewPassword && screen === 'login' &&
                     <div>
                         <form className="login-form form-inline" onSubmit={this.handleSubmitLogin}>
                             <div className="form-group">
@@ -65,15 +234,21 @@ export default class Login extends Component {
                                 {' '}Log In
                             </button>
                         </form>
+                        {this.renderLoginError()}
+                        {this.renderExternalLogin()}
                         <div>
                             Or,{' '}
                             <button className="btn" onClick={this.showSignup}>
                                 Sign Up
                             </button>
+                            {' '}
+                            <button className="btn btn-link" onClick={this.showForgotPassword}>
+                                Forgot your password?
+                            </button>
                         </div>
                     </div>
                 }
-                {!user && this.state.showSignup &&
+                {!user && !settingNewPassword && screen === 'signup' &&
                     <div>
                         <form className="signup-form form-inline" onSubmit={this.handleSubmitSignup}>
                             <div className="form-group">
@@ -97,6 +272,7 @@ export default class Login extends Component {
                         </div>
                     </div>
                 }
+                {!user && !settingNewPassword && screen === 'forgotPassword' && this.renderForgotPassword()}
                 {user &&
                     <div>
                         <p>You are currently logged in as {user.email}.</p>
@@ -0,0 +1,67 @@
+import React, {Component, PropTypes} from 'react';
+import {connect} from 'react-redux';
+import Helmet from 'react-helmet';
+import { Link } from 'react-router';
+import access from 'safe-access';
+import { verifyEmail, load as loadAuth } from 'redux/modules/auth';
+
+@connect(
+    state => ({
+        user: state.auth.user,
+        verifyingEmail: state.auth.verifyingEmail,
+        emailVerified: state.auth.emailVerified,
+        verifyEmailError: state.auth.verifyEmailError
+    }),
+    {verifyEmail, loadAuth}
+)
+export default class VerifyEmail extends Component {
+    static propTypes = {
+        location: PropTypes.object,
+        user: PropTypes.object,
+        verifyingEmail: PropTypes.bool,
+        emailVerified: PropTypes.bool,
+        verifyEmailError: PropTypes.object,
+        verifyEmail: PropTypes.func.isRequired,
+        loadAuth: PropTypes.func.isRequired
+    }
+
+    componentDidMount() {
+        const token = access(this.props, 'location.query.token');
+        if (token) {
+            this.props.verifyEmail(token)
+                .then(() => {
+                    // The session user now has a verification date to show
+                    if (this.props.user) {
+                        this.props.loadAuth();
+                    }
+                });
+        }
+    }
+
+    render() {
+        const {emailVerified, verifyEmailError} = this.props;
+        const hasToken = !!access(this.props, 'location.query.token');
+        return (
+            <div className="container">
+                <Helmet title="Verify Email"/>
+                <h1>Verify Email</h1>
+
+                {!hasToken &&
+                    <p>This verification link is incomplete. Please use the whole link from your email.</p>
+                }
+                {hasToken && !emailVerified && !verifyEmailError &&
+                    <p>Verifying your email address...</p>
+                }
+                {emailVerified &&
+                    <p>Thanks, your email address is verified! <Link to="/">Continue</Link></p>
+                }
+                {verifyEmailError &&
+                    <p className="text-danger">
+                        {verifyEmailError.message || 'We couldn\'t verify your email address.'}
+                        {' '}You can ask for a new link from the banner at the top of the page once you log in.
+                    </p>
+                }
+            </div>
+        );
+    }
+}
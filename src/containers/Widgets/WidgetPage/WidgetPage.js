@@ -5,7 +5,7 @@ import {Grid, Row, Col} from 'react-bootstrap';
 import { asyncConnect } from 'redux-async-connect';
 import Helmet from 'react-helmet';
 import { isLoaded as isAuthLoaded, load as loadAuth } from 'redux/modules/auth';
-import access from 'safe-access';
+import { can } from 'utilities/permissions';
 import { selectData, selectRequest } from 'libs/nion';
 import { widgetLoadAction } from 'redux/modules/widget';
 
@@ -74,7 +74,7 @@ export default class WidgetPage extends Component {
                 <Grid>
                     <Row>
                         <Col xs={12} md={4} mdPush={8}>
-                            {access(this.props, 'currentUser.attributes.is_admin') && (
+                            {can(this.props.currentUser, 'update', 'widget', this.props.widget) && (
                                 <Link to={`/admin/widgets/${this.props.widget.id}/edit`}>
                                     <button className="btn">Edit Widget</button>
                                 </Link>
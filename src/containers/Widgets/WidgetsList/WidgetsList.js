@@ -6,10 +6,15 @@ import { Link } from 'react-router';
 import values from 'lodash.values';
 import access from 'safe-access';
 import { isLoaded as isAuthLoaded, load as loadAuth } from 'redux/modules/auth';
-import { widgetListAction } from 'redux/modules/widget';
-import { selectData, selectRequest } from 'libs/nion';
+import { can } from 'utilities/permissions';
+import { widgetListAction, widgetSearchAction } from 'redux/modules/widget';
+import { Highlighted } from 'components';
+import { selectData, selectRequest, selectMeta } from 'libs/nion';
 
 const DATA_KEY = 'WidgetsList';
+const SEARCH_DATA_KEY = 'WidgetsListSearch';
+// How long to wait for typing to stop before searching
+const SEARCH_DELAY = 300;
 
 @asyncConnect([{
     promise: ({store: {dispatch, getState}}) => {
@@ -26,20 +31,91 @@ const DATA_KEY = 'WidgetsList';
 @connect(
     (state) => {
         const rawWidgets = access(state, 'nion.entities') ? values(state.nion.entities.widget) : [];
-        const normalizedWidgets = rawWidgets.map((rawWidget) => (selectData(rawWidget)(state)));
+        const normalizedWidgets = rawWidgets
+            .map((rawWidget) => (selectData(rawWidget)(state)))
+            // The trash may have loaded deleted widgets too
+            .filter((widget) => !widget.deleted_at);
         return {
             currentUser: state.auth.user,
             widgets: normalizedWidgets,
-            widgetsLoaded: access(selectRequest(DATA_KEY)(state), 'status') !== 'pending'
+            widgetsLoaded: access(selectRequest(DATA_KEY)(state), 'status') !== 'pending',
+            searchResults: selectData(SEARCH_DATA_KEY)(state),
+            searchMatches: access(selectMeta(SEARCH_DATA_KEY)(state), 'search') || {},
+            searching: access(selectRequest(SEARCH_DATA_KEY)(state), 'status') === 'pending'
         };
     },
-    {}
+    {
+        search: widgetSearchAction(SEARCH_DATA_KEY)
+    }
 )
 export default class WidgetsList extends Component {
     static propTypes = {
         currentUser: PropTypes.object,
         widgets: PropTypes.array,
-        widgetsLoaded: PropTypes.bool
+        widgetsLoaded: PropTypes.bool,
+        searchResults: PropTypes.array,
+        searchMatches: PropTypes.object,
+        searching: PropTypes.bool,
+        search: PropTypes.func.isRequired
+    }
+
+    state = {
+        query: ''
+    }
+
+    componentWillUnmount() {
+        clearTimeout(this.searchTimeout);
+    }
+
+    handleQueryChange = (event) => {
+        const query = event.target.value;
+        this.setState({query});
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => this.props.search(query), SEARCH_DELAY);
+    }
+
+    renderSearchResults() {
+        const {searchResults, searchMatches, searching} = this.props;
+        if (!searchResults || searchResults.length === 0) {
+            return <div>{searching ? 'Searching...' : 'No widgets match that search.'}</div>;
+        }
+        return (
+            <ul>
+                {searchResults.map((widget) => {
+                    const highlights = (searchMatches[widget.id] || {}).highlights || {};
+                    return (
+                        <li key={widget.id}>
+                            <Link to={'/widgets/' + widget.id}>
+                                <div><Highlighted highlight={highlights.name || widget.name}/></div>
+                            </Link>
+                            {highlights.description &&
+                                <div className="text-muted"><Highlighted highlight={highlights.description}/></div>
+                            }
+                        </li>
+                    );
+                })}
+            </ul>
+        );
+    }
+
+    renderWidgets() {
+        return this.props.widgets && this.props.widgets.length > 0 ? (
+            <div>
+                <ul>
+                    {this.props.widgets.map((widget) => (
+                        <li key={widget.id}>
+                            <Link to={'/widgets/' + widget.id}>
+                                <div>{widget.name}</div>
+                            </Link>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        ) : (
+            <div>
+                No widgets made!
+            </div>
+        );
     }
 
     render() {
@@ -48,7 +124,7 @@ export default class WidgetsList extends Component {
                 <h1>Widgets</h1>
                 <Helmet title="Widgets"/>
 
-                {access(this.props, 'currentUser.attributes.is_admin') && (
+                {can(this.props.currentUser, 'create', 'widget') && (
                     <div>
                         <Link to="/admin/widgets/new">
                             <div>New Widget</div>
@@ -56,23 +132,19 @@ export default class WidgetsList extends Component {
                         <br />
                     </div>
                 )}
-                {this.props.widgets && this.props.widgets.length > 0 ? (
-                    <div>
-                        <ul>
-                            {this.props.widgets.map((widget) => (
-                                <li key={widget.id}>
-                                    <Link to={'/widgets/' + widget.id}>
-                                        <div>{widget.name}</div>
-                                    </Link>
-                                </li>
-                            ))}
-                        </ul>
-                    </div>
-                ) : (
+                {can(this.props.currentUser, 'restore', 'widget') && (
                     <div>
-                        No widgets made!
+                        <Link to="/admin/widgets/trash">
+                            <div>Trash</div>
+                        </Link>
+                        <br />
                     </div>
                 )}
+                <div className="form-group">
+                    <input type="search" className="form-control" placeholder="Search widgets..."
+                        value={this.state.query} onChange={this.handleQueryChange}/>
+                </div>
+                {this.state.query.trim().length > 1 ? this.renderSearchResults() : this.renderWidgets()}
                 {!this.props.widgetsLoaded && (
                     <div>
                         Loading widgets...
@@ -1,4 +1,5 @@
 export App from './App/App';
+export Account from './Account/Account';
 export Chat from './Chat/Chat';
 export Home from './Home/Home';
 export About from './About/About';
@@ -6,9 +7,14 @@ export Login from './Login/Login';
 export LoginSuccess from './LoginSuccess/LoginSuccess';
 export Survey from './Survey/Survey';
 export NotFound from './NotFound/NotFound';
+export VerifyEmail from './VerifyEmail/VerifyEmail';
 
 export WidgetPage from './Widgets/WidgetPage/WidgetPage';
 export WidgetsList from './Widgets/WidgetsList/WidgetsList';
 
 export AdminPanel from './AdminPanel/AdminPanel';
 export WidgetEditor from './AdminPanel/Widgets/WidgetEditor/WidgetEditor';
+export WidgetTrash from './AdminPanel/Widgets/WidgetTrash/WidgetTrash';
+export WidgetRevisions from './AdminPanel/Widgets/WidgetRevisions/WidgetRevisions';
+export UsersList from './AdminPanel/Users/UsersList/UsersList';
+export AuditLog from './AdminPanel/AuditLog/AuditLog';
@@ -1,5 +1,6 @@
 import superagent from 'superagent';
 import config from '../config';
+import { CSRF_HEADER, getCsrfToken, setCsrfToken } from './csrf';
 
 const methods = ['get', 'post', 'put', 'patch', 'del'];
 
@@ -15,8 +16,7 @@ function formatUrl(path) {
 
 export default class ApiClient {
     constructor(req) {
-        methods.forEach((method) =>
-        this[method] = (path, { params, data } = {}) => new Promise((resolve, reject) => {
+        const send = (method, path, { params, data } = {}) => new Promise((resolve, reject) => {
             const request = superagent[method](formatUrl(path));
 
             if (params) {
@@ -27,14 +27,36 @@ export default class ApiClient {
                 request.set('cookie', req.get('cookie'));
             }
 
+            if (method !== 'get' && getCsrfToken()) {
+                request.set(CSRF_HEADER, getCsrfToken());
+            }
+
             if (data) {
                 request.send(data);
             }
 
             request.end((err, { body } = {}) => err ? reject(body || err) : resolve(body));
-        }));
+        });
+
+        methods.forEach((method) =>
+        this[method] = (path, options) => send(method, path, options)
+            .catch((error) => {
+                // The session's token changes when it ends (e.g. on logout), so get the new one and try again
+                if (method !== 'get' && error && error.code === 'EBADCSRFTOKEN') {
+                    return this.refreshCsrfToken().then(() => send(method, path, options));
+                }
+                return Promise.reject(error);
+            }));
         this.req = req;
     }
+
+    refreshCsrfToken() {
+        return this.get('/sessions/getCsrfToken')
+            .then(({csrfToken}) => {
+                setCsrfToken(csrfToken);
+                return csrfToken;
+            });
+    }
     /*
     * There's a V8 bug where, when using Babel, exporting classes with only
     * constructors sometimes fails. Until it's patched, this is a solution to
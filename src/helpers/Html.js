@@ -16,11 +16,12 @@ export default class Html extends Component {
     static propTypes = {
         assets: PropTypes.object,
         component: PropTypes.node,
-        store: PropTypes.object
+        store: PropTypes.object,
+        csrfToken: PropTypes.string
     };
 
     render() {
-        const {assets, component, store} = this.props;
+        const {assets, component, store, csrfToken} = this.props;
         const content = component ? ReactDOM.renderToString(component) : '';
         const head = Helmet.rewind();
 
@@ -35,6 +36,8 @@ export default class Html extends Component {
 
                     <link rel="shortcut icon" href="/favicon.ico" />
                     <meta name="viewport" content="width=device-width, initial-scale=1" />
+                    {/* read by client.js, for the API to tell our requests from other sites' */}
+                    {csrfToken && <meta name="csrf-token" content={csrfToken} />}
                     {/* styles (will be present only in production with webpack extract text plugin) */}
                     {Object.keys(assets.styles).map((style, key) =>
                         <link href={assets.styles[style]} key={key} media="screen, projection"
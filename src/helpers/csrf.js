@@ -0,0 +1,18 @@
+/**
+Holds the CSRF token that the API wants in an X-CSRF-Token header on every mutating request.
+The server embeds it in the page (see Html.js), and ApiClient refreshes it when it goes stale,
+e.g. after logging out. Only the browser sets it: on the server, this module is shared by every
+request being rendered.
+*/
+export const CSRF_HEADER = 'X-CSRF-Token';
+export const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let csrfToken = null;
+
+export function getCsrfToken() {
+    return csrfToken;
+}
+
+export function setCsrfToken(token) {
+    csrfToken = token;
+}
@@ -31,19 +31,23 @@ const getJsonApiRequestTypes = (dataKey, meta = {}, promiseHandler) => {
         type: JSON_API_FAILURE,
         meta: { dataKey, ...meta },
         payload: (action, state, res) => {
-            // Mannually handle the error here, rather than passing off to error middleware
-            const error = new JsonApiError(res);
+            // Read the error document too, so that callers can tell e.g. conflicts (409) apart
+            const errorFromResponse = (response) => {
+                // Mannually handle the error here, rather than passing off to error middleware
+                const error = new JsonApiError({status: res.status, statusText: res.statusText, response});
 
-            // Reject the passed in promise, if supplied. Note we only want to reject the promise if
-            // it's being used, ie, there exist _deferred methods (promise-polyfill specific) field.
-            // This is to avoid uncaught exceptions being raised in addition to the error being
-            // raised in middleware
-            if (get(promiseHandler, 'promise._deferreds.length')) {
-                if (promiseHandler && promiseHandler.reject) {
-                    promiseHandler.reject(error);
+                // Reject the passed in promise, if supplied. Note we only want to reject the promise if
+                // it's being used, ie, there exist _deferred methods (promise-polyfill specific) field.
+                // This is to avoid uncaught exceptions being raised in addition to the error being
+                // raised in middleware
+                if (get(promiseHandler, 'promise._deferreds.length')) {
+                    if (promiseHandler && promiseHandler.reject) {
+                        promiseHandler.reject(error);
+                    }
                 }
-            }
-            return error;
+                return error;
+            };
+            return getJSON(res).then(errorFromResponse, () => errorFromResponse());
         }
     }];
 };
@@ -10,5 +10,6 @@ export const buildUrl = url.buildUrl;
 export const exists = decoratorHelpers.exists;
 export const selectData = selectors.selectData;
 export const selectRequest = selectors.selectRequest;
+export const selectMeta = selectors.selectMeta;
 export const jsonApi = actions.jsonApi;
 export const makeRef = transforms.makeRef;
@@ -42,6 +42,9 @@ const requestsReducer = (state = initialState, action) => {
                     status: 'error',
                     name: action.payload.name,
                     errors: [action.payload.message],
+                    // e.g. 409 when someone else has changed what's being saved
+                    statusCode: action.payload.status,
+                    jsonApiErrors: action.payload.jsonApiErrors,
                     fetchedAt: Date.now(),
                     isError: true,
                     isLoaded: false,
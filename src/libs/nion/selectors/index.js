@@ -63,7 +63,7 @@ const selectLinks = (key) => createSelector(
     (references) => get(references, [key, 'links'])
 );
 
-const selectMeta = (key) => createSelector(
+export const selectMeta = (key) => createSelector(
     selectReferences,
     (refs) => get(refs, [key, 'meta'])
 );
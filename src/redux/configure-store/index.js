@@ -6,7 +6,7 @@ import thunkMiddleware from 'redux-thunk';
 import { apiMiddleware } from 'redux-api-middleware';
 import isPlainObject from 'is-plain-object';
 
-// import csrfTicketMiddleware from 'shared/middleware/csrf-ticket';
+import csrfMiddleware from '../middleware/csrfMiddleware';
 import configureNion from 'libs/nion/configure';
 
 const defaultOptions = {
@@ -16,7 +16,7 @@ const defaultOptions = {
 };
 
 export const baseMiddleware = [
-    // csrfTicketMiddleware,
+    csrfMiddleware,
     thunkMiddleware
 ];
 
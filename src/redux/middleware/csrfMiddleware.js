@@ -0,0 +1,25 @@
+import { CALL_API } from 'redux-api-middleware';
+import { CSRF_HEADER, SAFE_METHODS, getCsrfToken } from 'helpers/csrf';
+
+/**
+Adds the CSRF token to every mutating redux-api-middleware request, e.g. nion's.
+*/
+export default function csrfMiddleware() {
+    return next => action => {
+        const request = action && action[CALL_API];
+        const csrfToken = getCsrfToken();
+        if (!request || !csrfToken || SAFE_METHODS.indexOf((request.method || 'GET').toUpperCase()) >= 0) {
+            return next(action);
+        }
+        return next({
+            ...action,
+            [CALL_API]: {
+                ...request,
+                headers: {
+                    ...request.headers,
+                    [CSRF_HEADER]: csrfToken
+                }
+            }
+        });
+    };
+}
@@ -0,0 +1,111 @@
+const LOAD = 'apiTokens/LOAD';
+const LOAD_SUCCESS = 'apiTokens/LOAD_SUCCESS';
+const LOAD_FAIL = 'apiTokens/LOAD_FAIL';
+const CREATE = 'apiTokens/CREATE';
+const CREATE_SUCCESS = 'apiTokens/CREATE_SUCCESS';
+const CREATE_FAIL = 'apiTokens/CREATE_FAIL';
+const REVOKE = 'apiTokens/REVOKE';
+const REVOKE_SUCCESS = 'apiTokens/REVOKE_SUCCESS';
+const REVOKE_FAIL = 'apiTokens/REVOKE_FAIL';
+
+const initialState = {
+    loaded: false,
+    list: []
+};
+
+export default function reducer(state = initialState, action = {}) {
+    switch (action.type) {
+        case LOAD:
+            return {
+                ...state,
+                loading: true
+            };
+        case LOAD_SUCCESS:
+            return {
+                ...state,
+                loading: false,
+                loaded: true,
+                list: action.result.data,
+                error: null
+            };
+        case LOAD_FAIL:
+            return {
+                ...state,
+                loading: false,
+                loaded: false,
+                error: action.error
+            };
+        case CREATE:
+            return {
+                ...state,
+                creating: true,
+                createdToken: null,
+                createError: null
+            };
+        case CREATE_SUCCESS:
+            return {
+                ...state,
+                creating: false,
+                // Holds the only copy of the plaintext token the client will ever get
+                createdToken: action.result.data,
+                list: [action.result.data, ...state.list]
+            };
+        case CREATE_FAIL:
+            return {
+                ...state,
+                creating: false,
+                createError: action.error
+            };
+        case REVOKE:
+            return {
+                ...state,
+                revoking: true,
+                revokeError: null
+            };
+        case REVOKE_SUCCESS:
+            return {
+                ...state,
+                revoking: false,
+                list: state.list.filter((token) => token.id !== action.id)
+            };
+        case REVOKE_FAIL:
+            return {
+                ...state,
+                revoking: false,
+                revokeError: action.error
+            };
+        default:
+            return state;
+    }
+}
+
+export function load() {
+    return {
+        types: [LOAD, LOAD_SUCCESS, LOAD_FAIL],
+        promise: (client) => client.get('/apiTokens/listTokens')
+    };
+}
+
+export function create(name, scopes) {
+    return {
+        types: [CREATE, CREATE_SUCCESS, CREATE_FAIL],
+        promise: (client) => client.post('/apiTokens/createToken', {
+            data: {
+                name,
+                scopes
+            }
+        })
+    };
+}
+
+export function revoke(id) {
+    return {
+        types: [REVOKE, REVOKE_SUCCESS, REVOKE_FAIL],
+        id,
+        promise: (client) => client.post('/apiTokens/revokeToken', {
+            data: {
+                id
+            }
+        })
+    };
+}
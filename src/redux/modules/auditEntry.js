@@ -0,0 +1,50 @@
+import { jsonApi, buildUrl } from 'libs/nion';
+
+// The audit log page shows this many of the latest matching entries
+export const PAGE_SIZE = 100;
+
+const defaultResponseFormat = {
+    include: 'actor',
+    fields: {
+        auditEntry: ['action', 'resource_type', 'resource_id', 'changes', 'ip_address', 'created_at', 'actor'],
+        user: ['email']
+    }
+};
+
+/**
+Filters the audit log by who made the change (`actorID`), what it was made to (`resourceType`, and
+optionally `resourceID`), and when (`from` and `to`, inclusive, as YYYY-MM-DD dates in UTC).
+*/
+export const auditEntryListAction = (dataKey) => ({actorID, resourceType, resourceID, from, to} = {}) => (dispatch) => {
+    const filter = {};
+    if (actorID) {
+        filter.actor = actorID;
+    }
+    if (resourceType) {
+        filter.resource_type = resourceType;
+    }
+    if (resourceID) {
+        filter.resource_id = resourceID;
+    }
+    const createdAt = [];
+    if (from) {
+        createdAt.push(`>=${from}`);
+    }
+    if (to) {
+        createdAt.push(`<=${to}T23:59:59.999Z`);
+    }
+    if (createdAt.length > 0) {
+        filter.created_at = createdAt.join(',');
+    }
+    return dispatch(jsonApi.get(dataKey, {
+        endpoint: buildUrl(
+            `/auditEntry`,
+            {
+                ...defaultResponseFormat,
+                ...(Object.keys(filter).length > 0 ? {filter} : {}),
+                sort: '-created_at',
+                page: {size: PAGE_SIZE}
+            }
+        )
+    }));
+};
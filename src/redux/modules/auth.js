@@ -10,9 +10,26 @@ const LOGOUT_FAIL = 'auth/LOGOUT_FAIL';
 const SIGNUP = 'auth/SIGNUP';
 const SIGNUP_SUCCESS = 'auth/SIGNUP_SUCCESS';
 const SIGNUP_FAIL = 'auth/SIGNUP_FAIL';
+const REQUEST_PASSWORD_RESET = 'auth/REQUEST_PASSWORD_RESET';
+const REQUEST_PASSWORD_RESET_SUCCESS = 'auth/REQUEST_PASSWORD_RESET_SUCCESS';
+const REQUEST_PASSWORD_RESET_FAIL = 'auth/REQUEST_PASSWORD_RESET_FAIL';
+const CONFIRM_PASSWORD_RESET = 'auth/CONFIRM_PASSWORD_RESET';
+const CONFIRM_PASSWORD_RESET_SUCCESS = 'auth/CONFIRM_PASSWORD_RESET_SUCCESS';
+const CONFIRM_PASSWORD_RESET_FAIL = 'auth/CONFIRM_PASSWORD_RESET_FAIL';
+const VERIFY_EMAIL = 'auth/VERIFY_EMAIL';
+const VERIFY_EMAIL_SUCCESS = 'auth/VERIFY_EMAIL_SUCCESS';
+const VERIFY_EMAIL_FAIL = 'auth/VERIFY_EMAIL_FAIL';
+const RESEND_VERIFICATION = 'auth/RESEND_VERIFICATION';
+const RESEND_VERIFICATION_SUCCESS = 'auth/RESEND_VERIFICATION_SUCCESS';
+const RESEND_VERIFICATION_FAIL = 'auth/RESEND_VERIFICATION_FAIL';
+const LOAD_STRATEGIES = 'auth/LOAD_STRATEGIES';
+const LOAD_STRATEGIES_SUCCESS = 'auth/LOAD_STRATEGIES_SUCCESS';
+const LOAD_STRATEGIES_FAIL = 'auth/LOAD_STRATEGIES_FAIL';
 
 const initialState = {
-    loaded: false
+    loaded: false,
+    strategiesLoaded: false,
+    externalStrategies: []
 };
 
 export default function reducer(state = initialState, action = {}) {
@@ -39,7 +56,8 @@ export default function reducer(state = initialState, action = {}) {
         case LOGIN:
             return {
                 ...state,
-                loggingIn: true
+                loggingIn: true,
+                loginError: null
             };
         case LOGIN_SUCCESS:
             return {
@@ -90,6 +108,94 @@ export default function reducer(state = initialState, action = {}) {
                 user: null,
                 loginError: action.error
             };
+        case REQUEST_PASSWORD_RESET:
+            return {
+                ...state,
+                requestingPasswordReset: true,
+                passwordResetRequested: false,
+                passwordResetError: null
+            };
+        case REQUEST_PASSWORD_RESET_SUCCESS:
+            return {
+                ...state,
+                requestingPasswordReset: false,
+                passwordResetRequested: true
+            };
+        case REQUEST_PASSWORD_RESET_FAIL:
+            return {
+                ...state,
+                requestingPasswordReset: false,
+                passwordResetError: action.error
+            };
+        case CONFIRM_PASSWORD_RESET:
+            return {
+                ...state,
+                confirmingPasswordReset: true,
+                passwordResetConfirmed: false,
+                passwordResetError: null
+            };
+        case CONFIRM_PASSWORD_RESET_SUCCESS:
+            return {
+                ...state,
+                confirmingPasswordReset: false,
+                passwordResetConfirmed: true
+            };
+        case CONFIRM_PASSWORD_RESET_FAIL:
+            return {
+                ...state,
+                confirmingPasswordReset: false,
+                passwordResetError: action.error
+            };
+        case VERIFY_EMAIL:
+            return {
+                ...state,
+                verifyingEmail: true,
+                emailVerified: false,
+                verifyEmailError: null
+            };
+        case VERIFY_EMAIL_SUCCESS:
+            return {
+                ...state,
+                verifyingEmail: false,
+                emailVerified: true
+            };
+        case VERIFY_EMAIL_FAIL:
+            return {
+                ...state,
+                verifyingEmail: false,
+                verifyEmailError: action.error
+            };
+        case RESEND_VERIFICATION:
+            return {
+                ...state,
+                resendingVerification: true,
+                verificationResent: false,
+                resendVerificationError: null
+            };
+        case RESEND_VERIFICATION_SUCCESS:
+            return {
+                ...state,
+                resendingVerification: false,
+                verificationResent: true
+            };
+        case RESEND_VERIFICATION_FAIL:
+            return {
+                ...state,
+                resendingVerification: false,
+                resendVerificationError: action.error
+            };
+        case LOAD_STRATEGIES_SUCCESS:
+            return {
+                ...state,
+                strategiesLoaded: true,
+                externalStrategies: action.result.data
+            };
+        case LOAD_STRATEGIES_FAIL:
+            return {
+                ...state,
+                strategiesLoaded: false,
+                externalStrategies: []
+            };
         default:
             return state;
     }
@@ -106,6 +212,20 @@ export function load() {
     };
 }
 
+export function areStrategiesLoaded(globalState) {
+    return globalState.auth && globalState.auth.strategiesLoaded;
+}
+
+/**
+Loads the sign-in strategies that send users to another site to log in, such as OAuth2 providers.
+*/
+export function loadStrategies() {
+    return {
+        types: [LOAD_STRATEGIES, LOAD_STRATEGIES_SUCCESS, LOAD_STRATEGIES_FAIL],
+        promise: (client) => client.get('/sessions/listStrategies')
+    };
+}
+
 export function login(email, password) {
     return {
         types: [LOGIN, LOGIN_SUCCESS, LOGIN_FAIL],
@@ -121,7 +241,9 @@ export function login(email, password) {
 export function logout() {
     return {
         types: [LOGOUT, LOGOUT_SUCCESS, LOGOUT_FAIL],
-        promise: (client) => client.get('/sessions/deleteSession')
+        promise: (client) => client.post('/sessions/deleteSession')
+            // Logging out ends the session, and its CSRF token with it
+            .then((result) => client.refreshCsrfToken().then(() => result))
     };
 }
 
@@ -141,3 +263,44 @@ export function signup(email, password) {
         })
     };
 }
+
+export function requestPasswordReset(email) {
+    return {
+        types: [REQUEST_PASSWORD_RESET, REQUEST_PASSWORD_RESET_SUCCESS, REQUEST_PASSWORD_RESET_FAIL],
+        promise: (client) => client.post('/passwordResets/requestPasswordReset', {
+            data: {
+                email
+            }
+        })
+    };
+}
+
+export function confirmPasswordReset(token, password) {
+    return {
+        types: [CONFIRM_PASSWORD_RESET, CONFIRM_PASSWORD_RESET_SUCCESS, CONFIRM_PASSWORD_RESET_FAIL],
+        promise: (client) => client.post('/passwordResets/confirmPasswordReset', {
+            data: {
+                token,
+                password
+            }
+        })
+    };
+}
+
+export function verifyEmail(token) {
+    return {
+        types: [VERIFY_EMAIL, VERIFY_EMAIL_SUCCESS, VERIFY_EMAIL_FAIL],
+        promise: (client) => client.post('/emailVerifications/verifyEmail', {
+            data: {
+                token
+            }
+        })
+    };
+}
+
+export function resendVerification() {
+    return {
+        types: [RESEND_VERIFICATION, RESEND_VERIFICATION_SUCCESS, RESEND_VERIFICATION_FAIL],
+        promise: (client) => client.post('/emailVerifications/resendVerification')
+    };
+}
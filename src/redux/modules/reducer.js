@@ -4,12 +4,18 @@ import { routerReducer } from 'react-router-redux';
 import {reducer as reduxAsyncConnect} from 'redux-async-connect';
 
 import auth from './auth';
+import sessions from './sessions';
+import apiTokens from './apiTokens';
+import trash from './trash';
 import {reducer as form} from 'redux-form';
 
 export const reducers = {
     routing: routerReducer,
     reduxAsyncConnect,
     auth,
+    sessions,
+    apiTokens,
+    trash,
     form,
     // multireducer: multireducer({
     //     counter1: counter,
@@ -0,0 +1,91 @@
+const LOAD = 'sessions/LOAD';
+const LOAD_SUCCESS = 'sessions/LOAD_SUCCESS';
+const LOAD_FAIL = 'sessions/LOAD_FAIL';
+const REVOKE = 'sessions/REVOKE';
+const REVOKE_SUCCESS = 'sessions/REVOKE_SUCCESS';
+const REVOKE_FAIL = 'sessions/REVOKE_FAIL';
+
+const initialState = {
+    loaded: false,
+    list: []
+};
+
+export default function reducer(state = initialState, action = {}) {
+    switch (action.type) {
+        case LOAD:
+            return {
+                ...state,
+                loading: true
+            };
+        case LOAD_SUCCESS:
+            return {
+                ...state,
+                loading: false,
+                loaded: true,
+                list: action.result.data,
+                error: null
+            };
+        case LOAD_FAIL:
+            return {
+                ...state,
+                loading: false,
+                loaded: false,
+                error: action.error
+            };
+        case REVOKE:
+            return {
+                ...state,
+                revoking: true,
+                revokeError: null
+            };
+        case REVOKE_SUCCESS:
+            return {
+                ...state,
+                revoking: false
+            };
+        case REVOKE_FAIL:
+            return {
+                ...state,
+                revoking: false,
+                revokeError: action.error
+            };
+        default:
+            return state;
+    }
+}
+
+export function load() {
+    return {
+        types: [LOAD, LOAD_SUCCESS, LOAD_FAIL],
+        promise: (client) => client.get('/sessions/listSessions')
+    };
+}
+
+export function revoke(id) {
+    return {
+        types: [REVOKE, REVOKE_SUCCESS, REVOKE_FAIL],
+        promise: (client) => client.post('/sessions/revokeSession', {
+            data: {
+                id
+            }
+        })
+    };
+}
+
+export function revokeOthers() {
+    return {
+        types: [REVOKE, REVOKE_SUCCESS, REVOKE_FAIL],
+        promise: (client) => client.post('/sessions/revokeOtherSessions')
+    };
+}
+
+export function revokeForUser(userID) {
+    return {
+        types: [REVOKE, REVOKE_SUCCESS, REVOKE_FAIL],
+        promise: (client) => client.post('/sessions/revokeUserSessions', {
+            data: {
+                userID
+            }
+        })
+    };
+}
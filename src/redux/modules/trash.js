@@ -0,0 +1,43 @@
+const RESTORE = 'trash/RESTORE';
+const RESTORE_SUCCESS = 'trash/RESTORE_SUCCESS';
+const RESTORE_FAIL = 'trash/RESTORE_FAIL';
+
+const initialState = {
+    restoring: false
+};
+
+export default function reducer(state = initialState, action = {}) {
+    switch (action.type) {
+        case RESTORE:
+            return {
+                ...state,
+                restoring: true,
+                restoreError: null
+            };
+        case RESTORE_SUCCESS:
+            return {
+                ...state,
+                restoring: false
+            };
+        case RESTORE_FAIL:
+            return {
+                ...state,
+                restoring: false,
+                restoreError: action.error
+            };
+        default:
+            return state;
+    }
+}
+
+export function restore(type, id) {
+    return {
+        types: [RESTORE, RESTORE_SUCCESS, RESTORE_FAIL],
+        promise: (client) => client.post('/trash/restore', {
+            data: {
+                type,
+                id
+            }
+        })
+    };
+}
@@ -0,0 +1,19 @@
+import { jsonApi, buildUrl } from 'libs/nion';
+
+const defaultResponseFormat = {
+    fields: {
+        user: ['email', 'created_at', 'email_verified_at']
+    }
+};
+
+export const userListAction = (dataKey) => () => (dispatch) => (
+    dispatch(jsonApi.get(dataKey, {
+        endpoint: buildUrl(
+            `/user`,
+            {
+                ...defaultResponseFormat,
+                sort: '-created_at'
+            }
+        )
+    }))
+);
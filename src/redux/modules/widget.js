@@ -2,7 +2,7 @@ import { jsonApi, buildUrl } from 'libs/nion';
 
 const defaultResponseFormat = {
     fields: {
-        widget: ['name', 'description', 'created_at']
+        widget: ['name', 'description', 'created_at', 'deleted_at', 'version']
     }
 };
 
@@ -10,7 +10,31 @@ export const widgetLoadAction = (dataKey) => (widgetID) => (dispatch) => (
     dispatch(jsonApi.get(dataKey, {
         endpoint: buildUrl(
             `/widget/${widgetID}`,
-            defaultResponseFormat
+            {
+                // The author tells the page whether the current user may edit the widget
+                include: 'author',
+                fields: {
+                    ...defaultResponseFormat.fields,
+                    widget: [...defaultResponseFormat.fields.widget, 'author'],
+                    user: ['created_at']
+                }
+            }
+        )
+    }))
+);
+
+export const widgetRevisionsLoadAction = (dataKey) => (widgetID) => (dispatch) => (
+    dispatch(jsonApi.get(dataKey, {
+        endpoint: buildUrl(
+            `/widget/${widgetID}`,
+            {
+                include: 'revisions,revisions.author',
+                fields: {
+                    widget: [...defaultResponseFormat.fields.widget, 'revisions'],
+                    widgetRevision: ['name', 'description', 'created_at', 'author'],
+                    user: ['email']
+                }
+            }
         )
     }))
 );
@@ -24,12 +48,35 @@ export const widgetListAction = (dataKey) => () => (dispatch) => (
     }))
 );
 
+// Deleted widgets, most recently deleted first, until they're purged. Only those allowed to restore them see any.
+export const widgetTrashListAction = (dataKey) => () => (dispatch) => (
+    dispatch(jsonApi.get(dataKey, {
+        endpoint: buildUrl(
+            `/widget`,
+            {
+                ...defaultResponseFormat,
+                filter: {
+                    deleted_at: '!null'
+                },
+                sort: '-deleted_at'
+            }
+        )
+    }))
+);
+
+// Widgets matching the words of `query`, most relevant first. The request's meta holds
+// highlighted snippets of each match's name and description, by id.
 export const widgetSearchAction = (dataKey) => (query) => (dispatch) => {
-    if (query.length > 1) {
+    if (query.trim().length > 1) {
         return dispatch(jsonApi.get(dataKey, {
             endpoint: buildUrl(
-                `/widget?filter[name]=:${query}`,
-                defaultResponseFormat
+                `/widget`,
+                {
+                    ...defaultResponseFormat,
+                    filter: {
+                        q: query
+                    }
+                }
             )
         }));
     }
@@ -53,7 +100,11 @@ export const widgetCreateAction = (dataKey) => (name, description) => (dispatch)
     }))
 );
 
-export const widgetEditAction = (dataKey) => (widgetID, name, description) => (dispatch) => (
+/**
+Saves `name` and `description` over the widget's. Given the `version` they were edited from, the
+save fails with a 409 if someone else has saved the widget since; without it, they're overwritten.
+*/
+export const widgetEditAction = (dataKey) => (widgetID, name, description, version) => (dispatch) => (
     dispatch(jsonApi.patch(dataKey, {
         endpoint: buildUrl(
             `/widget/${widgetID}`,
@@ -65,7 +116,8 @@ export const widgetEditAction = (dataKey) => (widgetID, name, description) => (d
                 attributes: {
                     name,
                     description
-                }
+                },
+                ...(version === undefined ? {} : {meta: {version}})
             }
         }
     }))
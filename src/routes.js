@@ -1,8 +1,10 @@
 import React from 'react';
 import {IndexRoute, Route} from 'react-router';
 import { isLoaded as isAuthLoaded, load as loadAuth } from 'redux/modules/auth';
+import { can } from 'utilities/permissions';
 import {
     App,
+    Account,
     Chat,
     Home,
     About,
@@ -10,10 +12,15 @@ import {
     LoginSuccess,
     Survey,
     NotFound,
+    VerifyEmail,
     WidgetPage,
     AdminPanel,
     WidgetsList,
     WidgetEditor,
+    WidgetTrash,
+    WidgetRevisions,
+    UsersList,
+    AuditLog,
 } from 'containers';
 
 export default (store) => {
@@ -34,22 +41,20 @@ export default (store) => {
         }
     };
 
-    const requireAdmin = (nextState, replace, cb) => {
-        function checkAdmin() {
+    const requirePermission = (action, resource) => (nextState, replace, cb) => {
+        function checkPermission() {
             const { auth: { user }} = store.getState();
-            if (!(user && user.attributes && user.attributes.is_admin)) {
-                // oops, not a logged-in admin, so can't be here!
+            if (!can(user, action, resource)) {
+                // oops, not allowed to be here!
                 replace('/');
-            } else {
-                console.log('user is admin!');
             }
             cb();
         }
 
         if (!isAuthLoaded(store.getState())) {
-            store.dispatch(loadAuth()).then(checkAdmin);
+            store.dispatch(loadAuth()).then(checkPermission);
         } else {
-            checkAdmin();
+            checkPermission();
         }
     };
 
@@ -63,14 +68,27 @@ export default (store) => {
 
             { /* Routes requiring login */ }
             <Route onEnter={requireLogin}>
+                <Route path="account" component={Account}/>
                 <Route path="chat" component={Chat}/>
                 <Route path="loginSuccess" component={LoginSuccess}/>
 
                 { /* Admin Routes */ }
-                <Route onEnter={requireAdmin}>
+                <Route onEnter={requirePermission('access', 'admin')}>
                     <Route path="admin" component={AdminPanel}/>
+                    <Route path="admin/users" component={UsersList}/>
+                    <Route onEnter={requirePermission('read', 'auditEntry')}>
+                        <Route path="admin/audit" component={AuditLog}/>
+                    </Route>
+                </Route>
+                <Route onEnter={requirePermission('create', 'widget')}>
                     <Route path="admin/widgets/new" component={WidgetEditor}/>
+                </Route>
+                <Route onEnter={requirePermission('update', 'widget')}>
                     <Route path="admin/widgets/:widgetID/edit" component={WidgetEditor}/>
+                    <Route path="admin/widgets/:widgetID/revisions" component={WidgetRevisions}/>
+                </Route>
+                <Route onEnter={requirePermission('restore', 'widget')}>
+                    <Route path="admin/widgets/trash" component={WidgetTrash}/>
                 </Route>
             </Route>
 
@@ -78,6 +96,7 @@ export default (store) => {
             <Route path="about" component={About}/>
             <Route path="login" component={Login}/>
             <Route path="survey" component={Survey}/>
+            <Route path="verifyEmail" component={VerifyEmail}/>
 
             <Route path="widgets" component={WidgetsList}/>
             <Route path="widgets/:widgetID" component={WidgetPage}/>
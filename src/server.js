@@ -5,6 +5,7 @@ import config from './config';
 import favicon from 'serve-favicon';
 import compression from 'compression';
 import httpProxy from 'http-proxy';
+import superagent from 'superagent';
 import path from 'path';
 import createStore from './redux/create';
 import ApiClient from './helpers/ApiClient';
@@ -25,7 +26,9 @@ const app = new Express();
 const server = new http.Server(app);
 const proxy = httpProxy.createProxyServer({
   target: targetUrl,
-  ws: true
+  ws: true,
+  // Lets the API see client addresses, e.g. to throttle logins
+  xfwd: true
 });
 
 app.use(compression());
@@ -60,6 +63,24 @@ proxy.on('error', (error, req, res) => {
   res.end(JSON.stringify(json));
 });
 
+// Gets the CSRF token for the browser's API session, passing on the cookie for it if the API
+// had to start a new session, since the browser must send that along with the token
+app.use((req, res, next) => {
+  const request = superagent.get(targetUrl + '/sessions/getCsrfToken');
+  if (req.get('cookie')) {
+    request.set('cookie', req.get('cookie'));
+  }
+  request.end((err, response) => {
+    if (err) {
+      console.error('CSRF TOKEN ERROR:', pretty.render(err));
+    } else {
+      (response.headers['set-cookie'] || []).forEach((cookie) => res.append('Set-Cookie', cookie));
+      req.csrfToken = response.body.csrfToken;
+    }
+    next();
+  });
+});
+
 app.use((req, res) => {
   if (__DEVELOPMENT__) {
     // Do not cache webpack stats: the script file would change since
@@ -73,7 +94,7 @@ app.use((req, res) => {
 
   function hydrateOnClient() {
     res.send('<!doctype html>\n' +
-      ReactDOM.renderToString(<Html assets={webpackIsomorphicTools.assets()} store={store}/>));
+      ReactDOM.renderToString(<Html assets={webpackIsomorphicTools.assets()} store={store} csrfToken={req.csrfToken}/>));
   }
 
   if (__DISABLE_SSR__) {
@@ -101,7 +122,7 @@ app.use((req, res) => {
         global.navigator = {userAgent: req.headers['user-agent']};
 
         res.send('<!doctype html>\n' +
-          ReactDOM.renderToString(<Html assets={webpackIsomorphicTools.assets()} component={component} store={store}/>));
+          ReactDOM.renderToString(<Html assets={webpackIsomorphicTools.assets()} component={component} store={store} csrfToken={req.csrfToken}/>));
       });
     } else {
       res.status(404).send('Not found');
@@ -0,0 +1,24 @@
+import {expect} from 'chai';
+import {highlightParts} from '../highlights';
+
+describe('highlightParts', () => {
+    it('splits out the marked words', () => {
+        expect(highlightParts('A <mark>blue</mark> and <mark>green</mark>')).to.deep.equal([
+            {text: 'A ', highlighted: false},
+            {text: 'blue', highlighted: true},
+            {text: ' and ', highlighted: false},
+            {text: 'green', highlighted: true}
+        ]);
+    });
+
+    it('leaves other tags as text', () => {
+        expect(highlightParts('<b>bold</b> <mark>move</mark>')).to.deep.equal([
+            {text: '<b>bold</b> ', highlighted: false},
+            {text: 'move', highlighted: true}
+        ]);
+    });
+
+    it('has no parts for a missing highlight', () => {
+        expect(highlightParts(null)).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,36 @@
+import {expect} from 'chai';
+import {diffWords} from '../text-diff';
+
+function join(parts, kinds) {
+    return parts.filter((part) => kinds.indexOf(part.kind) >= 0).map((part) => part.text).join('');
+}
+
+describe('diffWords', () => {
+    it('finds nothing changed between equal strings', () => {
+        expect(diffWords('<p>Same old</p>', '<p>Same old</p>')).to.deep.equal([
+            {kind: 'same', text: '<p>Same old</p>'}
+        ]);
+    });
+
+    it('marks changed words and tags', () => {
+        expect(diffWords('<p>A red widget</p>', '<p>A <b>blue</b> widget</p>')).to.deep.equal([
+            {kind: 'same', text: '<p>A '},
+            {kind: 'added', text: '<b>blue</b>'},
+            {kind: 'removed', text: 'red'},
+            {kind: 'same', text: ' widget</p>'}
+        ]);
+    });
+
+    it('can rebuild both strings', () => {
+        const before = '<p>One two three</p><p>four</p>';
+        const after = '<p>One three</p><p>four five</p>';
+        const parts = diffWords(before, after);
+        expect(join(parts, ['same', 'removed'])).to.equal(before);
+        expect(join(parts, ['same', 'added'])).to.equal(after);
+    });
+
+    it('treats missing strings as empty', () => {
+        expect(diffWords(null, 'new')).to.deep.equal([{kind: 'added', text: 'new'}]);
+        expect(diffWords('old', undefined)).to.deep.equal([{kind: 'removed', text: 'old'}]);
+    });
+});
@@ -0,0 +1,24 @@
+const MARK_PATTERN = /<mark>([\s\S]*?)<\/mark>/g;
+
+/**
+Splits a search highlight, plain text with the matching words in `<mark>` tags, into a list of
+`{text, highlighted}` parts, so that it can be shown without treating the rest as HTML.
+*/
+export function highlightParts(highlight) {
+    const text = highlight || '';
+    const parts = [];
+    let position = 0;
+    let match = MARK_PATTERN.exec(text);
+    while (match) {
+        if (match.index > position) {
+            parts.push({text: text.substring(position, match.index), highlighted: false});
+        }
+        parts.push({text: match[1], highlighted: true});
+        position = match.index + match[0].length;
+        match = MARK_PATTERN.exec(text);
+    }
+    if (position < text.length) {
+        parts.push({text: text.substring(position), highlighted: false});
+    }
+    return parts;
+}
@@ -0,0 +1,39 @@
+/**
+Permissions are `{action, resource, scope}` objects granted to users through their roles.
+`action` and `resource` may be `'*'` to match anything, and a `scope` of `'own'` only applies
+to records the user owns. The API's policy and the client both use `permits`, so they agree on
+what a user may do.
+
+`isOwner` is undefined when there is no particular record in question (such as before creating
+one, or when guarding a route), in which case `'own'` permissions count too.
+*/
+export function permits(permissions, action, resource, isOwner) {
+    return (permissions || []).some((permission) => (
+        (permission.action === '*' || permission.action === action) &&
+        (permission.resource === '*' || permission.resource === resource) &&
+        (permission.scope !== 'own' || isOwner !== false)
+    ));
+}
+
+// Who owns a record of each resource type, as loaded through nion
+const owners = {
+    user: (model) => model.id,
+    widget: (model) => model.author && model.author.id
+};
+
+/**
+Whether the logged-in `user` (`state.auth.user`) may perform `action` on `resource`, or on the
+record `model` if given. Use it for route guards and for hiding UI; the API enforces the same
+permissions on its own.
+*/
+export function can(user, action, resource, model) {
+    if (!user) {
+        return false;
+    }
+    let isOwner;
+    if (model) {
+        const owner = owners[resource] ? owners[resource](model) : undefined;
+        isOwner = owner !== undefined && owner !== null && String(owner) === String(user.id);
+    }
+    return permits(user.meta && user.meta.permissions, action, resource, isOwner);
+}
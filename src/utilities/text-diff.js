@@ -0,0 +1,72 @@
+/**
+A word-by-word diff of two strings, for showing what changed between revisions of HTML content.
+Tags, words and runs of whitespace are each compared whole, so markup changes show up as such.
+*/
+
+const TOKEN_PATTERN = /<[^>]*>|\s+|[^\s<]+/g;
+// Past this many token pairs, finding the smallest diff takes too long; it's all just replaced instead
+const MAX_COMPARISONS = 1000000;
+
+function tokenize(text) {
+    return (text || '').match(TOKEN_PATTERN) || [];
+}
+
+// Merges neighbouring parts of the same kind
+function addPart(parts, kind, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.kind === kind) {
+        last.text += text;
+    } else {
+        parts.push({kind, text});
+    }
+    return parts;
+}
+
+/**
+The changes from `before` to `after`, as a list of `{kind, text}` parts, where `kind` is 'same',
+'removed' or 'added'. Joining the 'same' and 'removed' parts gives back `before`, and joining
+the 'same' and 'added' parts gives back `after`.
+*/
+export function diffWords(before, after) {
+    const beforeTokens = tokenize(before);
+    const afterTokens = tokenize(after);
+    const beforeCount = beforeTokens.length;
+    const afterCount = afterTokens.length;
+    if (beforeCount * afterCount > MAX_COMPARISONS) {
+        const parts = [];
+        addPart(parts, 'removed', beforeTokens.join(''));
+        addPart(parts, 'added', afterTokens.join(''));
+        return parts.filter((part) => part.text);
+    }
+    // common[beforeIndex][afterIndex] is the length of the longest common subsequence of the tokens from those indexes on
+    const common = [];
+    for (let beforeIndex = beforeCount; beforeIndex >= 0; beforeIndex--) {
+        common[beforeIndex] = [];
+        for (let afterIndex = afterCount; afterIndex >= 0; afterIndex--) {
+            if (beforeIndex === beforeCount || afterIndex === afterCount) {
+                common[beforeIndex][afterIndex] = 0;
+            } else if (beforeTokens[beforeIndex] === afterTokens[afterIndex]) {
+                common[beforeIndex][afterIndex] = common[beforeIndex + 1][afterIndex + 1] + 1;
+            } else {
+                common[beforeIndex][afterIndex] = Math.max(common[beforeIndex + 1][afterIndex], common[beforeIndex][afterIndex + 1]);
+            }
+        }
+    }
+    const parts = [];
+    let beforeIndex = 0;
+    let afterIndex = 0;
+    while (beforeIndex < beforeCount || afterIndex < afterCount) {
+        if (beforeIndex < beforeCount && afterIndex < afterCount && beforeTokens[beforeIndex] === afterTokens[afterIndex]) {
+            addPart(parts, 'same', beforeTokens[beforeIndex]);
+            beforeIndex++;
+            afterIndex++;
+        } else if (afterIndex < afterCount && (beforeIndex === beforeCount || common[beforeIndex][afterIndex + 1] >= common[beforeIndex + 1][afterIndex])) {
+            addPart(parts, 'added', afterTokens[afterIndex]);
+            afterIndex++;
+        } else {
+            addPart(parts, 'removed', beforeTokens[beforeIndex]);
+            beforeIndex++;
+        }
+    }
+    return parts;
+}